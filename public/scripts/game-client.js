@@ -1,3 +1,8 @@
+/**
+ * Códigos de error de sala que piden (de nuevo) la contraseña
+ */
+const PASSWORD_ERROR_CODES = ['PASSWORD_REQUIRED', 'WRONG_PASSWORD', 'PASSWORD_LOCKED'];
+
 /**
  * GameClient - Cliente WebSocket para el juego de salto y pared
  * Encapsula la comunicación con el servidor mediante Socket.IO
@@ -10,6 +15,8 @@ class GameClient {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000; // 1 segundo inicial
+    this.sessionToken = null; // Token para recuperar el asiento tras una reconexión
+    this.lastSessionToken = null; // Último token recibido; se presenta al unirse para que el servidor aplique los vetos
   }
 
   /**
@@ -97,23 +104,27 @@ class GameClient {
       this._triggerEvent('connection-timeout', {});
     });
 
+    // Los eventos de reconexión los emite el Manager (socket.io), no el socket
     // Intento de reconexión
-    this.socket.on('reconnect_attempt', (attemptNumber) => {
+    this.socket.io.on('reconnect_attempt', (attemptNumber) => {
       this.reconnectAttempts = attemptNumber;
       console.log(`Intento de reconexión #${attemptNumber}`);
       this._triggerEvent('reconnecting', { attempt: attemptNumber, maxAttempts: this.maxReconnectAttempts });
     });
 
     // Reconexión exitosa
-    this.socket.on('reconnect', (attemptNumber) => {
+    this.socket.io.on('reconnect', (attemptNumber) => {
       this.isConnected = true;
       this.reconnectAttempts = 0;
       console.log(`Reconectado después de ${attemptNumber} intentos`);
       this._triggerEvent('reconnected', { attempts: attemptNumber });
+
+      // Recuperar el asiento en la sala si había una sesión activa
+      this.resumeSession();
     });
 
     // Fallo en reconexión
-    this.socket.on('reconnect_failed', () => {
+    this.socket.io.on('reconnect_failed', () => {
       console.error('Fallo en la reconexión después de múltiples intentos');
       this._triggerEvent('reconnect-failed', {});
     });
@@ -133,6 +144,7 @@ class GameClient {
     // Sala creada
     this.socket.on('room-created', (data) => {
       console.log('Sala creada:', data);
+      this._storeSessionToken(data);
       // El servidor envía { roomCode, playerId }
       this._triggerEvent('room-created', data.roomCode || data);
     });
@@ -140,9 +152,17 @@ class GameClient {
     // Unido a sala
     this.socket.on('room-joined', (data) => {
       console.log('Unido a sala:', data);
+      this._storeSessionToken(data);
       this._triggerEvent('room-joined', data);
     });
 
+    // Práctica en solitario iniciada
+    this.socket.on('practice-started', (data) => {
+      console.log('Práctica iniciada:', data);
+      this._storeSessionToken(data);
+      this._triggerEvent('practice-started', data);
+    });
+
     // Estado de la sala (enviado después de crear/unirse)
     this.socket.on('room-state', (roomData) => {
       console.log('Estado de sala recibido:', roomData);
@@ -153,9 +173,21 @@ class GameClient {
     this.socket.on('room-error', (data) => {
       const message = typeof data === 'string' ? data : data.message;
       console.error('Error de sala:', message);
+
+      // Los errores de contraseña abren el diálogo para reintentar la unión
+      if (data && PASSWORD_ERROR_CODES.includes(data.code)) {
+        this._triggerEvent('password-required', data);
+        return;
+      }
+
       this._triggerEvent('room-error', message);
     });
 
+    // Contraseña de la sala cambiada por el anfitrión
+    this.socket.on('room-password-updated', (data) => {
+      this._triggerEvent('room-password-updated', data);
+    });
+
     // Lista de jugadores actualizada
     this.socket.on('player-list-updated', (data) => {
       const players = data.players || data;
@@ -175,6 +207,76 @@ class GameClient {
       this._triggerEvent('round-started', data);
     });
 
+    // Listado de salas públicas
+    this.socket.on('rooms-list', (data) => {
+      this._triggerEvent('rooms-list', data);
+    });
+
+    // Salida voluntaria de la sala
+    this.socket.on('room-left', (data) => {
+      console.log('Has salido de la sala:', data.roomCode);
+      this.clearSession();
+      this._triggerEvent('room-left', data);
+    });
+
+    // Mensaje nuevo en el chat de la sala
+    this.socket.on('chat-message', (message) => {
+      this._triggerEvent('chat-message', message);
+    });
+
+    // Expulsado por el anfitrión
+    this.socket.on('kicked', (data) => {
+      console.warn('Expulsado de la sala:', data.reason);
+      this._triggerEvent('kicked', data);
+    });
+
+    // Nuevo anfitrión
+    this.socket.on('host-changed', (data) => {
+      console.log(`${data.hostName} es el nuevo anfitrión`);
+      this._triggerEvent('host-changed', data);
+    });
+
+    // Partida pausada por el anfitrión
+    this.socket.on('game-paused', (data) => {
+      console.log(`Partida pausada por ${data.pausedBy}`);
+      this._triggerEvent('game-paused', data);
+    });
+
+    // Partida reanudada
+    this.socket.on('game-resumed', (data) => {
+      console.log(`Partida reanudada. Quedan ${data.timeRemaining}s`);
+      this._triggerEvent('game-resumed', data);
+    });
+
+    // Jugador confirmó su altura
+    this.socket.on('player-locked', (data) => {
+      console.log(`${data.playerName} confirmó su altura`);
+      this._triggerEvent('player-locked', data);
+    });
+
+    // Efecto de una habilidad usada por este jugador
+    this.socket.on('ability-used', (data) => {
+      console.log('Habilidad usada:', data.ability);
+      this._triggerEvent('ability-used', data);
+    });
+
+    // Otro jugador usó una habilidad
+    this.socket.on('player-used-ability', (data) => {
+      console.log(`${data.playerName} usó ${data.ability}`);
+      this._triggerEvent('player-used-ability', data);
+    });
+
+    // Reacción de un jugador durante la revelación
+    this.socket.on('reaction', (data) => {
+      this._triggerEvent('reaction', data);
+    });
+
+    // Desempate iniciado
+    this.socket.on('tiebreak-started', (data) => {
+      console.log('Desempate entre:', data.playerNames);
+      this._triggerEvent('tiebreak-started', data);
+    });
+
     // Selección bloqueada
     this.socket.on('selection-locked', () => {
       console.log('Selección bloqueada');
@@ -191,14 +293,18 @@ class GameClient {
     this.socket.on('round-ended', (data) => {
       const scores = data.scores || data;
       console.log('Ronda terminada. Puntuaciones:', scores);
-      this._triggerEvent('round-ended', scores);
+      this._triggerEvent('round-ended', { scores, teamScores: data.teamScores || [] });
     });
 
     // Juego terminado
     this.socket.on('game-ended', (data) => {
       const finalScores = data.finalScores || data;
       console.log('Juego terminado. Puntuaciones finales:', finalScores);
-      this._triggerEvent('game-ended', finalScores);
+      this._triggerEvent('game-ended', {
+        finalScores,
+        teamScores: data.teamScores || [],
+        matchId: data.matchId || null
+      });
     });
 
     // Estado de reinicio
@@ -225,6 +331,51 @@ class GameClient {
       console.log('Jugador salió de la sala:', data.playerName);
       this._triggerEvent('player-left', data);
     });
+
+    // Sala cerrada por el servidor (p. ej. por inactividad)
+    this.socket.on('room-closed', (data) => {
+      console.log('Sala cerrada:', data.roomCode, data.reason);
+      this.clearSession();
+      this._triggerEvent('room-closed', data);
+    });
+
+    // Sesión recuperada tras reconexión
+    this.socket.on('session-resumed', (data) => {
+      console.log('Sesión recuperada en sala:', data.roomCode);
+      this._storeSessionToken(data);
+      this._triggerEvent('session-resumed', data);
+    });
+
+    // Partida en curso al entrar como espectador
+    this.socket.on('game-in-progress', (data) => {
+      console.log('Partida en curso, ronda:', data.currentRound);
+      this._triggerEvent('game-in-progress', data);
+    });
+
+    // No se pudo recuperar la sesión
+    this.socket.on('resume-failed', (data) => {
+      const message = typeof data === 'string' ? data : data.message;
+      console.error('No se pudo recuperar la sesión:', message);
+      this.clearSession();
+      this._triggerEvent('resume-failed', { message });
+    });
+
+    // Jugador reconectado
+    this.socket.on('player-reconnected', (data) => {
+      console.log('Jugador reconectado:', data.playerName);
+      this._triggerEvent('player-reconnected', data);
+    });
+  }
+
+  /**
+   * Guarda el token de sesión recibido del servidor
+   * @private
+   */
+  _storeSessionToken(data) {
+    if (data && data.sessionToken) {
+      this.sessionToken = data.sessionToken;
+      this.lastSessionToken = data.sessionToken;
+    }
   }
 
   /**
@@ -296,17 +447,28 @@ class GameClient {
 
   /**
    * Solicita crear una nueva sala
+   * @param {string} password - Contraseña opcional para proteger la sala
    */
-  createRoom() {
+  createRoom(password = '') {
+    if (password) {
+      const validation = Validators.validateRoomPassword(password);
+      if (!validation.isValid) {
+        this._triggerEvent('room-error', validation.error);
+        return false;
+      }
+    }
+
     console.log('Solicitando crear sala...');
-    return this._emit('create-room');
+    return this._emit('create-room', password ? { password } : {});
   }
 
   /**
    * Solicita unirse a una sala existente
    * @param {string} roomCode - Código de la sala (6 caracteres)
+   * @param {string} role - 'player' o 'spectator' (a mitad de partida siempre se entra como espectador)
+   * @param {string} password - Contraseña, si la sala la pide
    */
-  joinRoom(roomCode) {
+  joinRoom(roomCode, role = 'player', password = '') {
     // Validar código de sala
     const validation = Validators.validateRoomCode(roomCode);
     if (!validation.isValid) {
@@ -317,7 +479,153 @@ class GameClient {
 
     const sanitizedCode = Validators.sanitizeRoomCode(roomCode);
     console.log('Solicitando unirse a sala:', sanitizedCode);
-    return this._emit('join-room', { roomCode: sanitizedCode });
+    const payload = { roomCode: sanitizedCode, role };
+    if (password) {
+      payload.password = password;
+    }
+    if (this.lastSessionToken) {
+      payload.sessionToken = this.lastSessionToken;
+    }
+    return this._emit('join-room', payload);
+  }
+
+  /**
+   * Pide el listado de salas públicas y se suscribe a sus cambios
+   */
+  listRooms() {
+    return this._emit('list-rooms');
+  }
+
+  /**
+   * Deja de recibir los cambios del listado de salas públicas
+   */
+  unwatchRooms() {
+    return this._emit('unwatch-rooms');
+  }
+
+  /**
+   * Entra en la mejor sala pública abierta o crea una nueva
+   */
+  quickPlay() {
+    console.log('Buscando partida rápida...');
+    return this._emit('quick-play');
+  }
+
+  /**
+   * Establece o quita la contraseña de la sala (solo anfitrión)
+   * @param {string} password - Nueva contraseña; vacía para quitarla
+   */
+  setRoomPassword(password = '') {
+    if (password) {
+      const validation = Validators.validateRoomPassword(password);
+      if (!validation.isValid) {
+        this._triggerEvent('room-error', validation.error);
+        return false;
+      }
+    }
+
+    console.log(password ? 'Estableciendo contraseña de sala...' : 'Quitando contraseña de sala...');
+    return this._emit('set-room-password', password ? { password } : {});
+  }
+
+  /**
+   * Sale de la sala actual
+   */
+  leaveRoom() {
+    console.log('Saliendo de la sala...');
+    return this._emit('leave-room');
+  }
+
+  /**
+   * Expulsa a un jugador de la sala (solo anfitrión)
+   * @param {string} playerId - ID del jugador
+   */
+  kickPlayer(playerId) {
+    console.log('Expulsando jugador:', playerId);
+    return this._emit('kick-player', { playerId });
+  }
+
+  /**
+   * Expulsa a un jugador y le impide volver (solo anfitrión)
+   * @param {string} playerId - ID del jugador
+   */
+  banPlayer(playerId) {
+    console.log('Vetando jugador:', playerId);
+    return this._emit('ban-player', { playerId });
+  }
+
+  /**
+   * Silencia a un jugador en el chat o le devuelve la palabra (solo anfitrión)
+   * @param {string} playerId - ID del jugador
+   * @param {boolean} muted - true para silenciarlo
+   */
+  mutePlayer(playerId, muted) {
+    console.log(muted ? 'Silenciando jugador:' : 'Devolviendo la palabra a:', playerId);
+    return this._emit('mute-player', { playerId, muted });
+  }
+
+  /**
+   * Envía un mensaje al chat de la sala
+   * @param {string} text - Texto del mensaje
+   */
+  sendChatMessage(text) {
+    const validation = Validators.validateChatMessage(text);
+    if (!validation.isValid) {
+      this._triggerEvent('room-error', validation.error);
+      return false;
+    }
+
+    return this._emit('chat-message', { text: text.trim() });
+  }
+
+  /**
+   * Cede el rol de anfitrión a otro jugador (solo anfitrión)
+   * @param {string} playerId - ID del nuevo anfitrión
+   */
+  transferHost(playerId) {
+    console.log('Cediendo anfitrión a:', playerId);
+    return this._emit('transfer-host', { playerId });
+  }
+
+  /**
+   * Empieza la partida sin esperar a que todos estén listos (solo anfitrión)
+   */
+  forceStart() {
+    console.log('Forzando inicio de partida...');
+    return this._emit('force-start');
+  }
+
+  /**
+   * Pausa la partida en curso (solo anfitrión)
+   */
+  pauseGame() {
+    console.log('Pausando partida...');
+    return this._emit('pause-game');
+  }
+
+  /**
+   * Reanuda la partida pausada (solo anfitrión)
+   */
+  resumeGame() {
+    console.log('Reanudando partida...');
+    return this._emit('resume-game');
+  }
+
+  /**
+   * Empieza una práctica en solitario sin código de sala
+   * @param {number} selectionDuration - Segundos por ronda (0 = sin temporizador)
+   */
+  startPractice(selectionDuration = 0) {
+    console.log('Solicitando práctica en solitario...');
+    return this._emit('start-practice', { selectionDuration });
+  }
+
+  /**
+   * Termina la práctica en curso
+   */
+  endPractice() {
+    console.log('Terminando práctica...');
+    return this._emit('end-practice');
   }
 
   /**
@@ -349,8 +657,9 @@ class GameClient {
   /**
    * Selecciona una altura de salto
    * @param {number} height - Altura seleccionada (1-10)
+   * @param {number} stake - Puntos apostados en modo apuestas (por defecto 0)
    */
-  selectHeight(height) {
+  selectHeight(height, stake = 0) {
     // Validar altura
     const validation = Validators.validateHeight(height);
     if (!validation.isValid) {
@@ -359,8 +668,98 @@ class GameClient {
       return false;
     }
 
-    console.log('Seleccionando altura:', height);
-    return this._emit('select-height', { height });
+    console.log('Seleccionando altura:', height, 'apuesta:', stake);
+    return this._emit('select-height', { height, stake });
+  }
+
+  /**
+   * Agrega un bot a la sala (solo anfitrión)
+   * @param {string} strategy - Estrategia del bot ('random', 'crowd', 'anti-crowd', 'learner')
+   */
+  addBot(strategy) {
+    const validation = Validators.validateBotStrategy(strategy);
+    if (!validation.isValid) {
+      console.error('Estrategia de bot inválida:', validation.error);
+      this._triggerEvent('room-error', validation.error);
+      return false;
+    }
+
+    console.log('Agregando bot:', strategy);
+    return this._emit('add-bot', { strategy });
+  }
+
+  /**
+   * Quita un bot de la sala (solo anfitrión)
+   * @param {string} botId - ID del bot
+   */
+  removeBot(botId) {
+    console.log('Quitando bot:', botId);
+    return this._emit('remove-bot', { botId });
+  }
+
+  /**
+   * Elige equipo en modo por equipos
+   * @param {string} team - ID del equipo ('red', 'blue', 'green', 'yellow')
+   */
+  chooseTeam(team) {
+    const validation = Validators.validateTeam(team);
+    if (!validation.isValid) {
+      console.error('Equipo inválido:', validation.error);
+      this._triggerEvent('room-error', validation.error);
+      return false;
+    }
+
+    console.log('Eligiendo equipo:', team);
+    return this._emit('choose-team', { team });
+  }
+
+  /**
+   * Confirma la altura seleccionada; ya no podrá cambiarse en esta ronda
+   */
+  lockIn() {
+    console.log('Confirmando altura...');
+    return this._emit('lock-in');
+  }
+
+  /**
+   * Usa una habilidad de un solo uso durante la selección
+   * @param {string} ability - ID de la habilidad ('hint', 'shield', 'double', 'peek')
+   * @param {number|null} height - Altura a espiar (solo 'peek')
+   */
+  useAbility(ability, height = null) {
+    const validation = Validators.validateAbility(ability, height);
+    if (!validation.isValid) {
+      console.error('Habilidad inválida:', validation.error);
+      this._triggerEvent('room-error', validation.error);
+      return false;
+    }
+
+    console.log('Usando habilidad:', ability);
+    return this._emit('use-ability', height === null ? { ability } : { ability, height });
+  }
+
+  /**
+   * Reacciona con un emoji durante la revelación de la pared
+   * @param {string} emoji - Emoji del conjunto permitido
+   */
+  sendReaction(emoji) {
+    return this._emit('send-reaction', { emoji });
+  }
+
+  /**
+   * Actualiza la configuración de la partida (solo anfitrión)
+   * @param {Object} settings - { maxRounds, selectionDuration, revealDuration, scoring, scoringStrategy }
+   */
+  updateRoomSettings(settings) {
+    const validation = Validators.validateRoomSettings(settings);
+    if (!validation.isValid) {
+      console.error('Configuración inválida:', validation.error);
+      this._triggerEvent('room-error', validation.error);
+      return false;
+    }
+
+    console.log('Actualizando configuración de la sala:', settings);
+    return this._emit('update-room-settings', settings);
   }
 
   /**
@@ -371,6 +770,26 @@ class GameClient {
     return this._emit('restart-consent');
   }
 
+  /**
+   * Solicita recuperar el asiento en la sala usando el token de sesión guardado
+   * @returns {boolean} false si no hay sesión que recuperar
+   */
+  resumeSession() {
+    if (!this.sessionToken) {
+      return false;
+    }
+
+    console.log('Recuperando sesión...');
+    return this._emit('resume-session', { sessionToken: this.sessionToken });
+  }
+
+  /**
+   * Olvida el token de sesión actual (al abandonar la sala)
+   */
+  clearSession() {
+    this.sessionToken = null;
+  }
+
   // ==================== Métodos de Utilidad ====================
 
   /**
@@ -0,0 +1,176 @@
+/**
+ * Nombres de los modos de juego en la cabecera de la partida
+ */
+const GAME_MODE_NAMES = {
+  classic: 'Clásico',
+  elimination: 'Eliminación'
+};
+
+/**
+ * Iconos del resultado de cada salto (mismos tipos que RoundResultType en el servidor)
+ */
+const RESULT_ICONS = {
+  perfect: '✅',
+  'too-low': '⬇️',
+  'too-high': '⬆️'
+};
+
+/**
+ * MatchPage - Página permanente de una partida guardada en el historial
+ * Carga la partida de /api/matches/:id y muestra su clasificación y cada ronda
+ */
+class MatchPage {
+  constructor() {
+    this.elements = {
+      title: document.getElementById('match-title'),
+      meta: document.getElementById('match-meta'),
+      error: document.getElementById('match-error'),
+      content: document.getElementById('match-content'),
+      leaderboard: document.getElementById('match-leaderboard'),
+      rounds: document.getElementById('match-rounds-list')
+    };
+  }
+
+  /**
+   * Carga la partida indicada en el parámetro ?id de la URL
+   */
+  async initialize() {
+    const matchId = new URLSearchParams(window.location.search).get('id');
+    
+    if (!matchId) {
+      this._showError('Falta el identificador de la partida en el enlace.');
+      return;
+    }
+    
+    try {
+      const response = await fetch(`/api/matches/${encodeURIComponent(matchId)}`);
+      
+      if (!response.ok) {
+        this._showError(response.status === 404 || response.status === 400
+          ? 'La partida no existe o ya no está en el historial.'
+          : 'No se pudo cargar la partida. Inténtalo de nuevo más tarde.');
+        return;
+      }
+      
+      this._render(await response.json());
+    } catch (error) {
+      console.error('Error al cargar la partida:', error);
+      this._showError('No se pudo cargar la partida. Revisa tu conexión.');
+    }
+  }
+
+  /**
+   * Muestra la partida completa
+   * @private
+   */
+  _render(match) {
+    const endedAt = new Date(match.endedAt).toLocaleString('es-ES');
+    const mode = GAME_MODE_NAMES[match.settings.gameMode] || match.settings.gameMode;
+    
+    document.title = `Partida ${match.roomCode} - Juego de Salto y Pared`;
+    this.elements.title.textContent = `Partida en la sala ${match.roomCode}`;
+    this.elements.meta.textContent = `${endedAt} · Modo ${mode} · ${match.rounds.length} rondas`;
+    
+    this.elements.leaderboard.innerHTML = '';
+    match.finalScores.forEach(score => {
+      this.elements.leaderboard.appendChild(this._createScoreItem(score));
+    });
+    
+    this.elements.rounds.innerHTML = '';
+    match.rounds.forEach(round => {
+      this.elements.rounds.appendChild(this._createRoundItem(round));
+    });
+    
+    this.elements.content.style.display = '';
+  }
+
+  /**
+   * Crea una fila de la clasificación final
+   * @private
+   */
+  _createScoreItem(score) {
+    const div = document.createElement('div');
+    div.className = 'leaderboard-item';
+    
+    if (score.isWinner) {
+      div.classList.add('winner');
+    }
+    
+    const rankIcons = { 1: '🥇', 2: '🥈', 3: '🥉' };
+    
+    div.innerHTML = `
+      <div class="leaderboard-left">
+        <div class="rank-badge ${score.rank <= 3 ? `rank-${score.rank}` : ''}">${rankIcons[score.rank] || score.rank}</div>
+        <div class="leaderboard-player-info">
+          <div class="leaderboard-player-name"></div>
+          <div class="leaderboard-badges">
+            ${score.isWinner ? '<span class="leaderboard-badge winner-badge">🏆 Ganador</span>' : ''}
+          </div>
+        </div>
+      </div>
+      <div class="leaderboard-right">
+        <div class="leaderboard-score">${score.score}</div>
+        <div class="leaderboard-score-label">puntos</div>
+      </div>
+    `;
+    // El nombre lo eligió el jugador: se inserta como texto
+    div.querySelector('.leaderboard-player-name').textContent = score.playerName;
+    
+    return div;
+  }
+
+  /**
+   * Crea el bloque de una ronda con el hueco y la elección de cada jugador
+   * @private
+   */
+  _createRoundItem(round) {
+    const div = document.createElement('div');
+    div.className = 'match-round';
+    
+    const header = document.createElement('div');
+    header.className = 'match-round-header';
+    header.textContent = round.isTiebreak
+      ? `Desempate ${round.roundNumber} · Hueco en ${round.holePosition}`
+      : `Ronda ${round.roundNumber} · Hueco en ${round.holePosition}`;
+    if (round.holeTolerance > 0) {
+      header.textContent += ` (±${round.holeTolerance})`;
+    }
+    div.appendChild(header);
+    
+    round.picks.forEach(pick => {
+      const row = document.createElement('div');
+      row.className = 'match-pick';
+      
+      const name = document.createElement('span');
+      name.className = 'match-pick-name';
+      name.textContent = pick.playerName;
+      
+      const height = document.createElement('span');
+      height.className = 'match-pick-height';
+      height.textContent = `${RESULT_ICONS[pick.result] || ''} Altura ${pick.selectedHeight}`;
+      
+      const points = document.createElement('span');
+      points.className = `match-pick-points ${pick.pointsEarned >= 0 ? 'positive' : 'negative'}`;
+      points.textContent = `${pick.pointsEarned >= 0 ? '+' : ''}${pick.pointsEarned} (${pick.totalScore})`;
+      
+      row.append(name, height, points);
+      div.appendChild(row);
+    });
+    
+    return div;
+  }
+
+  /**
+   * Muestra un error en lugar de la partida
+   * @private
+   */
+  _showError(message) {
+    this.elements.title.textContent = 'Partida no disponible';
+    this.elements.error.textContent = message;
+    this.elements.error.style.display = '';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new MatchPage().initialize();
+});
@@ -1,3 +1,8 @@
+/**
+ * Mensajes del chat que se conservan en el cliente
+ */
+const MAX_CHAT_MESSAGES = 100;
+
 /**
  * StateManager - Gestor de estado del cliente
  * Mantiene el estado local de la aplicación y notifica a la UI cuando cambia
@@ -10,6 +15,19 @@ class StateManager {
     // Información de la sala
     this.roomCode = null;
     this.roomState = null; // Estado de la sala del servidor
+    this.settings = null; // Configuración de la partida de la sala
+    this.hasPassword = false; // Si la sala pide contraseña para entrar
+    this.minReadyToForceStart = 2; // Jugadores listos para que el anfitrión pueda empezar ya
+    
+    // Práctica en solitario (sin límite de rondas y con estadísticas de precisión)
+    this.isPractice = false;
+    this.practiceStats = null; // { roundsPlayed, hits, accuracy, currentStreak, bestStreak }
+    
+    // Salas públicas del listado de la pantalla de inicio
+    this.publicRooms = [];
+    
+    // Mensajes del chat de la sala (los más recientes al final)
+    this.chatMessages = [];
     
     // Información del jugador
     this.playerId = null;
@@ -25,19 +43,46 @@ class StateManager {
     this.maxRounds = 10;
     this.scores = new Map(); // Map<playerId, score>
     this.selectedHeight = null;
+    this.selectedStake = 0;
     this.timeRemaining = 0;
     this.selectionLocked = false;
+    this.hasLockedIn = false;
+    this.lockedPlayerIds = new Set(); // Jugadores que confirmaron su altura
+    
+    // Pausa del anfitrión (la cuenta regresiva queda congelada)
+    this.isPaused = false;
+    this.pausedPhase = null; // 'selection' | 'revealing' | null
     
     // Resultados de la última ronda
     this.lastWallHole = null;
     this.lastRoundResults = [];
+    this.pickDistribution = []; // Jugadores por altura en la última revelación
+    
+    // Margen del hueco en la ronda actual (modo eliminación)
+    this.holeTolerance = 0;
+    
+    // Desempate en curso (round = 0 si no hay desempate)
+    this.tiebreak = { round: 0, maxRounds: 0, playerIds: [] };
+    
+    // Habilidades del jugador actual (el inventario restante viaja en la lista de jugadores)
+    this.roundAbilities = []; // Habilidades usadas en la ronda actual
+    this.shieldActive = false;
+    this.abilityHint = null; // 'upper' | 'lower' | null
+    
+    // Verificación de la pared (compromiso y semilla de la ronda)
+    this.seedCommitment = null;
+    this.lastRevealVerified = null; // true | false | null (no verificable)
     
     // Estado de reinicio
     this.restartConsents = 0;
     this.restartTotal = 0;
     
-    // Puntuaciones finales
+    // Puntuaciones finales (y clasificación de equipos en modo por equipos)
     this.finalScores = [];
+    this.teamScores = [];
+    
+    // ID de la partida terminada en el historial (null en práctica)
+    this.matchId = null;
     
     // Listeners para cambios de estado
     this.stateChangeListeners = [];
@@ -67,15 +112,40 @@ class StateManager {
     this._notifyStateChange('room-created', { roomCode });
   }
 
+  /**
+   * Actualiza el estado cuando empieza una práctica en solitario
+   * @param {Object} data - { roomCode, playerId }
+   */
+  handlePracticeStarted(data) {
+    this.roomCode = data.roomCode;
+    this.playerId = data.playerId;
+    this.isPractice = true;
+    this.practiceStats = null;
+    this._notifyStateChange('practice-started', data);
+  }
+
   /**
    * Actualiza el estado cuando se une a una sala
    * @param {Object} roomData - Datos de la sala
    */
   handleRoomJoined(roomData) {
     this.roomCode = roomData.roomCode;
+    if (roomData.playerId) {
+      this.playerId = roomData.playerId;
+    }
     this.roomState = roomData.state;
     this.currentRound = roomData.currentRound;
     this.maxRounds = roomData.maxRounds;
+    this.isPractice = !!roomData.isPractice;
+    this.practiceStats = roomData.practiceStats || null;
+    this.minReadyToForceStart = roomData.minReadyToForceStart || this.minReadyToForceStart;
+    if (roomData.settings) {
+      this.settings = roomData.settings;
+    }
+    this.hasPassword = !!roomData.hasPassword;
+    if (Array.isArray(roomData.chatHistory)) {
+      this.chatMessages = roomData.chatHistory;
+    }
     this.screen = 'lobby';
     
     // Actualizar jugadores
@@ -108,21 +178,33 @@ class StateManager {
     this.screen = 'game';
     this.currentRound = 0;
     this.selectedHeight = null;
+    this.selectedStake = 0;
     this.selectionLocked = false;
     this._notifyStateChange('game-started', {});
   }
 
   /**
    * Actualiza el estado cuando inicia una ronda
-   * @param {Object} data - { roundNumber, duration }
+   * @param {Object} data - { roundNumber, duration, seedCommitment }
    */
   handleRoundStarted(data) {
     this.currentRound = data.roundNumber;
     this.timeRemaining = data.duration;
     this.selectedHeight = null;
+    this.selectedStake = 0;
     this.selectionLocked = false;
+    this.hasLockedIn = false;
+    this.lockedPlayerIds.clear();
     this.lastWallHole = null;
     this.lastRoundResults = [];
+    this.pickDistribution = [];
+    this.seedCommitment = data.seedCommitment || null;
+    this.lastRevealVerified = null;
+    this.holeTolerance = data.holeTolerance || 0;
+    this.tiebreak.round = data.tiebreakRound || 0;
+    this.tiebreak.playerIds = data.tiebreakPlayerIds || [];
+    this.roundAbilities = [];
+    this.abilityHint = null;
     
     // Iniciar cuenta regresiva
     this._startCountdown();
@@ -130,6 +212,62 @@ class StateManager {
     this._notifyStateChange('round-started', data);
   }
 
+  /**
+   * Registra el inicio de las rondas de desempate
+   * @param {Object} data - { playerIds, playerNames, maxRounds }
+   */
+  handleTiebreakStarted(data) {
+    this.tiebreak.maxRounds = data.maxRounds;
+    this.tiebreak.playerIds = data.playerIds;
+    this._notifyStateChange('tiebreak-started', data);
+  }
+
+  /**
+   * Registra el efecto de una habilidad usada por el jugador actual
+   * @param {Object} effect - { ability, remaining, hint, peekHeight, peekCount }
+   */
+  handleAbilityUsed(effect) {
+    const player = this.getCurrentPlayer();
+    if (player) {
+      player.abilities = effect.remaining;
+    }
+    
+    this.roundAbilities.push(effect.ability);
+    
+    if (effect.ability === 'shield') {
+      this.shieldActive = true;
+    } else if (effect.ability === 'hint') {
+      this.abilityHint = effect.hint;
+    }
+    
+    this._notifyStateChange('ability-used', effect);
+  }
+
+  /**
+   * Registra que otro jugador usó una habilidad
+   * @param {Object} data - { playerId, playerName, ability }
+   */
+  handlePlayerUsedAbility(data) {
+    const player = this.playersMap.get(data.playerId);
+    if (player && player.abilities) {
+      player.abilities = player.abilities.filter(ability => ability !== data.ability);
+    }
+    
+    this._notifyStateChange('player-used-ability', data);
+  }
+
+  /**
+   * Registra que un jugador confirmó su altura
+   * @param {Object} data - { playerId, playerName }
+   */
+  handlePlayerLocked(data) {
+    this.lockedPlayerIds.add(data.playerId);
+    if (data.playerId === this.playerId) {
+      this.hasLockedIn = true;
+    }
+    this._notifyStateChange('player-locked', data);
+  }
+
   /**
    * Actualiza el estado cuando se bloquea la selección
    */
@@ -141,28 +279,160 @@ class StateManager {
 
   /**
    * Actualiza el estado cuando se revela la pared
-   * @param {Object} data - { holePosition, results }
+   * @param {Object} data - { holePosition, results, seed }
    */
   handleWallRevealed(data) {
     this.lastWallHole = data.holePosition;
     this.lastRoundResults = data.results;
+    this.pickDistribution = data.pickDistribution || [];
+    this.practiceStats = data.practiceStats || this.practiceStats;
     
-    // Actualizar puntuaciones
+    this.holeTolerance = data.holeTolerance || 0;
+    
+    // Actualizar puntuaciones y vidas
     data.results.forEach(result => {
       this.scores.set(result.playerId, result.totalScore);
+      
+      const player = this.playersMap.get(result.playerId);
+      if (player && result.livesRemaining !== null && result.livesRemaining !== undefined) {
+        player.lives = result.livesRemaining;
+        player.isEliminated = result.lifeOutcome === 'eliminated' || player.isEliminated;
+      }
+      
+      // El escudo se consume al anular una penalización
+      if (result.playerId === this.playerId && result.shieldUsed) {
+        this.shieldActive = false;
+      }
     });
     
     this._notifyStateChange('wall-revealed', data);
+    
+    // Comprobar que el hueco corresponde a la semilla comprometida
+    this._verifyWallReveal(data.seed, data.holePosition);
+  }
+
+  /**
+   * Actualiza el listado de salas públicas
+   * @param {Object} data - { rooms }
+   */
+  handleRoomsList(data) {
+    this.publicRooms = data.rooms || [];
+    this._notifyStateChange('rooms-list', data);
+  }
+
+  /**
+   * Notifica que la sala pide contraseña (o que la enviada no vale)
+   * @param {Object} data - { roomCode, code, message, retryAfter? }
+   */
+  handlePasswordRequired(data) {
+    this._notifyStateChange('password-required', data);
+  }
+
+  /**
+   * Actualiza si la sala está protegida con contraseña
+   * @param {Object} data - { hasPassword }
+   */
+  handleRoomPasswordUpdated(data) {
+    this.hasPassword = !!data.hasPassword;
+    this._notifyStateChange('room-password-updated', data);
+  }
+
+  /**
+   * Notifica la reacción de un jugador durante la revelación
+   * @param {Object} data - { playerId, emoji }
+   */
+  handleReaction(data) {
+    this._notifyStateChange('reaction', data);
+  }
+
+  /**
+   * Añade un mensaje nuevo al chat
+   * @param {Object} message - { id, playerId, playerName, text, fromSpectator, sentAt }
+   */
+  handleChatMessage(message) {
+    this.chatMessages.push(message);
+    
+    // Mantener solo los mensajes recientes
+    if (this.chatMessages.length > MAX_CHAT_MESSAGES) {
+      this.chatMessages.shift();
+    }
+    
+    this._notifyStateChange('chat-message', message);
+  }
+
+  /**
+   * Notifica que el jugador actual salió de la sala
+   * @param {Object} data - { roomCode }
+   */
+  handleRoomLeft(data) {
+    this._stopCountdown();
+    this._notifyStateChange('room-left', data);
+  }
+
+  /**
+   * Notifica que el anfitrión expulsó o vetó al jugador actual
+   * @param {Object} data - { roomCode, reason, message }
+   */
+  handleKicked(data) {
+    this._stopCountdown();
+    this._notifyStateChange('kicked', data);
+  }
+
+  /**
+   * Notifica el cambio de anfitrión (la lista de jugadores llega aparte)
+   * @param {Object} data - { hostId, hostName }
+   */
+  handleHostChanged(data) {
+    this._notifyStateChange('host-changed', data);
+  }
+
+  /**
+   * Congela la cuenta regresiva cuando el anfitrión pausa la partida
+   * @param {Object} data - { state, phase, timeRemaining, pausedBy }
+   */
+  handleGamePaused(data) {
+    this.roomState = data.state;
+    this.isPaused = true;
+    this.pausedPhase = data.phase;
+    this.timeRemaining = data.timeRemaining;
+    this._stopCountdown();
+    this._notifyStateChange('game-paused', data);
+  }
+
+  /**
+   * Reanuda la cuenta regresiva con el tiempo que indica el servidor
+   * @param {Object} data - { state, timeRemaining }
+   */
+  handleGameResumed(data) {
+    this.roomState = data.state;
+    this.isPaused = false;
+    this.pausedPhase = null;
+    this.timeRemaining = data.timeRemaining;
+    
+    if (data.state === 'selection') {
+      this._startCountdown();
+    }
+    
+    this._notifyStateChange('game-resumed', data);
   }
 
   /**
    * Actualiza el estado cuando termina una ronda
    * @param {Array} scores - Array de PlayerScore
+   * @param {Array} teamScores - Totales por equipo (vacío fuera del modo por equipos)
    */
-  handleRoundEnded(scores) {
-    // Actualizar puntuaciones
+  handleRoundEnded(scores, teamScores = []) {
+    this.teamScores = teamScores;
+    
+    // Actualizar puntuaciones y vidas
     scores.forEach(score => {
       this.scores.set(score.playerId, score.score);
+      
+      const player = this.playersMap.get(score.playerId);
+      if (player && score.lives !== undefined) {
+        player.lives = score.lives;
+        player.isEliminated = score.isEliminated;
+      }
     });
     
     this._notifyStateChange('round-ended', { scores });
@@ -171,17 +441,24 @@ class StateManager {
   /**
    * Actualiza el estado cuando termina el juego
    * @param {Array} finalScores - Array de PlayerScore con clasificación
+   * @param {Array} teamScores - Clasificación de equipos (vacío fuera del modo por equipos)
+   * @param {string|null} matchId - ID de la partida en el historial (null en práctica)
    */
-  handleGameEnded(finalScores) {
+  handleGameEnded(finalScores, teamScores = [], matchId = null) {
     this.finalScores = finalScores;
+    this.teamScores = teamScores;
+    this.matchId = matchId;
     this.screen = 'results';
+    this.isPaused = false;
+    this.pausedPhase = null;
+    this._stopCountdown();
     
     // Actualizar puntuaciones finales
     finalScores.forEach(score => {
       this.scores.set(score.playerId, score.score);
     });
     
-    this._notifyStateChange('game-ended', { finalScores });
+    this._notifyStateChange('game-ended', { finalScores, teamScores });
   }
 
   /**
@@ -225,6 +502,126 @@ class StateManager {
     this._notifyStateChange('player-left', data);
   }
 
+  /**
+   * Actualiza el estado cuando el servidor cierra la sala
+   * @param {Object} data - { roomCode, reason, message }
+   */
+  handleRoomClosed(data) {
+    this._stopCountdown();
+    this._notifyStateChange('room-closed', data);
+  }
+
+  /**
+   * Actualiza el estado cuando un jugador se reconecta
+   * @param {Object} data - { playerId, playerName }
+   */
+  handlePlayerReconnected(data) {
+    const player = this.playersMap.get(data.playerId);
+    if (player) {
+      player.isConnected = true;
+    }
+    this._notifyStateChange('player-reconnected', data);
+  }
+
+  /**
+   * Restaura el estado completo tras recuperar la sesión
+   * @param {Object} data - Estado de la sala y de la ronda en curso
+   */
+  handleSessionResumed(data) {
+    this._restoreSnapshot(data, 'session-resumed');
+  }
+
+  /**
+   * Carga la partida en curso al entrar como espectador a mitad de juego
+   * @param {Object} data - Estado de la sala y de la ronda en curso
+   */
+  handleGameInProgress(data) {
+    this._restoreSnapshot(data, 'game-in-progress');
+  }
+
+  /**
+   * Aplica una instantánea completa de la sala y de la ronda en curso
+   * @private
+   * @param {Object} data - Estado enviado por el servidor
+   * @param {string} changeType - Tipo de cambio a notificar
+   */
+  _restoreSnapshot(data, changeType) {
+    this.roomCode = data.roomCode;
+    this.playerId = data.playerId;
+    this.roomState = data.state;
+    this.currentRound = data.currentRound;
+    this.maxRounds = data.maxRounds;
+    this.settings = data.settings;
+    this.hasPassword = !!data.hasPassword;
+    this.chatMessages = data.chatHistory || [];
+    this.isPractice = !!data.isPractice;
+    this.practiceStats = data.practiceStats || null;
+    this._updatePlayers(data.players);
+
+    const player = this.playersMap.get(data.playerId);
+    if (player && player.name) {
+      this.playerName = player.name;
+    }
+
+    this.selectedHeight = data.selectedHeight;
+    this.selectedStake = data.selectedStake || 0;
+    this.timeRemaining = data.timeRemaining;
+    this.selectionLocked = data.state !== 'selection';
+    this.lockedPlayerIds = new Set(
+      (data.players || []).filter(p => p.hasLockedIn).map(p => p.id)
+    );
+    this.hasLockedIn = this.lockedPlayerIds.has(data.playerId);
+    this.lastWallHole = data.holePosition;
+    this.lastRoundResults = data.results || [];
+    this.pickDistribution = data.pickDistribution || [];
+    this.finalScores = data.finalScores || [];
+    this.teamScores = data.teamScores || [];
+    this.matchId = data.matchId || null;
+    this.seedCommitment = data.seedCommitment || null;
+    this.lastRevealVerified = null;
+    this.holeTolerance = data.holeTolerance || 0;
+    this.tiebreak = {
+      round: data.tiebreakRound || 0,
+      maxRounds: data.settings ? data.settings.maxTiebreakRounds : 0,
+      playerIds: data.tiebreakPlayerIds || []
+    };
+    this.roundAbilities = data.roundAbilities || [];
+    this.shieldActive = !!data.shieldActive;
+    this.abilityHint = null;
+    this.isPaused = data.state === 'paused';
+    this.pausedPhase = data.pausedPhase || null;
+
+    // Determinar la pantalla según el estado de la sala
+    if (data.state === 'selection' || data.state === 'revealing' || data.state === 'paused') {
+      this.screen = 'game';
+    } else if (data.state === 'game-over') {
+      this.screen = 'results';
+    } else {
+      this.screen = 'lobby';
+    }
+
+    if (data.state === 'selection') {
+      this._startCountdown();
+    } else {
+      this._stopCountdown();
+    }
+
+    this._notifyStateChange(changeType, data);
+    
+    if (data.seed) {
+      this._verifyWallReveal(data.seed, data.holePosition);
+    }
+  }
+
+  /**
+   * Actualiza el estado cuando no se pudo recuperar la sesión
+   * @param {Object} data - { message }
+   */
+  handleResumeFailed(data) {
+    this._stopCountdown();
+    this._notifyStateChange('resume-failed', data);
+  }
+
   /**
    * Actualiza el estado cuando se desconecta del servidor
    * @param {Object} data - { reason, isIntentional }
@@ -307,12 +704,38 @@ class StateManager {
    * @param {number} height - Altura seleccionada (1-10)
    */
   setSelectedHeight(height) {
-    if (!this.selectionLocked && height >= 1 && height <= 10) {
+    if (!this.selectionLocked && !this.hasLockedIn && height >= 1 && height <= 10) {
       this.selectedHeight = height;
       this._notifyStateChange('height-selected', { height });
     }
   }
 
+  /**
+   * Establece la apuesta de la selección actual
+   * @param {number} stake - Puntos apostados
+   */
+  setSelectedStake(stake) {
+    if (!this.selectionLocked && !this.hasLockedIn) {
+      this.selectedStake = stake;
+    }
+  }
+
+  /**
+   * Calcula la apuesta máxima del jugador actual en esta ronda
+   * Nadie puede apostar puntos que no tiene; en los desempates no se apuesta
+   * @returns {number}
+   */
+  getMaxStake() {
+    if (!this.isWagerMode() || this.tiebreak.round > 0) {
+      return 0;
+    }
+    
+    const available = Math.max(0, this.scores.get(this.playerId) || 0);
+    const budget = this.settings.wagerBudget;
+    
+    return budget > 0 ? Math.min(available, budget) : available;
+  }
+
   /**
    * Reinicia el estado para un nuevo juego
    */
@@ -320,12 +743,28 @@ class StateManager {
     this.currentRound = 0;
     this.scores.clear();
     this.selectedHeight = null;
+    this.selectedStake = 0;
     this.selectionLocked = false;
+    this.hasLockedIn = false;
+    this.lockedPlayerIds.clear();
     this.lastWallHole = null;
     this.lastRoundResults = [];
+    this.pickDistribution = [];
+    this.seedCommitment = null;
+    this.lastRevealVerified = null;
+    this.holeTolerance = 0;
+    this.tiebreak = { round: 0, maxRounds: 0, playerIds: [] };
+    this.roundAbilities = [];
+    this.shieldActive = false;
+    this.abilityHint = null;
     this.finalScores = [];
+    this.teamScores = [];
+    this.matchId = null;
     this.restartConsents = 0;
     this.restartTotal = 0;
+    this.practiceStats = null;
+    this.isPaused = false;
+    this.pausedPhase = null;
     this.screen = 'lobby';
     
     this._notifyStateChange('game-reset', {});
@@ -338,6 +777,11 @@ class StateManager {
     this.screen = 'home';
     this.roomCode = null;
     this.roomState = null;
+    this.settings = null;
+    this.hasPassword = false;
+    this.chatMessages = [];
+    this.isPractice = false;
+    this.practiceStats = null;
     this.playerId = null;
     this.playerName = null;
     this.socketId = null;
@@ -347,13 +791,28 @@ class StateManager {
     this.maxRounds = 10;
     this.scores.clear();
     this.selectedHeight = null;
+    this.selectedStake = 0;
     this.timeRemaining = 0;
     this.selectionLocked = false;
+    this.hasLockedIn = false;
+    this.lockedPlayerIds.clear();
+    this.isPaused = false;
+    this.pausedPhase = null;
     this.lastWallHole = null;
     this.lastRoundResults = [];
+    this.pickDistribution = [];
+    this.seedCommitment = null;
+    this.lastRevealVerified = null;
+    this.holeTolerance = 0;
+    this.tiebreak = { round: 0, maxRounds: 0, playerIds: [] };
+    this.roundAbilities = [];
+    this.shieldActive = false;
+    this.abilityHint = null;
     this.restartConsents = 0;
     this.restartTotal = 0;
     this.finalScores = [];
+    this.teamScores = [];
+    this.matchId = null;
     
     this._stopCountdown();
     this._notifyStateChange('state-cleared', {});
@@ -387,6 +846,46 @@ class StateManager {
     });
   }
 
+  /**
+   * Verifica la pared revelada repitiendo el cálculo del servidor:
+   * compromiso = SHA-256(semilla) y
+   * hueco = (primeros 4 bytes de SHA-256("wall:" + semilla) como uint32) % 10 + 1
+   * @private
+   */
+  async _verifyWallReveal(seed, holePosition) {
+    const commitment = this.seedCommitment;
+    const round = this.currentRound;
+    
+    if (!seed || !commitment || !(window.crypto && window.crypto.subtle)) {
+      this.lastRevealVerified = null;
+      this._notifyStateChange('wall-verified', { verified: null });
+      return;
+    }
+    
+    try {
+      const encoder = new TextEncoder();
+      const seedHash = await window.crypto.subtle.digest('SHA-256', encoder.encode(seed));
+      const wallHash = await window.crypto.subtle.digest('SHA-256', encoder.encode(`wall:${seed}`));
+      
+      const seedHashHex = Array.from(new Uint8Array(seedHash))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+      const expectedHole = (new DataView(wallHash).getUint32(0) % 10) + 1;
+      
+      // Ignorar el resultado si ya empezó otra ronda mientras se calculaba
+      if (round !== this.currentRound) {
+        return;
+      }
+      
+      this.lastRevealVerified = seedHashHex === commitment && expectedHole === holePosition;
+    } catch (error) {
+      console.error('Error al verificar la pared:', error);
+      this.lastRevealVerified = null;
+    }
+    
+    this._notifyStateChange('wall-verified', { verified: this.lastRevealVerified });
+  }
+
   /**
    * Inicia la cuenta regresiva del temporizador
    * @private
@@ -485,8 +984,57 @@ class StateManager {
    * @returns {boolean}
    */
   areAllPlayersReady() {
-    return this.players.length > 0 && 
-           this.players.every(p => p.isReady);
+    const participants = this.getParticipants();
+    return participants.length > 0 && 
+           participants.every(p => p.isReady);
+  }
+
+  /**
+   * Obtiene los jugadores de la partida, sin los espectadores
+   * @returns {Array}
+   */
+  getParticipants() {
+    return this.players.filter(p => p.role !== 'spectator');
+  }
+
+  /**
+   * Verifica si el jugador actual entró en la sala como espectador
+   * @returns {boolean}
+   */
+  isCurrentPlayerSpectator() {
+    const player = this.getCurrentPlayer();
+    return player ? player.role === 'spectator' : false;
+  }
+
+  /**
+   * Verifica si el jugador actual puede ver el chat de la sala
+   * La práctica en solitario no tiene chat y la sala puede ocultárselo a los espectadores
+   * @returns {boolean}
+   */
+  canUseChat() {
+    if (!this.roomCode || this.isPractice) {
+      return false;
+    }
+    
+    return !this.isCurrentPlayerSpectator() || !this.settings || this.settings.spectatorChat !== false;
+  }
+
+  /**
+   * Verifica si el jugador actual puede reaccionar: solo durante la revelación y si saltó en la ronda
+   * @returns {boolean}
+   */
+  canReact() {
+    return !this.isPractice && !this.isPaused &&
+      this.lastRoundResults.some(result => result.playerId === this.playerId);
+  }
+
+  /**
+   * Verifica si el anfitrión silenció al jugador actual en el chat
+   * @returns {boolean}
+   */
+  isCurrentPlayerMuted() {
+    const player = this.getCurrentPlayer();
+    return player ? !!player.isMuted : false;
   }
 
   /**
@@ -498,6 +1046,87 @@ class StateManager {
     return player ? player.isHost : false;
   }
 
+  /**
+   * Verifica si el jugador actual quedó eliminado (modo eliminación)
+   * @returns {boolean}
+   */
+  isCurrentPlayerEliminated() {
+    const player = this.getCurrentPlayer();
+    return player ? !!player.isEliminated : false;
+  }
+
+  /**
+   * Verifica si el jugador actual solo observa la ronda en curso
+   * (espectador, eliminado, o fuera de un desempate entre otros jugadores)
+   * @returns {boolean}
+   */
+  isCurrentPlayerSpectating() {
+    if (this.isCurrentPlayerSpectator()) {
+      return true;
+    }
+    if (this.tiebreak.round > 0) {
+      return !this.tiebreak.playerIds.includes(this.playerId);
+    }
+    return this.isCurrentPlayerEliminated();
+  }
+
+  /**
+   * Verifica si la sala juega por equipos
+   * @returns {boolean}
+   */
+  isTeamMode() {
+    return !!this.settings && this.settings.teamMode === true;
+  }
+
+  /**
+   * Verifica si la sala juega en modo eliminación
+   * @returns {boolean}
+   */
+  isEliminationMode() {
+    return !!this.settings && this.settings.gameMode === 'elimination';
+  }
+
+  /**
+   * Verifica si la ronda actual no tiene temporizador (práctica sin límite de tiempo)
+   * @returns {boolean}
+   */
+  isUntimedRound() {
+    return this.isPractice && !!this.settings && this.settings.selectionDuration === 0;
+  }
+
+  /**
+   * Obtiene las habilidades que le quedan al jugador actual
+   * @returns {Array<string>}
+   */
+  getRemainingAbilities() {
+    const player = this.getCurrentPlayer();
+    return player && player.abilities ? player.abilities : [];
+  }
+
+  /**
+   * Verifica si la sala juega con habilidades
+   * @returns {boolean}
+   */
+  isAbilitiesMode() {
+    return !!this.settings && this.settings.abilitiesEnabled === true;
+  }
+
+  /**
+   * Verifica si la sala juega con apuestas
+   * @returns {boolean}
+   */
+  isWagerMode() {
+    return !!this.settings && this.settings.wagerMode === true;
+  }
+
+  /**
+   * Verifica si la sala aplica la regla de alturas únicas
+   * @returns {boolean}
+   */
+  isUniquePickMode() {
+    return !!this.settings && !!this.settings.uniquePickRule && this.settings.uniquePickRule !== 'off';
+  }
+
   /**
    * Obtiene el número de jugadores conectados
    * @returns {number}
@@ -515,6 +1144,7 @@ class StateManager {
       screen: this.screen,
       roomCode: this.roomCode,
       roomState: this.roomState,
+      settings: this.settings,
       playerId: this.playerId,
       playerName: this.playerName,
       socketId: this.socketId,
@@ -523,13 +1153,26 @@ class StateManager {
       maxRounds: this.maxRounds,
       scores: Object.fromEntries(this.scores),
       selectedHeight: this.selectedHeight,
+      selectedStake: this.selectedStake,
       timeRemaining: this.timeRemaining,
       selectionLocked: this.selectionLocked,
+      hasLockedIn: this.hasLockedIn,
+      lockedPlayerIds: Array.from(this.lockedPlayerIds),
       lastWallHole: this.lastWallHole,
       lastRoundResults: this.lastRoundResults,
+      pickDistribution: this.pickDistribution,
+      seedCommitment: this.seedCommitment,
+      lastRevealVerified: this.lastRevealVerified,
+      holeTolerance: this.holeTolerance,
+      tiebreak: this.tiebreak,
+      roundAbilities: this.roundAbilities,
+      shieldActive: this.shieldActive,
+      abilityHint: this.abilityHint,
       restartConsents: this.restartConsents,
       restartTotal: this.restartTotal,
-      finalScores: this.finalScores
+      finalScores: this.finalScores,
+      teamScores: this.teamScores,
+      matchId: this.matchId
     };
   }
 }
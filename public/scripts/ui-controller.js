@@ -1,3 +1,28 @@
+/**
+ * Equipos disponibles en modo por equipos (mismo orden que en el servidor)
+ */
+const TEAMS = {
+  red: { name: 'Rojo', icon: '🔴' },
+  blue: { name: 'Azul', icon: '🔵' },
+  green: { name: 'Verde', icon: '🟢' },
+  yellow: { name: 'Amarillo', icon: '🟡' }
+};
+
+/**
+ * Habilidades de un solo uso por partida (mismo orden que en el servidor)
+ */
+const ABILITIES = {
+  hint: { name: 'Pista', icon: '💡' },
+  shield: { name: 'Escudo', icon: '🛡️' },
+  double: { name: 'Doble', icon: '✖️' },
+  peek: { name: 'Espiar', icon: '👀' }
+};
+
+/**
+ * Emojis de reacción durante la revelación (mismo orden que en el servidor)
+ */
+const REACTION_EMOJIS = ['👏', '😂', '😱', '🔥', '😭', '🎉'];
+
 /**
  * UIController - Controlador de interfaz de usuario
  * Conecta el StateManager con los elementos DOM y gestiona las interacciones del usuario
@@ -18,43 +43,123 @@ class UIController {
     // Referencias a elementos DOM - Home
     this.homeElements = {
       createRoomBtn: document.getElementById('create-room-btn'),
+      createPasswordInput: document.getElementById('create-password-input'),
       roomCodeInput: document.getElementById('room-code-input'),
       joinRoomBtn: document.getElementById('join-room-btn'),
+      spectateCheckbox: document.getElementById('spectate-checkbox'),
+      passwordPrompt: document.getElementById('password-prompt'),
+      passwordPromptMessage: document.getElementById('password-prompt-message'),
+      joinPasswordInput: document.getElementById('join-password-input'),
+      passwordSubmitBtn: document.getElementById('password-submit-btn'),
+      passwordCancelBtn: document.getElementById('password-cancel-btn'),
+      quickPlayBtn: document.getElementById('quick-play-btn'),
+      publicRoomsList: document.getElementById('public-rooms-list'),
+      practiceBtn: document.getElementById('practice-btn'),
+      practiceTimerSelect: document.getElementById('practice-timer'),
       errorMessage: document.getElementById('home-error')
     };
     
+    // Referencias a elementos DOM - Chat (común a lobby, partida y resultados)
+    this.chatElements = {
+      panel: document.getElementById('chat-panel'),
+      toggle: document.getElementById('chat-toggle'),
+      unread: document.getElementById('chat-unread'),
+      messages: document.getElementById('chat-messages'),
+      input: document.getElementById('chat-input'),
+      sendBtn: document.getElementById('chat-send-btn')
+    };
+    
     // Elementos de notificación global
     this.notificationContainer = this._createNotificationContainer();
     
     // Referencias a elementos DOM - Lobby
     this.lobbyElements = {
       roomCodeDisplay: document.getElementById('room-code-display'),
+      roomLockIndicator: document.getElementById('room-lock-indicator'),
       copyCodeBtn: document.getElementById('copy-code-btn'),
+      copyLinkBtn: document.getElementById('copy-link-btn'),
+      inviteQrContainer: document.getElementById('invite-qr-container'),
+      inviteQr: document.getElementById('invite-qr'),
+      passwordControls: document.getElementById('room-password-controls'),
+      roomPasswordInput: document.getElementById('room-password-input'),
+      setPasswordBtn: document.getElementById('set-password-btn'),
+      clearPasswordBtn: document.getElementById('clear-password-btn'),
+      leaveBtn: document.getElementById('lobby-leave-btn'),
       copyFeedback: document.getElementById('copy-feedback'),
       playerNameInput: document.getElementById('player-name-input'),
       nameError: document.getElementById('name-error'),
       playersList: document.getElementById('players-list'),
       playerCount: document.getElementById('player-count'),
       readyBtn: document.getElementById('ready-btn'),
-      readyInfo: document.getElementById('ready-info')
+      forceStartBtn: document.getElementById('force-start-btn'),
+      readyInfo: document.getElementById('ready-info'),
+      teamPicker: document.getElementById('team-picker'),
+      teamPickerButtons: document.getElementById('team-picker-buttons'),
+      botControls: document.getElementById('bot-controls'),
+      botStrategySelect: document.getElementById('bot-strategy'),
+      addBotBtn: document.getElementById('add-bot-btn'),
+      settingInputs: {
+        maxRounds: document.getElementById('setting-max-rounds'),
+        selectionDuration: document.getElementById('setting-selection-duration'),
+        revealDuration: document.getElementById('setting-reveal-duration'),
+        perfect: document.getElementById('setting-score-perfect'),
+        tooLow: document.getElementById('setting-score-too-low'),
+        tooHigh: document.getElementById('setting-score-too-high'),
+        scoringStrategy: document.getElementById('setting-scoring-strategy'),
+        gameMode: document.getElementById('setting-game-mode'),
+        startingLives: document.getElementById('setting-starting-lives'),
+        teamMode: document.getElementById('setting-team-mode'),
+        teamCount: document.getElementById('setting-team-count'),
+        tiebreakEnabled: document.getElementById('setting-tiebreak-enabled'),
+        maxTiebreakRounds: document.getElementById('setting-max-tiebreak-rounds'),
+        uniquePickRule: document.getElementById('setting-unique-pick-rule'),
+        wagerMode: document.getElementById('setting-wager-mode'),
+        wagerMultiplier: document.getElementById('setting-wager-multiplier'),
+        wagerBudget: document.getElementById('setting-wager-budget'),
+        abilitiesEnabled: document.getElementById('setting-abilities-enabled'),
+        isPublic: document.getElementById('setting-is-public'),
+        spectatorChat: document.getElementById('setting-spectator-chat')
+      },
+      saveSettingsBtn: document.getElementById('save-settings-btn'),
+      settingsInfo: document.getElementById('settings-info')
     };
     
     // Referencias a elementos DOM - Game
     this.gameElements = {
       playerNameDisplay: document.getElementById('player-name-display'),
+      roundLabel: document.getElementById('round-label'),
       roundDisplay: document.getElementById('round-display'),
       timerDisplay: document.getElementById('timer-display'),
       wallDisplay: document.getElementById('wall-display'),
       playersPositions: document.getElementById('players-positions'),
       heightButtons: document.querySelectorAll('.height-btn'),
+      lockInBtn: document.getElementById('lock-in-btn'),
+      wagerSection: document.getElementById('wager-section'),
+      stakeInput: document.getElementById('stake-input'),
+      stakeMax: document.getElementById('stake-max'),
+      abilityBar: document.getElementById('ability-bar'),
+      reactionBar: document.getElementById('reaction-bar'),
       selectionFeedback: document.getElementById('selection-feedback'),
-      scoresTable: document.getElementById('scores-table')
+      scoresTable: document.getElementById('scores-table'),
+      spectatorPicks: document.getElementById('spectator-picks'),
+      spectatorPicksList: document.getElementById('spectator-picks-list'),
+      fairnessBadge: document.getElementById('fairness-badge'),
+      practiceStats: document.getElementById('practice-stats'),
+      endPracticeBtn: document.getElementById('end-practice-btn'),
+      pauseBtn: document.getElementById('pause-btn'),
+      leaveBtn: document.getElementById('game-leave-btn'),
+      pausedOverlay: document.getElementById('paused-overlay'),
+      pausedMessage: document.getElementById('paused-message'),
+      resumeBtn: document.getElementById('resume-btn')
     };
     
     // Referencias a elementos DOM - Results
     this.resultsElements = {
       leaderboardList: document.getElementById('leaderboard-list'),
+      practiceSummary: document.getElementById('practice-summary'),
+      matchLink: document.getElementById('match-link'),
       restartBtn: document.getElementById('restart-btn'),
+      leaveBtn: document.getElementById('results-leave-btn'),
       restartCount: document.getElementById('restart-count'),
       restartTotal: document.getElementById('restart-total'),
       restartProgressBar: document.getElementById('restart-progress-bar')
@@ -65,6 +170,9 @@ class UIController {
     this.previousScores = new Map();
     this.isReconnecting = false;
     this.reconnectNotificationId = null;
+    this.pendingJoin = null; // { roomCode, role, fromInvite? } de la última unión pedida desde inicio
+    this.pendingInvite = null; // Código del enlace de invitación, a la espera de conectar
+    this.chatUnread = 0; // Mensajes recibidos con el chat plegado
     
     // Inicializar
     this._setupEventListeners();
@@ -95,13 +203,31 @@ class UIController {
     // Home screen
     this.homeElements.createRoomBtn.addEventListener('click', () => this._handleCreateRoom());
     this.homeElements.joinRoomBtn.addEventListener('click', () => this._handleJoinRoom());
+    this.homeElements.quickPlayBtn.addEventListener('click', () => this.client.quickPlay());
+    this.homeElements.practiceBtn.addEventListener('click', () => this._handleStartPractice());
     this.homeElements.roomCodeInput.addEventListener('input', (e) => this._handleRoomCodeInput(e));
     this.homeElements.roomCodeInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this._handleJoinRoom();
     });
+    this.homeElements.passwordSubmitBtn.addEventListener('click', () => this._handlePasswordSubmit());
+    this.homeElements.passwordCancelBtn.addEventListener('click', () => this._hidePasswordPrompt());
+    this.homeElements.joinPasswordInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this._handlePasswordSubmit();
+    });
+    
+    // Chat
+    this.chatElements.toggle.addEventListener('click', () => this._toggleChat());
+    this.chatElements.sendBtn.addEventListener('click', () => this._handleSendChat());
+    this.chatElements.input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this._handleSendChat();
+    });
     
     // Lobby screen
     this.lobbyElements.copyCodeBtn.addEventListener('click', () => this._handleCopyCode());
+    this.lobbyElements.copyLinkBtn.addEventListener('click', () => this._handleCopyLink());
+    this.lobbyElements.leaveBtn.addEventListener('click', () => this.client.leaveRoom());
+    this.lobbyElements.setPasswordBtn.addEventListener('click', () => this._handleSetRoomPassword());
+    this.lobbyElements.clearPasswordBtn.addEventListener('click', () => this.client.setRoomPassword(''));
     this.lobbyElements.playerNameInput.addEventListener('input', (e) => this._handleNameInput(e));
     this.lobbyElements.playerNameInput.addEventListener('keypress', (e) => {
       if (e.key === 'Enter' && !this.lobbyElements.readyBtn.disabled) {
@@ -109,14 +235,24 @@ class UIController {
       }
     });
     this.lobbyElements.readyBtn.addEventListener('click', () => this._handlePlayerReady());
+    this.lobbyElements.forceStartBtn.addEventListener('click', () => this.client.forceStart());
+    this.lobbyElements.saveSettingsBtn.addEventListener('click', () => this._handleSaveSettings());
+    this.lobbyElements.addBotBtn.addEventListener('click', () => this.client.addBot(this.lobbyElements.botStrategySelect.value));
     
     // Game screen
     this.gameElements.heightButtons.forEach(btn => {
       btn.addEventListener('click', () => this._handleHeightSelection(btn));
     });
+    this.gameElements.lockInBtn.addEventListener('click', () => this._handleLockIn());
+    this.gameElements.stakeInput.addEventListener('change', () => this._handleStakeChange());
+    this.gameElements.endPracticeBtn.addEventListener('click', () => this.client.endPractice());
+    this.gameElements.pauseBtn.addEventListener('click', () => this.client.pauseGame());
+    this.gameElements.leaveBtn.addEventListener('click', () => this.client.leaveRoom());
+    this.gameElements.resumeBtn.addEventListener('click', () => this.client.resumeGame());
     
     // Results screen
     this.resultsElements.restartBtn.addEventListener('click', () => this._handleRestart());
+    this.resultsElements.leaveBtn.addEventListener('click', () => this.client.leaveRoom());
   }
 
   /**
@@ -140,6 +276,14 @@ class UIController {
       case 'connected':
         console.log('UI: Conectado al servidor');
         this._showNotification('Conectado al servidor', 'success', 2000);
+        if (this.currentScreen === 'home') {
+          this.client.listRooms();
+          this._joinPendingInvite();
+        }
+        break;
+        
+      case 'rooms-list':
+        this._renderPublicRooms(state.publicRooms);
         break;
         
       case 'room-created':
@@ -151,16 +295,51 @@ class UIController {
       case 'room-joined':
         this._showScreen('lobby');
         this._updateRoomCode(state.roomCode);
+        this._renderRoomSettings(state.settings);
+        this._updateForceStartButton();
+        this._renderRoomPassword();
+        this._hidePasswordPrompt();
+        this._renderChatMessages();
+        this._renderChatPanel();
         this._hideError();
         break;
         
+      case 'chat-message':
+        this._renderChatMessages();
+        if (this.chatElements.panel.classList.contains('collapsed') && data.playerId !== state.playerId) {
+          this.chatUnread++;
+          this._renderChatUnread();
+        }
+        break;
+        
       case 'room-error':
         this._handleRoomError(data.message);
         break;
         
+      case 'password-required':
+        this._showPasswordPrompt(data);
+        break;
+        
+      case 'room-password-updated':
+        this._renderRoomPassword();
+        this._showNotification(
+          data.hasPassword ? 'La sala ahora pide contraseña' : 'La sala ya no pide contraseña',
+          'info',
+          3000
+        );
+        break;
+        
       case 'player-list-updated':
         this._renderPlayersList(data.players);
         this._updateReadyButton();
+        this._updateForceStartButton();
+        this._updateSettingsEditable();
+        this._renderTeamPicker();
+        if (state.screen === 'game' && !state.selectionLocked) {
+          this._renderLockStatus(state);
+        }
+        this._renderPauseControls(state);
+        this._renderChatPanel();
         break;
         
       case 'player-name-set':
@@ -171,14 +350,25 @@ class UIController {
         this._showScreen('game');
         this._updatePlayerNameDisplay();
         this._resetGameUI();
+        this._renderPracticeStats(state);
+        this._renderPauseControls(state);
         break;
         
       case 'round-started':
         this._updateRoundDisplay(data.roundNumber, state.maxRounds);
         this._updateTimer(data.duration);
         this._enableHeightSelection();
+        this._renderReactionBar();
+        this._renderWagerControls(state);
+        this._renderAbilityBar(state);
         this._clearWallVisualization();
-        this.gameElements.selectionFeedback.textContent = '';
+        this._renderLockStatus(state);
+        this.gameElements.selectionFeedback.textContent = this._getRoundHint(state);
+        
+        if (this.state.isCurrentPlayerSpectating()) {
+          this._disableHeightSelection();
+        }
+        this._renderSpectatorPicks(state);
         break;
         
       case 'timer-tick':
@@ -187,18 +377,92 @@ class UIController {
         
       case 'height-selected':
         this._updateHeightButtons(data.height);
-        this.gameElements.selectionFeedback.textContent = `Has seleccionado altura ${data.height}`;
+        this.gameElements.lockInBtn.disabled = false;
+        this.gameElements.selectionFeedback.textContent = this._getSelectionFeedback(data.height, state.selectedStake);
+        break;
+        
+      case 'player-locked':
+        this._renderLockStatus(state);
+        if (data.playerId === state.playerId) {
+          this._disableHeightSelection();
+          this.gameElements.selectionFeedback.textContent = `Altura ${state.selectedHeight} confirmada. Esperando al resto...`;
+        }
+        break;
+        
+      case 'tiebreak-started':
+        this._showNotification(`¡Empate! Desempate a muerte súbita entre ${data.playerNames.join(', ')}`, 'warning', 5000);
+        break;
+        
+      case 'room-left':
+        this._showNotification('Has salido de la sala', 'info', 3000);
+        this._returnToHome();
+        break;
+        
+      case 'kicked':
+        this._showNotification(data.message, 'error', 5000);
+        this._returnToHome();
+        break;
+        
+      case 'host-changed':
+        this._showNotification(
+          data.hostId === state.playerId ? 'Ahora eres el anfitrión' : `${data.hostName} es ahora el anfitrión`,
+          'info',
+          3000
+        );
+        break;
+        
+      case 'game-paused':
+        this._updateTimer(data.timeRemaining);
+        this._renderPauseControls(state);
+        this._renderReactionBar();
+        if (data.pausedBy) {
+          this.gameElements.pausedMessage.textContent = `${data.pausedBy} pausó la partida`;
+        }
+        break;
+        
+      case 'game-resumed':
+        this._updateTimer(data.timeRemaining);
+        this._renderPauseControls(state);
+        this._renderReactionBar();
+        this._showNotification('La partida continúa', 'info', 2000);
         break;
         
       case 'selection-locked':
         this._disableHeightSelection();
-        this.gameElements.selectionFeedback.textContent = '¡Tiempo agotado! Esperando resultados...';
+        this._renderAbilityBar(state);
+        this.gameElements.selectionFeedback.textContent = 'Selección cerrada. Esperando resultados...';
+        break;
+        
+      case 'ability-used':
+        this._renderAbilityBar(state);
+        this.gameElements.selectionFeedback.textContent = this._describeAbilityEffect(data);
+        if (data.ability === 'hint') {
+          this._showHintZone(data.hint);
+        }
+        break;
+        
+      case 'player-used-ability':
+        if (data.playerId !== state.playerId) {
+          this._showNotification(`${data.playerName} usó ${ABILITIES[data.ability].icon} ${ABILITIES[data.ability].name}`, 'info', 2500);
+        }
         break;
         
       case 'wall-revealed':
-        this._showWallHole(data.holePosition);
+        this._showWallHole(data.holePosition, state.holeTolerance);
+        this._showPickDistribution(state.pickDistribution);
         this._showPlayerPositions(data.results);
         this._updateScoresTable(state.scores);
+        this._renderPracticeStats(state);
+        this._renderSpectatorPicks(state);
+        this._renderReactionBar();
+        break;
+        
+      case 'reaction':
+        this._showFloatingReaction(data.playerId, data.emoji);
+        break;
+        
+      case 'wall-verified':
+        this._updateFairnessBadge(data.verified);
         break;
         
       case 'round-ended':
@@ -207,7 +471,9 @@ class UIController {
         
       case 'game-ended':
         this._showScreen('results');
-        this._renderLeaderboard(data.finalScores);
+        this._renderLeaderboard(data.finalScores, data.teamScores);
+        this._renderPracticeSummary(state);
+        this._renderMatchLink(state);
         break;
         
       case 'restart-status':
@@ -215,6 +481,10 @@ class UIController {
         break;
         
       case 'game-restarted':
+        // La práctica empieza de nuevo directamente, sin pasar por el lobby
+        if (state.isPractice) {
+          break;
+        }
         this._showScreen('lobby');
         this._showNotification('¡Juego reiniciado! Todos vuelven al lobby', 'success', 3000);
         break;
@@ -229,6 +499,34 @@ class UIController {
         this._showNotification('Un jugador se ha desconectado', 'warning', 3000);
         break;
         
+      case 'player-reconnected':
+        this._renderPlayersList(state.players);
+        this._showNotification(`${data.playerName || 'Un jugador'} se ha reconectado`, 'info', 3000);
+        break;
+        
+      case 'session-resumed':
+        this._handleSessionResumed(data, state);
+        break;
+        
+      case 'game-in-progress':
+        this._restoreScreen(state);
+        this._showNotification(
+          this._getRoundHint(state) || 'Estás siguiendo la partida como espectador',
+          'info',
+          5000
+        );
+        break;
+        
+      case 'room-closed':
+        this._showNotification(data.message || 'La sala se ha cerrado', 'warning', 5000);
+        this._returnToHome();
+        break;
+        
+      case 'resume-failed':
+        this._showNotification(data.message || 'No se pudo recuperar la sesión', 'error', 5000);
+        this._returnToHome();
+        break;
+        
       case 'connection-lost':
         this._handleConnectionLost(data);
         break;
@@ -270,6 +568,8 @@ class UIController {
   _showScreen(screenName) {
     if (this.currentScreen === screenName) return;
     
+    const previousScreen = this.currentScreen;
+    
     // Ocultar pantalla actual
     if (this.screens[this.currentScreen]) {
       this.screens[this.currentScreen].classList.remove('active');
@@ -280,6 +580,156 @@ class UIController {
       this.screens[screenName].classList.add('active');
       this.currentScreen = screenName;
     }
+    
+    // El listado de salas públicas solo se sigue desde la pantalla de inicio
+    if (this.client.isConnected && screenName === 'home') {
+      this.client.listRooms();
+    } else if (this.client.isConnected && previousScreen === 'home') {
+      this.client.unwatchRooms();
+    }
+    
+    this._renderChatPanel();
+  }
+
+  // ==================== Renderizado de UI - Chat ====================
+
+  /**
+   * Muestra el chat solo dentro de una sala y a quien puede usarlo
+   * @private
+   */
+  _renderChatPanel() {
+    const inRoom = ['lobby', 'game', 'results'].includes(this.currentScreen);
+    const muted = this.state.isCurrentPlayerMuted();
+    
+    this.chatElements.panel.style.display = inRoom && this.state.canUseChat() ? '' : 'none';
+    this.chatElements.input.disabled = muted;
+    this.chatElements.sendBtn.disabled = muted;
+    this.chatElements.input.placeholder = muted ? 'El anfitrión te ha silenciado' : 'Escribe un mensaje...';
+  }
+
+  /**
+   * Dibuja los mensajes del chat y baja hasta el último
+   * @private
+   */
+  _renderChatMessages() {
+    const list = this.chatElements.messages;
+    list.innerHTML = '';
+    
+    if (this.state.chatMessages.length === 0) {
+      list.innerHTML = '<p class="chat-empty">Todavía no hay mensajes</p>';
+      return;
+    }
+    
+    this.state.chatMessages.forEach(message => {
+      const item = document.createElement('div');
+      item.className = 'chat-message';
+      if (message.playerId === this.state.playerId) item.classList.add('own');
+      
+      const author = document.createElement('span');
+      author.className = 'chat-author';
+      author.textContent = (message.playerName || 'Sin nombre') + (message.fromSpectator ? ' 👁️' : '');
+      
+      const text = document.createElement('span');
+      text.className = 'chat-text';
+      text.textContent = message.text;
+      
+      item.appendChild(author);
+      item.appendChild(text);
+      list.appendChild(item);
+    });
+    
+    list.scrollTop = list.scrollHeight;
+  }
+
+  /**
+   * Actualiza el contador de mensajes sin leer del chat plegado
+   * @private
+   */
+  _renderChatUnread() {
+    this.chatElements.unread.textContent = this.chatUnread > 9 ? '9+' : String(this.chatUnread);
+    this.chatElements.unread.style.display = this.chatUnread > 0 ? '' : 'none';
+  }
+
+  /**
+   * Pliega o despliega el chat
+   * @private
+   */
+  _toggleChat() {
+    const collapsed = this.chatElements.panel.classList.toggle('collapsed');
+    
+    if (!collapsed) {
+      this.chatUnread = 0;
+      this._renderChatUnread();
+      this.chatElements.messages.scrollTop = this.chatElements.messages.scrollHeight;
+      this.chatElements.input.focus();
+    }
+  }
+
+  /**
+   * Envía el mensaje escrito en el chat
+   * @private
+   */
+  _handleSendChat() {
+    const input = this.chatElements.input;
+    
+    if (this.client.sendChatMessage(input.value)) {
+      input.value = '';
+    }
+  }
+
+  /**
+   * Muestra el listado de salas públicas con su ocupación, estado y modo
+   * @private
+   */
+  _renderPublicRooms(rooms) {
+    const list = this.homeElements.publicRoomsList;
+    list.innerHTML = '';
+    
+    if (!rooms || rooms.length === 0) {
+      list.innerHTML = '<p class="public-rooms-empty">No hay salas públicas ahora mismo</p>';
+      return;
+    }
+    
+    const stateLabels = {
+      'lobby': 'En el lobby',
+      'waiting-ready': 'En el lobby',
+      'selection': 'En partida',
+      'revealing': 'En partida',
+      'paused': 'En pausa',
+      'game-over': 'Terminada'
+    };
+    
+    rooms.forEach(room => {
+      const occupied = room.playerCount + room.spectatorCount;
+      const inLobby = room.state === 'lobby' || room.state === 'waiting-ready';
+      const isFull = occupied >= room.maxPlayers;
+      
+      const item = document.createElement('div');
+      item.className = 'public-room-item';
+      item.innerHTML = `
+        <div class="public-room-info">
+          <div class="public-room-host"></div>
+          <div class="public-room-details">
+            ${room.playerCount}/${room.maxPlayers} jugadores · ${stateLabels[room.state] || room.state} ·
+            ${room.settings.gameMode === 'elimination' ? 'Eliminación' : `${room.settings.maxRounds} rondas`}
+          </div>
+        </div>
+      `;
+      item.querySelector('.public-room-host').textContent = (room.hasPassword ? '🔒 ' : '') + (room.hostName
+        ? `Sala de ${room.hostName}`
+        : `Sala ${room.roomCode}`);
+      
+      const joinBtn = document.createElement('button');
+      joinBtn.className = 'btn btn-secondary public-room-join';
+      joinBtn.disabled = isFull;
+      joinBtn.textContent = isFull ? 'Llena' : inLobby ? 'Unirse' : 'Mirar';
+      joinBtn.addEventListener('click', () => {
+        this._requestJoin(room.roomCode, inLobby ? 'player' : 'spectator');
+      });
+      item.appendChild(joinBtn);
+      
+      list.appendChild(item);
+    });
   }
 
   // ==================== Handlers de Eventos de Usuario ====================
@@ -322,7 +772,8 @@ class UIController {
     this.homeElements.createRoomBtn.textContent = 'Creando...';
     this._hideError();
     
-    this.client.createRoom();
+    this.client.createRoom(this.homeElements.createPasswordInput.value);
+    this.homeElements.createPasswordInput.value = '';
     
     // Re-habilitar después de un tiempo
     setTimeout(() => {
@@ -331,6 +782,22 @@ class UIController {
     }, 2000);
   }
 
+  /**
+   * Empieza una práctica en solitario con el temporizador elegido
+   * @private
+   */
+  _handleStartPractice() {
+    this.homeElements.practiceBtn.disabled = true;
+    this._hideError();
+    
+    this.client.startPractice(parseInt(this.homeElements.practiceTimerSelect.value, 10) || 0);
+    
+    // Re-habilitar después de un tiempo
+    setTimeout(() => {
+      this.homeElements.practiceBtn.disabled = false;
+    }, 2000);
+  }
+
   /**
    * Maneja la unión a una sala
    * @private
@@ -352,7 +819,7 @@ class UIController {
     this.homeElements.joinRoomBtn.textContent = 'Uniéndose...';
     this._hideError();
     
-    this.client.joinRoom(roomCode);
+    this._requestJoin(roomCode, this.homeElements.spectateCheckbox.checked ? 'spectator' : 'player');
     
     // Re-habilitar después de un tiempo
     setTimeout(() => {
@@ -362,6 +829,61 @@ class UIController {
     }, 2000);
   }
 
+  /**
+   * Pide unirse a una sala recordando el intento por si la sala pide contraseña
+   * @private
+   */
+  _requestJoin(roomCode, role, password = '') {
+    this.pendingJoin = { roomCode, role };
+    this.client.joinRoom(roomCode, role, password);
+  }
+
+  /**
+   * Muestra el diálogo de contraseña tras un error de contraseña del servidor
+   * @private
+   * @param {Object} data - { roomCode, code, message, retryAfter? }
+   */
+  _showPasswordPrompt(data) {
+    if (!this.pendingJoin || this.pendingJoin.roomCode !== data.roomCode) {
+      this.pendingJoin = { roomCode: data.roomCode, role: 'player' };
+    }
+    
+    const home = this.homeElements;
+    home.passwordPromptMessage.textContent = data.code === 'PASSWORD_REQUIRED'
+      ? `La sala ${data.roomCode} pide contraseña`
+      : data.message;
+    home.passwordPrompt.style.display = '';
+    home.joinPasswordInput.value = '';
+    home.joinPasswordInput.focus();
+    this._hideError();
+  }
+
+  /**
+   * Oculta el diálogo de contraseña y olvida la unión pendiente
+   * @private
+   */
+  _hidePasswordPrompt() {
+    this.pendingJoin = null;
+    this.homeElements.passwordPrompt.style.display = 'none';
+    this.homeElements.joinPasswordInput.value = '';
+  }
+
+  /**
+   * Reintenta la unión pendiente con la contraseña escrita
+   * @private
+   */
+  _handlePasswordSubmit() {
+    const password = this.homeElements.joinPasswordInput.value;
+    
+    if (!this.pendingJoin || !password) {
+      this.homeElements.joinPasswordInput.focus();
+      return;
+    }
+    
+    this._requestJoin(this.pendingJoin.roomCode, this.pendingJoin.role, password);
+    this.homeElements.joinPasswordInput.value = '';
+  }
+
   /**
    * Maneja la copia del código de sala
    * @private
@@ -370,16 +892,78 @@ class UIController {
     const roomCode = this.state.roomCode;
     if (!roomCode) return;
     
-    navigator.clipboard.writeText(roomCode).then(() => {
+    this._copyToClipboard(roomCode, '¡Código copiado!');
+  }
+
+  /**
+   * Maneja la copia del enlace de invitación de la sala
+   * @private
+   */
+  _handleCopyLink() {
+    const roomCode = this.state.roomCode;
+    if (!roomCode) return;
+    
+    this._copyToClipboard(this._getInviteLink(roomCode), '¡Enlace copiado!');
+  }
+
+  /**
+   * Copia un texto al portapapeles y muestra la confirmación junto al código
+   * @private
+   */
+  _copyToClipboard(text, feedback) {
+    navigator.clipboard.writeText(text).then(() => {
+      this.lobbyElements.copyFeedback.textContent = feedback;
       this.lobbyElements.copyFeedback.classList.add('show');
       setTimeout(() => {
         this.lobbyElements.copyFeedback.classList.remove('show');
       }, 2000);
     }).catch(err => {
-      console.error('Error al copiar código:', err);
+      console.error('Error al copiar:', err);
     });
   }
 
+  /**
+   * Construye el enlace que lleva directamente a la sala
+   * @private
+   */
+  _getInviteLink(roomCode) {
+    return `${window.location.origin}/?room=${encodeURIComponent(roomCode)}`;
+  }
+
+  /**
+   * Lee el código de sala del enlace de invitación (?room=XXXXXX) y lo quita de la barra de direcciones
+   * para que recargar la página no vuelva a unirse
+   * @private
+   * @returns {string|null} Código recibido o null si la página no viene de una invitación
+   */
+  _consumeInviteCode() {
+    const params = new URLSearchParams(window.location.search);
+    const roomCode = params.get('room');
+    if (roomCode === null) return null;
+    
+    params.delete('room');
+    const query = params.toString();
+    window.history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : '') + window.location.hash);
+    
+    return roomCode;
+  }
+
+  /**
+   * Se une a la sala del enlace de invitación en cuanto hay conexión
+   * @private
+   */
+  _joinPendingInvite() {
+    if (!this.pendingInvite) return;
+    
+    const roomCode = this.pendingInvite;
+    this.pendingInvite = null;
+    this.homeElements.roomCodeInput.value = roomCode;
+    this.homeElements.joinRoomBtn.disabled = false;
+    
+    this._requestJoin(roomCode, 'player');
+    this.pendingJoin.fromInvite = true;
+  }
+
   /**
    * Maneja la entrada del nombre del jugador
    * @private
@@ -437,6 +1021,51 @@ class UIController {
     }, 100);
   }
 
+  /**
+   * Envía la configuración de la partida editada por el anfitrión
+   * @private
+   */
+  _handleSaveSettings() {
+    if (!this.state.isCurrentPlayerHost()) {
+      return;
+    }
+    
+    const inputs = this.lobbyElements.settingInputs;
+    const settings = {
+      maxRounds: parseInt(inputs.maxRounds.value),
+      selectionDuration: parseInt(inputs.selectionDuration.value),
+      revealDuration: parseInt(inputs.revealDuration.value),
+      scoring: {
+        perfect: parseInt(inputs.perfect.value),
+        tooLow: parseInt(inputs.tooLow.value),
+        tooHigh: parseInt(inputs.tooHigh.value)
+      },
+      scoringStrategy: inputs.scoringStrategy.value,
+      gameMode: inputs.gameMode.value,
+      startingLives: parseInt(inputs.startingLives.value),
+      teamMode: inputs.teamMode.value === 'true',
+      teamCount: parseInt(inputs.teamCount.value),
+      tiebreakEnabled: inputs.tiebreakEnabled.value === 'true',
+      maxTiebreakRounds: parseInt(inputs.maxTiebreakRounds.value),
+      uniquePickRule: inputs.uniquePickRule.value,
+      wagerMode: inputs.wagerMode.value === 'true',
+      wagerMultiplier: parseInt(inputs.wagerMultiplier.value),
+      wagerBudget: parseInt(inputs.wagerBudget.value),
+      abilitiesEnabled: inputs.abilitiesEnabled.value === 'true',
+      isPublic: inputs.isPublic.value === 'true',
+      spectatorChat: inputs.spectatorChat.value === 'true'
+    };
+    
+    const validation = Validators.validateRoomSettings(settings);
+    if (!validation.isValid) {
+      this._showNotification(validation.error, 'error', 4000);
+      return;
+    }
+    
+    this.client.updateRoomSettings(settings);
+    this._showNotification('Configuración guardada', 'success', 2000);
+  }
+
   /**
    * Maneja la selección de altura
    * @private
@@ -447,6 +1076,15 @@ class UIController {
       return;
     }
     
+    if (this.state.hasLockedIn) {
+      this.gameElements.selectionFeedback.textContent = 'Ya confirmaste tu altura en esta ronda';
+      return;
+    }
+    
+    if (this.state.isCurrentPlayerSpectating()) {
+      return;
+    }
+    
     const height = parseInt(button.dataset.height);
     
     // Validar altura
@@ -461,17 +1099,62 @@ class UIController {
     this._disableHeightSelection();
     
     this.state.setSelectedHeight(height);
-    this.client.selectHeight(height);
+    this.client.selectHeight(height, this.state.selectedStake);
     
     // Re-habilitar botones después de un breve momento
     setTimeout(() => {
-      if (!this.state.selectionLocked) {
+      if (!this.state.selectionLocked && !this.state.hasLockedIn && !this.state.isCurrentPlayerSpectating()) {
         this._enableHeightSelection();
         this._updateHeightButtons(height);
       }
     }, 200);
   }
 
+  /**
+   * Maneja el cambio de apuesta
+   * Si ya hay una altura seleccionada, reenvía la selección con la nueva apuesta
+   * @private
+   */
+  _handleStakeChange() {
+    if (this.state.selectionLocked || this.state.hasLockedIn) {
+      return;
+    }
+    
+    const stake = parseInt(this.gameElements.stakeInput.value) || 0;
+    
+    const validation = Validators.validateStake(stake, this.state.getMaxStake());
+    if (!validation.isValid) {
+      this.gameElements.selectionFeedback.textContent = validation.error;
+      this.gameElements.stakeInput.value = this.state.selectedStake;
+      return;
+    }
+    
+    this.state.setSelectedStake(stake);
+    
+    if (this.state.selectedHeight) {
+      this.client.selectHeight(this.state.selectedHeight, stake);
+      this.gameElements.selectionFeedback.textContent = this._getSelectionFeedback(this.state.selectedHeight, stake);
+    }
+  }
+
+  /**
+   * Maneja la confirmación de la altura seleccionada
+   * @private
+   */
+  _handleLockIn() {
+    if (this.state.selectionLocked || this.state.hasLockedIn) {
+      return;
+    }
+    
+    if (!this.state.selectedHeight) {
+      this.gameElements.selectionFeedback.textContent = 'Selecciona una altura antes de confirmar';
+      return;
+    }
+    
+    this.gameElements.lockInBtn.disabled = true;
+    this.client.lockIn();
+  }
+
   /**
    * Maneja el reinicio del juego
    * @private
@@ -492,6 +1175,16 @@ class UIController {
    */
   _updateRoomCode(roomCode) {
     this.lobbyElements.roomCodeDisplay.textContent = roomCode;
+    
+    // Las prácticas en solitario no se comparten
+    const canInvite = !!roomCode && !this.state.isPractice;
+    this.lobbyElements.copyLinkBtn.style.display = canInvite ? '' : 'none';
+    this.lobbyElements.inviteQrContainer.style.display = canInvite ? '' : 'none';
+    
+    const qrSrc = canInvite ? `/invite/${encodeURIComponent(roomCode)}/qr` : '';
+    if (canInvite && this.lobbyElements.inviteQr.getAttribute('src') !== qrSrc) {
+      this.lobbyElements.inviteQr.setAttribute('src', qrSrc);
+    }
   }
 
   /**
@@ -529,6 +1222,10 @@ class UIController {
           <div class="player-name">${player.name || 'Sin nombre'}</div>
           <div class="player-badges">
             ${player.isHost ? '<span class="badge badge-host">Anfitrión</span>' : ''}
+            ${player.isBot ? '<span class="badge badge-bot">🤖 Bot</span>' : ''}
+            ${player.isMuted ? '<span class="badge badge-muted">🔇 Silenciado</span>' : ''}
+            ${player.role === 'spectator' ? `<span class="badge badge-spectator">👁️ ${player.joinsNextGame ? 'Juega la próxima' : 'Espectador'}</span>` : ''}
+            ${this.state.isTeamMode() && player.team ? `<span class="badge badge-team team-${player.team}">${TEAMS[player.team].name}</span>` : ''}
             ${isCurrentPlayer ? '<span class="badge badge-you">Tú</span>' : ''}
           </div>
         </div>
@@ -541,9 +1238,57 @@ class UIController {
       </div>
     `;
     
+    // El anfitrión puede quitar bots desde la lista
+    if (player.isBot && this.state.isCurrentPlayerHost()) {
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'remove-bot-btn';
+      removeBtn.title = 'Quitar bot';
+      removeBtn.textContent = '✕';
+      removeBtn.addEventListener('click', () => this.client.removeBot(player.id));
+      div.querySelector('.player-status').appendChild(removeBtn);
+    } else if (!player.isBot && !isCurrentPlayer && this.state.isCurrentPlayerHost()) {
+      div.querySelector('.player-status').appendChild(this._createPlayerActionsMenu(player));
+    }
+    
     return div;
   }
 
+  /**
+   * Crea el menú de moderación que el anfitrión ve junto a cada jugador
+   * @private
+   */
+  _createPlayerActionsMenu(player) {
+    const menu = document.createElement('details');
+    menu.className = 'player-actions';
+    menu.innerHTML = `
+      <summary class="player-actions-toggle" title="Acciones">⋮</summary>
+      <div class="player-actions-menu"></div>
+    `;
+    
+    const actions = [
+      { label: '👑 Hacer anfitrión', enabled: player.isConnected !== false, run: () => this.client.transferHost(player.id) },
+      { label: player.isMuted ? '🔊 Devolver la palabra' : '🔇 Silenciar en el chat', enabled: true, run: () => this.client.mutePlayer(player.id, !player.isMuted) },
+      { label: '🚪 Expulsar', enabled: true, run: () => this.client.kickPlayer(player.id) },
+      { label: '⛔ Vetar', enabled: true, run: () => this.client.banPlayer(player.id), danger: true }
+    ];
+    
+    const list = menu.querySelector('.player-actions-menu');
+    actions.forEach(action => {
+      const btn = document.createElement('button');
+      btn.className = 'player-action-btn';
+      if (action.danger) btn.classList.add('danger');
+      btn.textContent = action.label;
+      btn.disabled = !action.enabled;
+      btn.addEventListener('click', () => {
+        menu.open = false;
+        action.run();
+      });
+      list.appendChild(btn);
+    });
+    
+    return menu;
+  }
+
   /**
    * Actualiza el botón de listo
    * @private
@@ -552,12 +1297,145 @@ class UIController {
     const name = Validators.sanitizePlayerName(this.lobbyElements.playerNameInput.value);
     const currentPlayer = this.state.getCurrentPlayer();
     
-    if (currentPlayer && currentPlayer.isReady) {
+    if (currentPlayer && currentPlayer.role === 'spectator') {
+      this.lobbyElements.readyBtn.disabled = true;
+      this.lobbyElements.readyBtn.innerHTML = '<span class="btn-icon">👁️</span> Eres Espectador';
+    } else if (currentPlayer && currentPlayer.isReady) {
       this.lobbyElements.readyBtn.disabled = true;
       this.lobbyElements.readyBtn.innerHTML = '<span class="btn-icon">✓</span> Estás Listo';
     } else {
       const validation = Validators.validatePlayerName(name);
       this.lobbyElements.readyBtn.disabled = !validation.isValid;
+      this.lobbyElements.readyBtn.innerHTML = '<span class="btn-icon">✓</span> Estoy Listo';
+    }
+  }
+
+  /**
+   * Muestra al anfitrión el botón para empezar sin esperar a todos
+   * Se habilita con el mínimo de jugadores listos y mientras falte alguien por estarlo
+   * @private
+   */
+  _updateForceStartButton() {
+    const players = this.state.getParticipants();
+    const readyCount = players.filter(p => p.isReady).length;
+    const isHost = this.state.isCurrentPlayerHost();
+    
+    this.lobbyElements.forceStartBtn.style.display = isHost ? '' : 'none';
+    this.lobbyElements.forceStartBtn.disabled = readyCount < this.state.minReadyToForceStart || readyCount === players.length;
+    this.lobbyElements.forceStartBtn.title = `Requiere al menos ${this.state.minReadyToForceStart} jugadores listos`;
+  }
+
+  /**
+   * Muestra la configuración de la partida en el panel del lobby
+   * @private
+   */
+  _renderRoomSettings(settings) {
+    if (!settings) return;
+    
+    const inputs = this.lobbyElements.settingInputs;
+    inputs.maxRounds.value = settings.maxRounds;
+    inputs.selectionDuration.value = settings.selectionDuration;
+    inputs.revealDuration.value = settings.revealDuration;
+    inputs.perfect.value = settings.scoring.perfect;
+    inputs.tooLow.value = settings.scoring.tooLow;
+    inputs.tooHigh.value = settings.scoring.tooHigh;
+    inputs.scoringStrategy.value = settings.scoringStrategy;
+    inputs.gameMode.value = settings.gameMode;
+    inputs.startingLives.value = settings.startingLives;
+    inputs.teamMode.value = String(settings.teamMode);
+    inputs.teamCount.value = settings.teamCount;
+    inputs.tiebreakEnabled.value = String(settings.tiebreakEnabled);
+    inputs.maxTiebreakRounds.value = settings.maxTiebreakRounds;
+    inputs.uniquePickRule.value = settings.uniquePickRule;
+    inputs.wagerMode.value = String(settings.wagerMode);
+    inputs.wagerMultiplier.value = settings.wagerMultiplier;
+    inputs.wagerBudget.value = settings.wagerBudget;
+    inputs.abilitiesEnabled.value = String(settings.abilitiesEnabled);
+    inputs.isPublic.value = String(settings.isPublic);
+    inputs.spectatorChat.value = String(settings.spectatorChat);
+    
+    this._updateSettingsEditable();
+    this._renderTeamPicker();
+  }
+
+  /**
+   * Muestra los botones para elegir equipo cuando la sala juega por equipos
+   * @private
+   */
+  _renderTeamPicker() {
+    const settings = this.state.settings;
+    const container = this.lobbyElements.teamPickerButtons;
+    
+    if (!settings || !settings.teamMode) {
+      this.lobbyElements.teamPicker.style.display = 'none';
+      return;
+    }
+    
+    this.lobbyElements.teamPicker.style.display = '';
+    container.innerHTML = '';
+    
+    const currentPlayer = this.state.getCurrentPlayer();
+    const currentTeam = currentPlayer ? currentPlayer.team : null;
+    
+    Object.keys(TEAMS).slice(0, settings.teamCount).forEach(teamId => {
+      const members = this.state.players.filter(p => p.team === teamId).length;
+      const button = document.createElement('button');
+      button.className = `team-btn team-${teamId}`;
+      if (teamId === currentTeam) {
+        button.classList.add('selected');
+      }
+      button.textContent = `${TEAMS[teamId].icon} ${TEAMS[teamId].name} (${members})`;
+      button.addEventListener('click', () => this.client.chooseTeam(teamId));
+      container.appendChild(button);
+    });
+  }
+
+  /**
+   * Habilita la edición de la configuración solo para el anfitrión
+   * @private
+   */
+  _updateSettingsEditable() {
+    const isHost = this.state.isCurrentPlayerHost();
+    
+    Object.values(this.lobbyElements.settingInputs).forEach(input => {
+      input.disabled = !isHost;
+    });
+    
+    this.lobbyElements.saveSettingsBtn.style.display = isHost ? '' : 'none';
+    this.lobbyElements.botControls.style.display = isHost ? '' : 'none';
+    this._renderRoomPassword();
+    this.lobbyElements.settingsInfo.textContent = isHost
+      ? 'Como anfitrión, puedes ajustar la partida antes de empezar'
+      : 'Solo el anfitrión puede modificar la configuración';
+  }
+
+  /**
+   * Muestra el candado de la sala y los controles de contraseña del anfitrión
+   * @private
+   */
+  _renderRoomPassword() {
+    const canEdit = this.state.isCurrentPlayerHost() && !this.state.isPractice;
+    
+    this.lobbyElements.roomLockIndicator.style.display = this.state.hasPassword ? '' : 'none';
+    this.lobbyElements.passwordControls.style.display = canEdit ? '' : 'none';
+    this.lobbyElements.clearPasswordBtn.disabled = !this.state.hasPassword;
+  }
+
+  /**
+   * Pone la contraseña escrita por el anfitrión
+   * @private
+   */
+  _handleSetRoomPassword() {
+    const input = this.lobbyElements.roomPasswordInput;
+    
+    // Con el campo vacío se quitaría la contraseña; para eso está "Quitar"
+    if (!input.value) {
+      input.focus();
+      return;
+    }
+    
+    if (this.client.setRoomPassword(input.value)) {
+      input.value = '';
     }
   }
 
@@ -566,8 +1444,9 @@ class UIController {
    * @private
    */
   _updateReadyInfo(players) {
-    const readyCount = players.filter(p => p.isReady).length;
-    const totalCount = players.length;
+    const participants = players.filter(p => p.role !== 'spectator');
+    const readyCount = participants.filter(p => p.isReady).length;
+    const totalCount = participants.length;
     
     if (readyCount === totalCount && totalCount > 0) {
       this.lobbyElements.readyInfo.textContent = '¡Todos listos! El juego comenzará pronto...';
@@ -610,7 +1489,49 @@ class UIController {
    * @private
    */
   _updateRoundDisplay(roundNumber, maxRounds) {
-    this.gameElements.roundDisplay.textContent = `${roundNumber}/${maxRounds}`;
+    const tiebreak = this.state.tiebreak;
+    
+    if (tiebreak.round > 0) {
+      this.gameElements.roundLabel.textContent = 'Desempate';
+      this.gameElements.roundDisplay.textContent = `${tiebreak.round}/${tiebreak.maxRounds}`;
+      return;
+    }
+    
+    this.gameElements.roundLabel.textContent = 'Ronda';
+    
+    // En eliminación y en práctica la partida no tiene un número fijo de rondas
+    this.gameElements.roundDisplay.textContent = this.state.isEliminationMode() || this.state.isPractice
+      ? `${roundNumber}`
+      : `${roundNumber}/${maxRounds}`;
+  }
+
+  /**
+   * Texto de ayuda al iniciar una ronda (espectador o margen del hueco)
+   * @private
+   */
+  _getRoundHint(state) {
+    if (state.tiebreak.round > 0) {
+      return this.state.isCurrentPlayerSpectating()
+        ? 'Desempate en curso: solo juegan los empatados'
+        : '¡Muerte súbita! Supera a tus rivales para ganar';
+    }
+    
+    if (this.state.isCurrentPlayerSpectator()) {
+      return this.state.getCurrentPlayer().joinsNextGame
+        ? 'Sigues la partida como espectador: jugarás en la próxima'
+        : 'Sigues la partida como espectador';
+    }
+    
+    if (this.state.isCurrentPlayerEliminated()) {
+      return 'Has sido eliminado: sigues la partida como espectador';
+    }
+    
+    if (state.holeTolerance > 0) {
+      const levels = state.holeTolerance === 1 ? 'nivel' : 'niveles';
+      return `Esta ronda el hueco admite ±${state.holeTolerance} ${levels}`;
+    }
+    
+    return '';
   }
 
   /**
@@ -618,6 +1539,12 @@ class UIController {
    * @private
    */
   _updateTimer(seconds) {
+    if (this.state.isUntimedRound()) {
+      this.gameElements.timerDisplay.textContent = '∞';
+      this.gameElements.timerDisplay.classList.remove('warning');
+      return;
+    }
+    
     this.gameElements.timerDisplay.textContent = seconds;
     
     // Añadir clase de advertencia si quedan 5 segundos o menos
@@ -637,6 +1564,7 @@ class UIController {
       btn.disabled = false;
       btn.classList.remove('selected');
     });
+    this.gameElements.stakeInput.disabled = this.state.getMaxStake() === 0;
   }
 
   /**
@@ -647,6 +1575,203 @@ class UIController {
     this.gameElements.heightButtons.forEach(btn => {
       btn.disabled = true;
     });
+    this.gameElements.lockInBtn.disabled = true;
+    this.gameElements.stakeInput.disabled = true;
+  }
+
+  /**
+   * Muestra el control de apuesta con el máximo permitido en la ronda
+   * @private
+   */
+  _renderWagerControls(state) {
+    const { wagerSection, stakeInput, stakeMax } = this.gameElements;
+    
+    if (!this.state.isWagerMode()) {
+      wagerSection.style.display = 'none';
+      return;
+    }
+    
+    const maxStake = this.state.getMaxStake();
+    
+    wagerSection.style.display = '';
+    stakeInput.max = maxStake;
+    stakeInput.value = state.selectedStake;
+    stakeInput.disabled = maxStake === 0 || state.selectionLocked || state.hasLockedIn || this.state.isCurrentPlayerSpectating();
+    stakeMax.textContent = maxStake === 0
+      ? 'Sin puntos para apostar'
+      : `Máx. ${maxStake} · acierto ×${state.settings.wagerMultiplier}`;
+  }
+
+  /**
+   * Muestra las habilidades del jugador con las ya usadas deshabilitadas
+   * @private
+   */
+  _renderAbilityBar(state) {
+    const bar = this.gameElements.abilityBar;
+    
+    if (!this.state.isAbilitiesMode()) {
+      bar.style.display = 'none';
+      return;
+    }
+    
+    const remaining = this.state.getRemainingAbilities();
+    const canUse = state.screen === 'game' && !state.selectionLocked && !this.state.isCurrentPlayerSpectating();
+    
+    bar.style.display = '';
+    bar.innerHTML = '';
+    
+    Object.entries(ABILITIES).forEach(([ability, info]) => {
+      const button = document.createElement('button');
+      button.className = 'ability-btn';
+      button.dataset.ability = ability;
+      button.innerHTML = `<span class="ability-icon">${info.icon}</span><span class="ability-name">${info.name}</span>`;
+      button.disabled = !canUse || !remaining.includes(ability);
+      
+      if (!remaining.includes(ability)) {
+        button.classList.add('used');
+      }
+      if (ability === 'shield' && state.shieldActive) {
+        button.classList.add('armed');
+        button.title = 'Escudo activo: anulará tu próxima penalización';
+      }
+      
+      button.addEventListener('click', () => this._handleUseAbility(ability));
+      bar.appendChild(button);
+    });
+  }
+
+  /**
+   * Muestra los botones de reacción mientras se revela la pared
+   * @private
+   */
+  _renderReactionBar() {
+    const bar = this.gameElements.reactionBar;
+    
+    if (!bar.hasChildNodes()) {
+      REACTION_EMOJIS.forEach(emoji => {
+        const button = document.createElement('button');
+        button.className = 'reaction-btn';
+        button.textContent = emoji;
+        button.addEventListener('click', () => this.client.sendReaction(emoji));
+        bar.appendChild(button);
+      });
+    }
+    
+    bar.style.display = this.state.canReact() ? '' : 'none';
+  }
+
+  /**
+   * Hace flotar un emoji sobre el marcador del jugador que reaccionó
+   * @private
+   */
+  _showFloatingReaction(playerId, emoji) {
+    const marker = Array.from(this.gameElements.playersPositions.querySelectorAll('.player-marker'))
+      .find(element => element.dataset.playerId === playerId);
+    
+    if (!marker || !REACTION_EMOJIS.includes(emoji)) {
+      return;
+    }
+    
+    const bubble = document.createElement('span');
+    bubble.className = 'floating-reaction';
+    bubble.textContent = emoji;
+    // Desplazamiento aleatorio para que varias reacciones seguidas no se tapen
+    bubble.style.left = `${20 + Math.random() * 60}%`;
+    bubble.addEventListener('animationend', () => bubble.remove());
+    marker.appendChild(bubble);
+  }
+
+  /**
+   * Maneja el uso de una habilidad
+   * Espiar consulta la altura que el jugador tiene seleccionada
+   * @private
+   */
+  _handleUseAbility(ability) {
+    if (ability === 'peek' && !this.state.selectedHeight) {
+      this.gameElements.selectionFeedback.textContent = 'Selecciona una altura para espiar';
+      return;
+    }
+    
+    this.client.useAbility(ability, ability === 'peek' ? this.state.selectedHeight : null);
+  }
+
+  /**
+   * Describe el efecto de una habilidad recién usada
+   * @private
+   */
+  _describeAbilityEffect(effect) {
+    switch (effect.ability) {
+      case 'hint':
+        return effect.hint === 'upper'
+          ? '💡 El hueco está en la mitad superior (6-10)'
+          : '💡 El hueco está en la mitad inferior (1-5)';
+      case 'shield':
+        return '🛡️ Escudo activo: anulará tu próxima penalización';
+      case 'double':
+        return '✖️ Los puntos de esta ronda se duplicarán';
+      case 'peek': {
+        const players = effect.peekCount === 1 ? 'jugador ha elegido' : 'jugadores han elegido';
+        return `👀 ${effect.peekCount} ${players} la altura ${effect.peekHeight}`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Resalta la mitad de la pared indicada por la pista
+   * @private
+   */
+  _showHintZone(half) {
+    const levels = this.gameElements.wallDisplay.querySelectorAll('.wall-level');
+    levels.forEach(level => {
+      const levelNum = parseInt(level.dataset.level);
+      if ((half === 'upper') === (levelNum > 5)) {
+        level.classList.add('hint-zone');
+      }
+    });
+  }
+
+  /**
+   * Texto de confirmación de la altura seleccionada (y la apuesta, si la hay)
+   * @private
+   */
+  _getSelectionFeedback(height, stake) {
+    return stake > 0
+      ? `Has seleccionado altura ${height} apostando ${stake} puntos`
+      : `Has seleccionado altura ${height}`;
+  }
+
+  /**
+   * Muestra qué jugadores ya confirmaron su altura y cuáles siguen pensando
+   * @private
+   */
+  _renderLockStatus(state) {
+    const container = this.gameElements.playersPositions;
+    container.innerHTML = '';
+    
+    const list = document.createElement('div');
+    list.className = 'lock-status';
+    
+    const inTiebreak = state.tiebreak.round > 0;
+    
+    state.players
+      .filter(player => player.isConnected && player.role !== 'spectator' && (inTiebreak
+        ? state.tiebreak.playerIds.includes(player.id)
+        : !player.isEliminated))
+      .forEach(player => {
+        const locked = state.lockedPlayerIds.includes(player.id);
+        const item = document.createElement('div');
+        item.className = `lock-status-item ${locked ? 'locked' : 'thinking'}`;
+        item.title = locked ? 'Altura confirmada' : 'Pensando...';
+        item.innerHTML = `
+          <span class="lock-status-icon">${locked ? '🔒' : '🤔'}</span>
+          <span class="lock-status-name">${player.name || 'Jugador'}</span>
+        `;
+        list.appendChild(item);
+      });
+    
+    container.appendChild(list);
   }
 
   /**
@@ -671,21 +1796,69 @@ class UIController {
   _clearWallVisualization() {
     const levels = this.gameElements.wallDisplay.querySelectorAll('.wall-level');
     levels.forEach(level => {
-      level.classList.remove('has-hole');
+      level.classList.remove('has-hole', 'hole-margin', 'collision', 'hint-zone');
+      level.querySelector('.level-bar').removeAttribute('data-picks');
     });
     this.gameElements.playersPositions.innerHTML = '';
+    this.gameElements.fairnessBadge.className = 'fairness-badge';
+    this.gameElements.fairnessBadge.textContent = '';
+  }
+
+  /**
+   * Muestra el resultado de la verificación de la pared revelada
+   * @private
+   * @param {boolean|null} verified - true si coincide con el compromiso, false si no, null si no se pudo verificar
+   */
+  _updateFairnessBadge(verified) {
+    const badge = this.gameElements.fairnessBadge;
+    
+    if (verified === true) {
+      badge.className = 'fairness-badge verified';
+      badge.textContent = '✓ Pared verificada';
+    } else if (verified === false) {
+      badge.className = 'fairness-badge failed';
+      badge.textContent = '✕ La pared no coincide con el compromiso';
+    } else {
+      badge.className = 'fairness-badge unavailable';
+      badge.textContent = 'Verificación no disponible';
+    }
   }
 
   /**
    * Muestra el hueco en la pared
    * @private
    */
-  _showWallHole(holePosition) {
+  _showWallHole(holePosition, holeTolerance = 0) {
     const levels = this.gameElements.wallDisplay.querySelectorAll('.wall-level');
     levels.forEach(level => {
       const levelNum = parseInt(level.dataset.level);
       if (levelNum === holePosition) {
         level.classList.add('has-hole');
+      } else if (Math.abs(levelNum - holePosition) <= holeTolerance) {
+        // Niveles que también salvan una vida en modo eliminación
+        level.classList.add('hole-margin');
+      }
+    });
+  }
+
+  /**
+   * Muestra cuántos jugadores eligieron cada altura
+   * Con alturas únicas, resalta las alturas compartidas
+   * @private
+   */
+  _showPickDistribution(pickDistribution) {
+    const highlightCollisions = this.state.isUniquePickMode();
+    
+    pickDistribution.forEach(bucket => {
+      const level = this.gameElements.wallDisplay.querySelector(`.wall-level[data-level="${bucket.height}"]`);
+      if (!level || bucket.playerIds.length === 0) {
+        return;
+      }
+      
+      level.querySelector('.level-bar').dataset.picks = `×${bucket.playerIds.length}`;
+      
+      if (highlightCollisions && bucket.isCollision) {
+        level.classList.add('collision');
       }
     });
   }
@@ -712,6 +1885,33 @@ class UIController {
     });
   }
 
+  /**
+   * Muestra a los espectadores la altura que eligió cada jugador una vez revelada la pared
+   * @private
+   */
+  _renderSpectatorPicks(state) {
+    const results = state.lastRoundResults || [];
+    const visible = this.state.isCurrentPlayerSpectating() && results.length > 0;
+    
+    this.gameElements.spectatorPicks.style.display = visible ? '' : 'none';
+    this.gameElements.spectatorPicksList.innerHTML = '';
+    
+    if (!visible) return;
+    
+    [...results]
+      .sort((a, b) => a.distance - b.distance || b.pointsEarned - a.pointsEarned)
+      .forEach(result => {
+        const item = document.createElement('div');
+        item.className = `spectator-pick ${result.result}`;
+        const points = result.pointsEarned > 0 ? `+${result.pointsEarned}` : `${result.pointsEarned}`;
+        item.innerHTML = `
+          <span class="spectator-pick-name">${result.playerName}</span>
+          <span class="spectator-pick-height">Altura ${result.selectedHeight} (${points})</span>
+        `;
+        this.gameElements.spectatorPicksList.appendChild(item);
+      });
+  }
+
   /**
    * Crea un marcador de jugador para la pared
    * @private
@@ -719,6 +1919,7 @@ class UIController {
   _createPlayerMarker(result) {
     const div = document.createElement('div');
     div.className = 'player-marker';
+    div.dataset.playerId = result.playerId;
     
     // Añadir clase según el resultado
     if (result.result === 'perfect') {
@@ -738,6 +1939,42 @@ class UIController {
     // Formatear puntos
     const pointsText = result.pointsEarned >= 0 ? `+${result.pointsEarned}` : result.pointsEarned;
     
+    // Mostrar la distancia al hueco cuando no fue un acierto
+    if (result.distance > 0) {
+      div.title = `A ${result.distance} ${result.distance === 1 ? 'nivel' : 'niveles'} del hueco`;
+    }
+    
+    // Efecto sobre las vidas en modo eliminación
+    if (result.lifeOutcome === 'life-lost') {
+      icon = '💔';
+      div.title = `${div.title ? div.title + ' · ' : ''}Vidas restantes: ${result.livesRemaining}`;
+    } else if (result.lifeOutcome === 'eliminated') {
+      icon = '☠️';
+      div.classList.add('eliminated');
+      div.title = `${div.title ? div.title + ' · ' : ''}Eliminado`;
+    }
+    
+    // Habilidades activas en la ronda
+    if (result.shieldUsed) {
+      icon = '🛡️';
+    }
+    if (result.activeAbilities && result.activeAbilities.length > 0) {
+      const names = result.activeAbilities.map(ability => ABILITIES[ability].name).join(', ');
+      div.title = `${div.title ? div.title + ' · ' : ''}Habilidades: ${names}`;
+    }
+    
+    // Resultado de la apuesta
+    if (result.stake > 0) {
+      const wagerText = result.wagerPoints >= 0 ? `+${result.wagerPoints}` : result.wagerPoints;
+      div.title = `${div.title ? div.title + ' · ' : ''}Apuesta de ${result.stake}: ${wagerText}`;
+    }
+    
+    // Altura compartida con otros jugadores en modo de alturas únicas
+    if (this.state.isUniquePickMode() && result.pickCount > 1) {
+      div.classList.add('collision');
+      div.title = `${div.title ? div.title + ' · ' : ''}Altura compartida con ${result.pickCount - 1} ${result.pickCount === 2 ? 'jugador' : 'jugadores'}`;
+    }
+    
     div.innerHTML = `
       <span class="player-marker-icon">${icon}</span>
       <span class="player-marker-name">${result.playerName}</span>
@@ -752,7 +1989,7 @@ class UIController {
    * @private
    */
   _updateScoresTable(scores) {
-    const players = this.state.players;
+    const players = this.state.getParticipants();
     
     // Ordenar jugadores por puntuación
     const sortedPlayers = [...players].sort((a, b) => {
@@ -763,14 +2000,27 @@ class UIController {
     
     this.gameElements.scoresTable.innerHTML = '';
     
-    sortedPlayers.forEach(player => {
+    const appendPlayer = (player) => {
       const score = scores.get(player.id) || 0;
       const previousScore = this.previousScores.get(player.id) || 0;
       const scoreChange = score - previousScore;
       
       const scoreItem = this._createScoreItem(player, score, scoreChange);
       this.gameElements.scoresTable.appendChild(scoreItem);
-    });
+    };
+    
+    if (this.state.isTeamMode()) {
+      // Agrupar por equipo, con el total del equipo como cabecera
+      this._groupByTeam(sortedPlayers, player => scores.get(player.id) || 0)
+        .forEach(group => {
+          this.gameElements.scoresTable.appendChild(
+            this._createTeamHeader(group.team, group.total)
+          );
+          group.members.forEach(appendPlayer);
+        });
+    } else {
+      sortedPlayers.forEach(appendPlayer);
+    }
     
     // Actualizar puntuaciones anteriores
     scores.forEach((score, playerId) => {
@@ -778,6 +2028,49 @@ class UIController {
     });
   }
 
+  /**
+   * Agrupa jugadores por equipo y calcula el total de cada equipo
+   * Los equipos se ordenan por total y los jugadores sin equipo quedan al final
+   * @private
+   */
+  _groupByTeam(players, getScore) {
+    const groups = new Map();
+    
+    players.forEach(player => {
+      const team = player.team || null;
+      if (!groups.has(team)) {
+        groups.set(team, { team, total: 0, members: [] });
+      }
+      const group = groups.get(team);
+      group.total += getScore(player);
+      group.members.push(player);
+    });
+    
+    return Array.from(groups.values()).sort((a, b) => {
+      if (a.team === null) return 1;
+      if (b.team === null) return -1;
+      return b.total - a.total;
+    });
+  }
+
+  /**
+   * Crea la cabecera de un equipo en la tabla de puntuaciones
+   * @private
+   */
+  _createTeamHeader(team, total) {
+    const div = document.createElement('div');
+    div.className = `team-header ${team ? `team-${team}` : ''}`;
+    
+    const label = team ? `${TEAMS[team].icon} Equipo ${TEAMS[team].name}` : 'Sin equipo';
+    
+    div.innerHTML = `
+      <span class="team-header-name">${label}</span>
+      <span class="team-header-score">${total}</span>
+    `;
+    
+    return div;
+  }
+
   /**
    * Crea un elemento de puntuación
    * @private
@@ -798,6 +2091,17 @@ class UIController {
     
     const initial = player.name ? player.name.charAt(0).toUpperCase() : '?';
     
+    // Vidas restantes en modo eliminación
+    let livesHTML = '';
+    if (this.state.isEliminationMode()) {
+      if (player.isEliminated) {
+        div.classList.add('eliminated');
+        livesHTML = '<div class="score-lives">Eliminado</div>';
+      } else {
+        livesHTML = `<div class="score-lives">${'❤️'.repeat(player.lives || 0)}</div>`;
+      }
+    }
+    
     let changeHTML = '';
     if (scoreChange !== 0) {
       const changeClass = scoreChange > 0 ? 'positive' : 'negative';
@@ -809,6 +2113,7 @@ class UIController {
       <div class="score-player-info">
         <div class="score-avatar">${initial}</div>
         <div class="score-name">${player.name || 'Sin nombre'}</div>
+        ${livesHTML}
       </div>
       <div class="score-points">
         <div class="score-total">${score}</div>
@@ -825,19 +2130,136 @@ class UIController {
    * Renderiza la tabla de clasificación final
    * @private
    */
-  _renderLeaderboard(finalScores) {
+  _renderLeaderboard(finalScores, teamScores = []) {
     this.resultsElements.leaderboardList.innerHTML = '';
     
-    finalScores.forEach((scoreData, index) => {
-      const item = this._createLeaderboardItem(scoreData, index);
-      this.resultsElements.leaderboardList.appendChild(item);
-    });
+    if (teamScores.length > 0) {
+      // Clasificación por equipos: cabecera del equipo seguida de sus integrantes
+      teamScores.forEach(teamScore => {
+        this.resultsElements.leaderboardList.appendChild(this._createTeamLeaderboardHeader(teamScore));
+        
+        finalScores
+          .filter(scoreData => scoreData.team === teamScore.team)
+          .forEach((scoreData, index) => {
+            const item = this._createLeaderboardItem(scoreData, index);
+            item.classList.add('team-member');
+            this.resultsElements.leaderboardList.appendChild(item);
+          });
+      });
+    } else {
+      finalScores.forEach((scoreData, index) => {
+        const item = this._createLeaderboardItem(scoreData, index);
+        this.resultsElements.leaderboardList.appendChild(item);
+      });
+    }
+    
+    // Reiniciar botón de reinicio (los espectadores no votan el reinicio)
+    if (this.state.isCurrentPlayerSpectator()) {
+      this.resultsElements.restartBtn.disabled = true;
+      this.resultsElements.restartBtn.textContent = this.state.getCurrentPlayer().joinsNextGame
+        ? '👁️ Jugarás cuando el resto reinicie'
+        : '👁️ Eres espectador';
+      return;
+    }
     
-    // Reiniciar botón de reinicio
     this.resultsElements.restartBtn.disabled = false;
     this.resultsElements.restartBtn.innerHTML = '<span class="btn-icon">🔄</span> Jugar de Nuevo';
   }
 
+  /**
+   * Muestra la precisión acumulada y el botón para terminar la práctica
+   * @private
+   */
+  _renderPracticeStats(state) {
+    this.gameElements.practiceStats.style.display = state.isPractice ? 'flex' : 'none';
+    this.gameElements.endPracticeBtn.style.display = state.isPractice ? '' : 'none';
+    
+    if (!state.isPractice) {
+      return;
+    }
+    
+    const stats = state.practiceStats || { roundsPlayed: 0, hits: 0, accuracy: 0, currentStreak: 0, bestStreak: 0 };
+    
+    this.gameElements.practiceStats.innerHTML = `
+      <span class="practice-stat">🎯 Precisión: <strong>${stats.accuracy}%</strong> (${stats.hits}/${stats.roundsPlayed})</span>
+      <span class="practice-stat">🔥 Racha: <strong>${stats.currentStreak}</strong> (mejor ${stats.bestStreak})</span>
+    `;
+  }
+
+  /**
+   * Muestra el botón de pausa al anfitrión y el aviso de partida pausada a todos
+   * @private
+   */
+  _renderPauseControls(state) {
+    const player = state.getCurrentPlayer();
+    const isHost = !!player && player.isHost;
+    
+    this.gameElements.pauseBtn.style.display = isHost && !state.isPaused ? '' : 'none';
+    this.gameElements.pausedOverlay.style.display = state.isPaused ? 'flex' : 'none';
+    this.gameElements.resumeBtn.style.display = isHost ? '' : 'none';
+    
+    if (!state.isPaused) {
+      this.gameElements.pausedMessage.textContent = 'El anfitrión pausó la partida';
+    }
+  }
+
+  /**
+   * Muestra el resumen de la práctica en la pantalla de resultados
+   * @private
+   */
+  _renderPracticeSummary(state) {
+    const summary = this.resultsElements.practiceSummary;
+    
+    if (!state.isPractice || !state.practiceStats) {
+      summary.style.display = 'none';
+      return;
+    }
+    
+    const stats = state.practiceStats;
+    summary.textContent = `Precisión: ${stats.accuracy}% en ${stats.roundsPlayed} rondas · Mejor racha: ${stats.bestStreak}`;
+    summary.style.display = '';
+  }
+
+  /**
+   * Enlaza la página permanente de la partida guardada en el historial
+   * @private
+   */
+  _renderMatchLink(state) {
+    const link = this.resultsElements.matchLink;
+    
+    if (!state.matchId) {
+      link.style.display = 'none';
+      return;
+    }
+    
+    link.href = `/match.html?id=${encodeURIComponent(state.matchId)}`;
+    link.style.display = '';
+  }
+
+  /**
+   * Crea la cabecera de un equipo en la clasificación final
+   * @private
+   */
+  _createTeamLeaderboardHeader(teamScore) {
+    const div = document.createElement('div');
+    div.className = `team-header team-leaderboard-header team-${teamScore.team}`;
+    if (teamScore.isWinner) {
+      div.classList.add('winner');
+    }
+    
+    const team = TEAMS[teamScore.team];
+    
+    div.innerHTML = `
+      <span class="team-header-name">
+        #${teamScore.rank} ${team.icon} Equipo ${team.name}
+        ${teamScore.isWinner ? '<span class="leaderboard-badge winner-badge">🏆 Ganador</span>' : ''}
+      </span>
+      <span class="team-header-score">${teamScore.score}</span>
+    `;
+    
+    return div;
+  }
+
   /**
    * Crea un elemento de la tabla de clasificación
    * @private
@@ -874,6 +2296,12 @@ class UIController {
     if (scoreData.isWinner) {
       badgesHTML += '<span class="leaderboard-badge winner-badge">🏆 Ganador</span>';
     }
+    if (scoreData.tiebreakPoints !== null && scoreData.tiebreakPoints !== undefined) {
+      badgesHTML += `<span class="leaderboard-badge tiebreak-badge">Desempate: ${scoreData.tiebreakPoints} pts</span>`;
+    }
+    if (scoreData.eliminatedInRound) {
+      badgesHTML += `<span class="leaderboard-badge eliminated-badge">Eliminado en ronda ${scoreData.eliminatedInRound}</span>`;
+    }
     if (scoreData.playerId === this.state.playerId) {
       badgesHTML += '<span class="leaderboard-badge you-badge">Tú</span>';
     }
@@ -942,7 +2370,10 @@ class UIController {
    */
   _handleRoomError(message) {
     // Mostrar error según la pantalla actual
-    if (this.currentScreen === 'home') {
+    if (this.currentScreen === 'home' && this.pendingJoin && this.pendingJoin.fromInvite) {
+      this.pendingJoin = null;
+      this._showError(`No se pudo entrar con el enlace de invitación. ${message}`);
+    } else if (this.currentScreen === 'home') {
       this._showError(message);
     } else {
       this._showNotification(message, 'error', 5000);
@@ -1060,6 +2491,79 @@ class UIController {
     }
   }
 
+  /**
+   * Restaura la pantalla correspondiente tras recuperar la sesión
+   * @private
+   */
+  _handleSessionResumed(data, state) {
+    this._restoreScreen(state);
+    this._showNotification('Has recuperado tu lugar en la sala', 'success', 3000);
+  }
+
+  /**
+   * Muestra la pantalla que corresponde a una instantánea completa de la sala
+   * @private
+   */
+  _restoreScreen(state) {
+    this._updateRoomCode(state.roomCode);
+    this._renderPlayersList(state.players);
+    this._renderChatMessages();
+    this._renderChatPanel();
+    
+    if (state.screen === 'game') {
+      this._showScreen('game');
+      this._updatePlayerNameDisplay();
+      this._resetGameUI();
+      this._updateRoundDisplay(state.currentRound, state.maxRounds);
+      this._updateTimer(state.timeRemaining);
+      
+      if (state.selectionLocked || state.hasLockedIn) {
+        this._disableHeightSelection();
+      } else {
+        this._enableHeightSelection();
+      }
+      
+      if (state.selectedHeight) {
+        this._updateHeightButtons(state.selectedHeight);
+        this.gameElements.lockInBtn.disabled = state.selectionLocked || state.hasLockedIn;
+        this.gameElements.selectionFeedback.textContent = state.hasLockedIn
+          ? `Altura ${state.selectedHeight} confirmada. Esperando al resto...`
+          : this._getSelectionFeedback(state.selectedHeight, state.selectedStake);
+      }
+      
+      this._renderWagerControls(state);
+      this._renderAbilityBar(state);
+      this._renderReactionBar();
+      if (state.abilityHint && !state.lastWallHole) {
+        this._showHintZone(state.abilityHint);
+      }
+      
+      if (!state.selectionLocked) {
+        this._renderLockStatus(state);
+      }
+      
+      if (state.lastWallHole) {
+        this._showWallHole(state.lastWallHole, state.holeTolerance);
+        this._showPickDistribution(state.pickDistribution);
+        this._showPlayerPositions(state.lastRoundResults);
+      }
+      
+      this._updateScoresTable(state.scores);
+      this._renderPracticeStats(state);
+      this._renderSpectatorPicks(state);
+      this._renderPauseControls(state);
+    } else if (state.screen === 'results') {
+      this._showScreen('results');
+      this._renderLeaderboard(state.finalScores, state.teamScores);
+      this._renderPracticeSummary(state);
+      this._renderMatchLink(state);
+    } else {
+      this._showScreen('lobby');
+      this._renderRoomSettings(state.settings);
+      this._updateReadyButton();
+    }
+  }
+
   /**
    * Maneja el fallo de reconexión
    * @private
@@ -1091,8 +2595,12 @@ class UIController {
    * @private
    */
   _returnToHome() {
+    this.client.clearSession();
     this.state.clearState();
     this._showScreen('home');
+    this._hidePasswordPrompt();
+    this.chatUnread = 0;
+    this._renderChatUnread();
     this.homeElements.roomCodeInput.value = '';
     this.homeElements.joinRoomBtn.disabled = true;
   }
@@ -1187,6 +2695,17 @@ class UIController {
   initialize() {
     console.log('UIController inicializado');
     this._showScreen('home');
+    
+    // Enlace de invitación: la unión se pide al conectar
+    const inviteCode = this._consumeInviteCode();
+    if (inviteCode !== null) {
+      const validation = Validators.validateRoomCode(inviteCode);
+      if (validation.isValid) {
+        this.pendingInvite = Validators.sanitizeRoomCode(inviteCode);
+      } else {
+        this._showError(`El enlace de invitación no es válido. ${validation.error}`);
+      }
+    }
   }
 
   /**
@@ -1211,18 +2730,38 @@ document.addEventListener('DOMContentLoaded', () => {
   gameClient.on('connected', (data) => stateManager.handleConnected(data.socketId));
   gameClient.on('room-created', (roomCode) => stateManager.handleRoomCreated(roomCode));
   gameClient.on('room-joined', (roomData) => stateManager.handleRoomJoined(roomData));
+  gameClient.on('practice-started', (data) => stateManager.handlePracticeStarted(data));
   gameClient.on('room-error', (message) => stateManager.handleRoomError(message));
   gameClient.on('player-list-updated', (players) => stateManager.handlePlayerListUpdated(players));
   gameClient.on('game-started', () => stateManager.handleGameStarted());
   gameClient.on('round-started', (data) => stateManager.handleRoundStarted(data));
+  gameClient.on('player-locked', (data) => stateManager.handlePlayerLocked(data));
+  gameClient.on('room-left', (data) => stateManager.handleRoomLeft(data));
+  gameClient.on('password-required', (data) => stateManager.handlePasswordRequired(data));
+  gameClient.on('room-password-updated', (data) => stateManager.handleRoomPasswordUpdated(data));
+  gameClient.on('rooms-list', (data) => stateManager.handleRoomsList(data));
+  gameClient.on('chat-message', (message) => stateManager.handleChatMessage(message));
+  gameClient.on('reaction', (data) => stateManager.handleReaction(data));
+  gameClient.on('kicked', (data) => stateManager.handleKicked(data));
+  gameClient.on('host-changed', (data) => stateManager.handleHostChanged(data));
+  gameClient.on('game-paused', (data) => stateManager.handleGamePaused(data));
+  gameClient.on('game-resumed', (data) => stateManager.handleGameResumed(data));
+  gameClient.on('tiebreak-started', (data) => stateManager.handleTiebreakStarted(data));
+  gameClient.on('ability-used', (data) => stateManager.handleAbilityUsed(data));
+  gameClient.on('player-used-ability', (data) => stateManager.handlePlayerUsedAbility(data));
   gameClient.on('selection-locked', () => stateManager.handleSelectionLocked());
   gameClient.on('wall-revealed', (data) => stateManager.handleWallRevealed(data));
-  gameClient.on('round-ended', (scores) => stateManager.handleRoundEnded(scores));
-  gameClient.on('game-ended', (finalScores) => stateManager.handleGameEnded(finalScores));
+  gameClient.on('round-ended', (data) => stateManager.handleRoundEnded(data.scores, data.teamScores));
+  gameClient.on('game-ended', (data) => stateManager.handleGameEnded(data.finalScores, data.teamScores, data.matchId));
   gameClient.on('restart-status', (data) => stateManager.handleRestartStatus(data));
   gameClient.on('game-restarted', () => stateManager.handleGameRestarted());
   gameClient.on('player-left', (data) => stateManager.handlePlayerLeft(data));
   gameClient.on('player-disconnected', (playerId) => stateManager.handlePlayerDisconnected(playerId));
+  gameClient.on('room-closed', (data) => stateManager.handleRoomClosed(data));
+  gameClient.on('player-reconnected', (data) => stateManager.handlePlayerReconnected(data));
+  gameClient.on('session-resumed', (data) => stateManager.handleSessionResumed(data));
+  gameClient.on('game-in-progress', (data) => stateManager.handleGameInProgress(data));
+  gameClient.on('resume-failed', (data) => stateManager.handleResumeFailed(data));
   gameClient.on('disconnected', (data) => stateManager.handleDisconnected(data));
   
   // Conectar eventos de conexión y errores
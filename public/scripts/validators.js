@@ -145,6 +145,280 @@ class Validators {
     };
   }
 
+  /**
+   * Valida la apuesta de una selección
+   * @param {number} stake - Puntos apostados
+   * @param {number} maxStake - Apuesta máxima permitida en la ronda
+   * @returns {{isValid: boolean, error: string|null}}
+   */
+  static validateStake(stake, maxStake) {
+    if (typeof stake !== 'number' || !Number.isInteger(stake)) {
+      return {
+        isValid: false,
+        error: 'La apuesta debe ser un número entero'
+      };
+    }
+
+    if (stake < 0) {
+      return {
+        isValid: false,
+        error: 'La apuesta no puede ser negativa'
+      };
+    }
+
+    if (stake > maxStake) {
+      return {
+        isValid: false,
+        error: maxStake === 0
+          ? 'No tienes puntos para apostar en esta ronda'
+          : `No puedes apostar más de ${maxStake} puntos en esta ronda`
+      };
+    }
+
+    return {
+      isValid: true,
+      error: null
+    };
+  }
+
+  /**
+   * Valida una habilidad antes de usarla
+   * @param {string} ability - ID de la habilidad
+   * @param {number|null} height - Altura a espiar (solo 'peek')
+   * @returns {{isValid: boolean, error: string|null}}
+   */
+  static validateAbility(ability, height) {
+    const abilities = ['hint', 'shield', 'double', 'peek'];
+    if (!abilities.includes(ability)) {
+      return {
+        isValid: false,
+        error: 'La habilidad no es válida'
+      };
+    }
+
+    if (ability === 'peek') {
+      const heightValidation = Validators.validateHeight(height);
+      if (!heightValidation.isValid) {
+        return {
+          isValid: false,
+          error: 'Selecciona una altura para espiar'
+        };
+      }
+    }
+
+    return {
+      isValid: true,
+      error: null
+    };
+  }
+
+  /**
+   * Valida la estrategia de un bot
+   * @param {string} strategy - ID de la estrategia
+   * @returns {{isValid: boolean, error: string|null}}
+   */
+  static validateBotStrategy(strategy) {
+    const strategies = ['random', 'crowd', 'anti-crowd', 'learner'];
+    if (!strategies.includes(strategy)) {
+      return {
+        isValid: false,
+        error: 'La estrategia del bot no es válida'
+      };
+    }
+
+    return {
+      isValid: true,
+      error: null
+    };
+  }
+
+  /**
+   * Valida el equipo elegido en modo por equipos
+   * @param {string} team - ID del equipo
+   * @returns {{isValid: boolean, error: string|null}}
+   */
+  static validateTeam(team) {
+    const teams = ['red', 'blue', 'green', 'yellow'];
+
+    if (!teams.includes(team)) {
+      return {
+        isValid: false,
+        error: 'El equipo no es válido'
+      };
+    }
+
+    return {
+      isValid: true,
+      error: null
+    };
+  }
+
+  /**
+   * Valida la contraseña que el anfitrión pone a la sala
+   * @param {string} password - Contraseña a validar
+   * @returns {{isValid: boolean, error: string|null}}
+   */
+  static validateRoomPassword(password) {
+    if (typeof password !== 'string' || password.length < 4 || password.length > 32) {
+      return {
+        isValid: false,
+        error: 'La contraseña debe tener entre 4 y 32 caracteres'
+      };
+    }
+
+    return {
+      isValid: true,
+      error: null
+    };
+  }
+
+  /**
+   * Valida un mensaje de chat antes de enviarlo
+   * @param {string} text - Texto del mensaje
+   * @returns {{isValid: boolean, error: string|null}}
+   */
+  static validateChatMessage(text) {
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return {
+        isValid: false,
+        error: 'El mensaje no puede estar vacío'
+      };
+    }
+
+    if (text.length > 200) {
+      return {
+        isValid: false,
+        error: 'El mensaje no puede superar 200 caracteres'
+      };
+    }
+
+    return {
+      isValid: true,
+      error: null
+    };
+  }
+
+  /**
+   * Valida la configuración de partida de una sala
+   * Los límites coinciden con los que aplica el servidor
+   * @param {Object} settings - { maxRounds, selectionDuration, revealDuration, scoring: { perfect, tooLow, tooHigh }, scoringStrategy }
+   * @returns {{isValid: boolean, error: string|null}}
+   */
+  static validateRoomSettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+      return {
+        isValid: false,
+        error: 'La configuración es requerida'
+      };
+    }
+
+    const scoring = settings.scoring || {};
+    const fields = [
+      { value: settings.startingLives, min: 1, max: 10, label: 'Las vidas iniciales' },
+      { value: settings.teamCount, min: 2, max: 4, label: 'El número de equipos' },
+      { value: settings.maxTiebreakRounds, min: 1, max: 10, label: 'Las rondas de desempate' },
+      { value: settings.wagerMultiplier, min: 2, max: 5, label: 'El multiplicador de apuesta' },
+      { value: settings.wagerBudget, min: 0, max: 100, label: 'El presupuesto de apuesta' },
+      { value: settings.maxRounds, min: 1, max: 30, label: 'El número de rondas' },
+      { value: settings.selectionDuration, min: 5, max: 60, label: 'El tiempo de selección' },
+      { value: settings.revealDuration, min: 2, max: 15, label: 'El tiempo de revelación' },
+      { value: scoring.perfect, min: 1, max: 100, label: 'Los puntos por acierto' },
+      { value: scoring.tooLow, min: -100, max: 0, label: 'La penalización por salto bajo' },
+      { value: scoring.tooHigh, min: -100, max: 0, label: 'La penalización por salto alto' }
+    ];
+
+    const strategies = ['classic', 'linear-decay', 'asymmetric', 'closest-wins'];
+    if (settings.scoringStrategy !== undefined && !strategies.includes(settings.scoringStrategy)) {
+      return {
+        isValid: false,
+        error: 'La estrategia de puntuación no es válida'
+      };
+    }
+
+    const gameModes = ['classic', 'elimination'];
+    if (settings.gameMode !== undefined && !gameModes.includes(settings.gameMode)) {
+      return {
+        isValid: false,
+        error: 'El modo de juego no es válido'
+      };
+    }
+
+    const uniquePickRules = ['off', 'split', 'void'];
+    if (settings.uniquePickRule !== undefined && !uniquePickRules.includes(settings.uniquePickRule)) {
+      return {
+        isValid: false,
+        error: 'La regla de alturas únicas no es válida'
+      };
+    }
+
+    if (settings.teamMode !== undefined && typeof settings.teamMode !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'El modo por equipos debe ser verdadero o falso'
+      };
+    }
+
+    if (settings.abilitiesEnabled !== undefined && typeof settings.abilitiesEnabled !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'Las habilidades deben ser verdadero o falso'
+      };
+    }
+
+    if (settings.isPublic !== undefined && typeof settings.isPublic !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'La visibilidad pública debe ser verdadero o falso'
+      };
+    }
+
+    if (settings.spectatorChat !== undefined && typeof settings.spectatorChat !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'El chat de espectadores debe ser verdadero o falso'
+      };
+    }
+
+    if (settings.wagerMode !== undefined && typeof settings.wagerMode !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'El modo de apuestas debe ser verdadero o falso'
+      };
+    }
+
+    if (settings.tiebreakEnabled !== undefined && typeof settings.tiebreakEnabled !== 'boolean') {
+      return {
+        isValid: false,
+        error: 'El desempate debe ser verdadero o falso'
+      };
+    }
+
+    for (const field of fields) {
+      if (field.value === undefined) {
+        continue;
+      }
+
+      if (!Number.isInteger(field.value)) {
+        return {
+          isValid: false,
+          error: `${field.label} debe ser un número entero`
+        };
+      }
+
+      if (field.value < field.min || field.value > field.max) {
+        return {
+          isValid: false,
+          error: `${field.label} debe estar entre ${field.min} y ${field.max}`
+        };
+      }
+    }
+
+    return {
+      isValid: true,
+      error: null
+    };
+  }
+
   /**
    * Sanitiza un código de sala (convierte a mayúsculas y elimina espacios)
    * @param {string} roomCode - Código de sala a sanitizar
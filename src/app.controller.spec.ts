@@ -1,22 +1,115 @@
 import { Test, TestingModule } from '@nestjs/testing';
+import { INestApplication, ValidationPipe } from '@nestjs/common';
+import request from 'supertest';
+import { App } from 'supertest/types';
 import { AppController } from './app.controller';
 import { AppService } from './app.service';
+import { MatchHistoryService } from './game/match-history.service';
+import type { MatchRecord } from './game/interfaces/match.interface';
 
 describe('AppController', () => {
-  let appController: AppController;
+  let app: INestApplication<App>;
+
+  const matchId = '0b8f3a52-6d1e-4c7a-9f8e-2a4b6c8d0e1f';
+  const page = { items: [], page: 1, pageSize: 20, total: 0 };
+  const matchHistory = {
+    listMatches: jest.fn().mockReturnValue(page),
+    getMatch: jest.fn(),
+  };
 
   beforeEach(async () => {
-    const app: TestingModule = await Test.createTestingModule({
+    jest.clearAllMocks();
+
+    const moduleFixture: TestingModule = await Test.createTestingModule({
       controllers: [AppController],
-      providers: [AppService],
+      providers: [
+        AppService,
+        { provide: MatchHistoryService, useValue: matchHistory },
+      ],
     }).compile();
 
-    appController = app.get<AppController>(AppController);
+    app = moduleFixture.createNestApplication();
+    app.useGlobalPipes(
+      new ValidationPipe({
+        whitelist: true,
+        forbidNonWhitelisted: true,
+        transform: true,
+      }),
+    );
+    await app.init();
+  });
+
+  afterEach(async () => {
+    await app.close();
+  });
+
+  describe('GET api/matches', () => {
+    it('should list the matches of the requested page', async () => {
+      await request(app.getHttpServer())
+        .get('/api/matches?page=2&pageSize=5')
+        .expect(200)
+        .expect(page);
+
+      expect(matchHistory.listMatches).toHaveBeenCalledWith(2, 5);
+    });
+
+    it('should reject an invalid page', async () => {
+      await request(app.getHttpServer()).get('/api/matches?page=0').expect(400);
+
+      expect(matchHistory.listMatches).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET api/matches/:id', () => {
+    it('should return the stored match', async () => {
+      const match = { id: matchId, roomCode: 'A3B7K9' } as MatchRecord;
+      matchHistory.getMatch.mockReturnValue(match);
+
+      await request(app.getHttpServer())
+        .get(`/api/matches/${matchId}`)
+        .expect(200)
+        .expect(match);
+
+      expect(matchHistory.getMatch).toHaveBeenCalledWith(matchId);
+    });
+
+    it('should return 404 for an unknown match', async () => {
+      matchHistory.getMatch.mockReturnValue(null);
+
+      await request(app.getHttpServer())
+        .get(`/api/matches/${matchId}`)
+        .expect(404);
+    });
+
+    it('should reject an id that is not a UUID', async () => {
+      await request(app.getHttpServer())
+        .get('/api/matches/no-es-un-uuid')
+        .expect(400);
+
+      expect(matchHistory.getMatch).not.toHaveBeenCalled();
+    });
   });
 
-  describe('root', () => {
-    it('should return "Hello World!"', () => {
-      expect(appController.getHello()).toBe('Hello World!');
+  describe('GET api/rooms/:code/matches', () => {
+    it('should list the matches of the room with its code normalized', async () => {
+      await request(app.getHttpServer())
+        .get('/api/rooms/a3b7k9/matches?pageSize=10')
+        .expect(200)
+        .expect(page);
+
+      expect(matchHistory.listMatches).toHaveBeenCalledWith(
+        undefined,
+        10,
+        'A3B7K9',
+      );
+    });
+
+    it('should reject an invalid room code', async () => {
+      await request(app.getHttpServer())
+        .get('/api/rooms/ABC/matches')
+        .expect(400);
+
+      expect(matchHistory.listMatches).not.toHaveBeenCalled();
     });
   });
 });
@@ -1,13 +1,78 @@
-import { Controller } from '@nestjs/common';
+import {
+  BadRequestException,
+  Controller,
+  Get,
+  NotFoundException,
+  Param,
+  ParseUUIDPipe,
+  Query,
+} from '@nestjs/common';
 import { AppService } from './app.service';
+import { MatchHistoryService } from './game/match-history.service';
+import { ListMatchesDto } from './game/dto/list-matches.dto';
+import type {
+  MatchRecord,
+  MatchSummary,
+  Page,
+} from './game/interfaces/match.interface';
+import { isValidRoomCode } from './game/utils/validators.util';
 
 @Controller()
 export class AppController {
-  constructor(private readonly appService: AppService) {}
+  constructor(
+    private readonly appService: AppService,
+    private readonly matchHistory: MatchHistoryService,
+  ) {}
 
   // Ruta raíz comentada para permitir que ServeStaticModule sirva index.html
   // @Get()
   // getHello(): string {
   //   return this.appService.getHello();
   // }
+
+  /**
+   * Lista las partidas terminadas, de la más reciente a la más antigua
+   * @param query Página y tamaño de página
+   * @returns Página de resúmenes de partidas
+   */
+  @Get('api/matches')
+  listMatches(@Query() query: ListMatchesDto): Page<MatchSummary> {
+    return this.matchHistory.listMatches(query.page, query.pageSize);
+  }
+
+  /**
+   * Devuelve una partida con sus rondas, elecciones y clasificación final
+   * @param matchId UUID de la partida
+   * @returns Partida guardada
+   */
+  @Get('api/matches/:id')
+  getMatch(@Param('id', ParseUUIDPipe) matchId: string): MatchRecord {
+    const match = this.matchHistory.getMatch(matchId);
+
+    if (!match) {
+      throw new NotFoundException('La partida no existe');
+    }
+
+    return match;
+  }
+
+  /**
+   * Lista las partidas jugadas en una sala
+   * @param roomCode Código de la sala
+   * @param query Página y tamaño de página
+   * @returns Página de resúmenes de partidas de la sala
+   */
+  @Get('api/rooms/:code/matches')
+  listRoomMatches(
+    @Param('code') roomCode: string,
+    @Query() query: ListMatchesDto,
+  ): Page<MatchSummary> {
+    const code = roomCode.toUpperCase();
+
+    if (!isValidRoomCode(code)) {
+      throw new BadRequestException('Código de sala inválido');
+    }
+
+    return this.matchHistory.listMatches(query.page, query.pageSize, code);
+  }
 }
@@ -1,16 +1,47 @@
 import { registerAs } from '@nestjs/config';
+import { randomBytes } from 'crypto';
 
 export default registerAs('game', () => ({
   selectionDuration: parseInt(process.env.SELECTION_DURATION || '15', 10),
   revealDuration: parseInt(process.env.REVEAL_DURATION || '5', 10),
   maxRounds: 10,
   maxRooms: parseInt(process.env.MAX_ROOMS || '100', 10),
+  maxPracticeRooms: parseInt(process.env.MAX_PRACTICE_ROOMS || '100', 10),
+  practiceRoomsPerAddress: parseInt(
+    process.env.PRACTICE_ROOMS_PER_ADDRESS || '2',
+    10,
+  ),
   maxPlayersPerRoom: parseInt(process.env.MAX_PLAYERS_PER_ROOM || '10', 10),
+  minReadyToForceStart: parseInt(
+    process.env.MIN_READY_TO_FORCE_START || '2',
+    10,
+  ),
   roomTimeout: parseInt(process.env.ROOM_TIMEOUT || '1800000', 10),
+  passwordMaxAttempts: parseInt(process.env.PASSWORD_MAX_ATTEMPTS || '5', 10),
+  passwordRoomMaxAttempts: parseInt(
+    process.env.PASSWORD_ROOM_MAX_ATTEMPTS || '20',
+    10,
+  ),
+  passwordLockout: parseInt(process.env.PASSWORD_LOCKOUT || '60000', 10),
+  chatBannedWords: (process.env.CHAT_BANNED_WORDS || '')
+    .split(',')
+    .map((word) => word.trim())
+    .filter((word) => word !== ''),
   scoring: {
     perfect: parseInt(process.env.SCORE_PERFECT || '20', 10),
     tooLow: parseInt(process.env.SCORE_TOO_LOW || '-5', 10),
     tooHigh: parseInt(process.env.SCORE_TOO_HIGH || '-10', 10),
   },
   defaultHeight: 5,
+  startingLives: parseInt(process.env.STARTING_LIVES || '3', 10),
+  sessionSecret: process.env.SESSION_SECRET || randomBytes(32).toString('hex'),
+  roomStore: process.env.ROOM_STORE || 'memory',
+  roomStorePath: process.env.ROOM_STORE_PATH || 'data/rooms.json',
+  roomStoreFlushInterval: parseInt(
+    process.env.ROOM_STORE_FLUSH_INTERVAL || '1000',
+    10,
+  ),
+  matchHistoryStore: process.env.MATCH_HISTORY_STORE || 'memory',
+  matchHistoryPath: process.env.MATCH_HISTORY_PATH || 'data/matches.json',
+  matchHistoryLimit: parseInt(process.env.MATCH_HISTORY_LIMIT || '1000', 10),
 }));
@@ -0,0 +1,8 @@
+import { IsIn } from 'class-validator';
+import type { BotStrategyId } from '../interfaces/bot-strategy.interface';
+import { BOT_STRATEGY_IDS } from '../utils/bot-strategies.util';
+
+export class AddBotDto {
+  @IsIn(BOT_STRATEGY_IDS, { message: 'La estrategia del bot no es válida' })
+  strategy: BotStrategyId;
+}
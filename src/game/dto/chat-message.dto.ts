@@ -0,0 +1,11 @@
+import { IsNotEmpty, IsString, MaxLength } from 'class-validator';
+import { CHAT_MAX_LENGTH } from '../utils/chat.util';
+
+export class ChatMessageDto {
+  @IsString()
+  @IsNotEmpty({ message: 'El mensaje no puede estar vacío' })
+  @MaxLength(CHAT_MAX_LENGTH, {
+    message: `El mensaje no puede superar ${CHAT_MAX_LENGTH} caracteres`,
+  })
+  text: string;
+}
@@ -0,0 +1,8 @@
+import { IsIn } from 'class-validator';
+import type { TeamId } from '../interfaces/team.interface';
+import { TEAM_IDS } from '../utils/team.util';
+
+export class ChooseTeamDto {
+  @IsIn(TEAM_IDS, { message: 'El equipo no es válido' })
+  team: TeamId;
+}
@@ -1,3 +1,16 @@
 export * from './join-room.dto';
 export * from './set-player-name.dto';
 export * from './select-height.dto';
+export * from './resume-session.dto';
+export * from './update-room-settings.dto';
+export * from './choose-team.dto';
+export * from './use-ability.dto';
+export * from './add-bot.dto';
+export * from './remove-bot.dto';
+export * from './start-practice.dto';
+export * from './target-player.dto';
+export * from './room-password.dto';
+export * from './chat-message.dto';
+export * from './mute-player.dto';
+export * from './send-reaction.dto';
+export * from './list-matches.dto';
@@ -1,4 +1,12 @@
-import { IsString, Length, Matches } from 'class-validator';
+import {
+  IsIn,
+  IsOptional,
+  IsString,
+  Length,
+  Matches,
+  MaxLength,
+} from 'class-validator';
+import type { PlayerRole } from '../interfaces/player.interface';
 
 export class JoinRoomDto {
   @IsString()
@@ -9,4 +17,20 @@ export class JoinRoomDto {
     message: 'El código de sala debe contener solo caracteres alfanuméricos',
   })
   roomCode: string;
+
+  @IsOptional()
+  @IsIn(['player', 'spectator'], {
+    message: 'El papel debe ser "player" o "spectator"',
+  })
+  role?: PlayerRole;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(32, { message: 'La contraseña no puede superar 32 caracteres' })
+  password?: string;
+
+  @IsOptional()
+  @IsString()
+  @MaxLength(512)
+  sessionToken?: string;
 }
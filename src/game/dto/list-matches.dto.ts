@@ -0,0 +1,20 @@
+import { Type } from 'class-transformer';
+import { IsInt, IsOptional, Max, Min } from 'class-validator';
+import { MAX_PAGE_SIZE } from '../utils/match-history.util';
+
+export class ListMatchesDto {
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt({ message: 'La página debe ser un número entero' })
+  @Min(1, { message: 'La página mínima es 1' })
+  page?: number;
+
+  @IsOptional()
+  @Type(() => Number)
+  @IsInt({ message: 'El tamaño de página debe ser un número entero' })
+  @Min(1, { message: 'El tamaño de página mínimo es 1' })
+  @Max(MAX_PAGE_SIZE, {
+    message: `El tamaño de página no puede superar ${MAX_PAGE_SIZE}`,
+  })
+  pageSize?: number;
+}
@@ -0,0 +1,10 @@
+import { IsBoolean, IsNotEmpty, IsString } from 'class-validator';
+
+export class MutePlayerDto {
+  @IsString()
+  @IsNotEmpty({ message: 'El ID del jugador es requerido' })
+  playerId: string;
+
+  @IsBoolean({ message: 'El silencio debe ser verdadero o falso' })
+  muted: boolean;
+}
@@ -0,0 +1,7 @@
+import { IsString, IsNotEmpty } from 'class-validator';
+
+export class RemoveBotDto {
+  @IsString()
+  @IsNotEmpty({ message: 'El ID del bot es requerido' })
+  botId: string;
+}
@@ -0,0 +1,7 @@
+import { IsString, IsNotEmpty } from 'class-validator';
+
+export class ResumeSessionDto {
+  @IsString()
+  @IsNotEmpty({ message: 'El token de sesión es requerido' })
+  sessionToken: string;
+}
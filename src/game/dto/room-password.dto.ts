@@ -0,0 +1,11 @@
+import { IsOptional, IsString, Length } from 'class-validator';
+
+export class RoomPasswordDto {
+  // Sin contraseña la sala queda abierta a quien tenga el código
+  @IsOptional()
+  @IsString()
+  @Length(4, 32, {
+    message: 'La contraseña debe tener entre 4 y 32 caracteres',
+  })
+  password?: string;
+}
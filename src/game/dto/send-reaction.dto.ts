@@ -0,0 +1,8 @@
+import { IsIn } from 'class-validator';
+import type { ReactionEmoji } from '../interfaces/reaction.interface';
+import { REACTION_EMOJIS } from '../utils/reaction.util';
+
+export class SendReactionDto {
+  @IsIn(REACTION_EMOJIS, { message: 'La reacción no es válida' })
+  emoji: ReactionEmoji;
+}
@@ -0,0 +1,27 @@
+import {
+  IsInt,
+  IsOptional,
+  IsString,
+  Length,
+  Matches,
+  Max,
+  Min,
+  ValidateIf,
+} from 'class-validator';
+
+export class StartPracticeDto {
+  @IsOptional()
+  @IsString()
+  @Length(2, 20, { message: 'El nombre debe tener entre 2 y 20 caracteres' })
+  @Matches(/^[A-Za-z0-9\s]+$/, {
+    message: 'El nombre no debe contener caracteres especiales',
+  })
+  name?: string;
+
+  // Sin valor o con 0 la práctica no tiene temporizador
+  @ValidateIf((dto: StartPracticeDto) => (dto.selectionDuration ?? 0) !== 0)
+  @IsInt({ message: 'El tiempo de selección debe ser un número entero' })
+  @Min(5, { message: 'El tiempo de selección mínimo es 5 segundos' })
+  @Max(60, { message: 'El tiempo de selección máximo es 60 segundos' })
+  selectionDuration?: number;
+}
@@ -0,0 +1,7 @@
+import { IsString, IsNotEmpty } from 'class-validator';
+
+export class TargetPlayerDto {
+  @IsString()
+  @IsNotEmpty({ message: 'El ID del jugador es requerido' })
+  playerId: string;
+}
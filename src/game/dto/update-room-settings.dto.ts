@@ -0,0 +1,139 @@
+import { Type } from 'class-transformer';
+import {
+  IsBoolean,
+  IsIn,
+  IsInt,
+  IsOptional,
+  Max,
+  Min,
+  ValidateNested,
+} from 'class-validator';
+import type {
+  GameMode,
+  UniquePickRule,
+} from '../interfaces/room-settings.interface';
+import type { ScoringStrategyId } from '../interfaces/scoring-strategy.interface';
+import { SCORING_STRATEGY_IDS } from '../utils/scoring-strategies.util';
+import { UNIQUE_PICK_RULES } from '../utils/unique-pick.util';
+
+/** Modos de juego aceptados en la configuración de la sala */
+export const GAME_MODES: GameMode[] = ['classic', 'elimination'];
+
+export class ScoringSettingsDto {
+  @IsOptional()
+  @IsInt({ message: 'Los puntos por acierto deben ser un número entero' })
+  @Min(1, { message: 'Los puntos por acierto deben ser al menos 1' })
+  @Max(100, { message: 'Los puntos por acierto no pueden superar 100' })
+  perfect?: number;
+
+  @IsOptional()
+  @IsInt({
+    message: 'La penalización por salto bajo debe ser un número entero',
+  })
+  @Min(-100, { message: 'La penalización por salto bajo mínima es -100' })
+  @Max(0, { message: 'La penalización por salto bajo no puede ser positiva' })
+  tooLow?: number;
+
+  @IsOptional()
+  @IsInt({
+    message: 'La penalización por salto alto debe ser un número entero',
+  })
+  @Min(-100, { message: 'La penalización por salto alto mínima es -100' })
+  @Max(0, { message: 'La penalización por salto alto no puede ser positiva' })
+  tooHigh?: number;
+}
+
+export class UpdateRoomSettingsDto {
+  @IsOptional()
+  @IsInt({ message: 'El número de rondas debe ser un número entero' })
+  @Min(1, { message: 'El número mínimo de rondas es 1' })
+  @Max(30, { message: 'El número máximo de rondas es 30' })
+  maxRounds?: number;
+
+  @IsOptional()
+  @IsInt({ message: 'El tiempo de selección debe ser un número entero' })
+  @Min(5, { message: 'El tiempo de selección mínimo es 5 segundos' })
+  @Max(60, { message: 'El tiempo de selección máximo es 60 segundos' })
+  selectionDuration?: number;
+
+  @IsOptional()
+  @IsInt({ message: 'El tiempo de revelación debe ser un número entero' })
+  @Min(2, { message: 'El tiempo de revelación mínimo es 2 segundos' })
+  @Max(15, { message: 'El tiempo de revelación máximo es 15 segundos' })
+  revealDuration?: number;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ScoringSettingsDto)
+  scoring?: ScoringSettingsDto;
+
+  @IsOptional()
+  @IsIn(SCORING_STRATEGY_IDS, {
+    message: 'La estrategia de puntuación no es válida',
+  })
+  scoringStrategy?: ScoringStrategyId;
+
+  @IsOptional()
+  @IsIn(GAME_MODES, { message: 'El modo de juego no es válido' })
+  gameMode?: GameMode;
+
+  @IsOptional()
+  @IsInt({ message: 'Las vidas iniciales deben ser un número entero' })
+  @Min(1, { message: 'Cada jugador debe empezar con al menos 1 vida' })
+  @Max(10, { message: 'Las vidas iniciales no pueden superar 10' })
+  startingLives?: number;
+
+  @IsOptional()
+  @IsBoolean({ message: 'El modo por equipos debe ser verdadero o falso' })
+  teamMode?: boolean;
+
+  @IsOptional()
+  @IsInt({ message: 'El número de equipos debe ser un número entero' })
+  @Min(2, { message: 'Se necesitan al menos 2 equipos' })
+  @Max(4, { message: 'El número máximo de equipos es 4' })
+  teamCount?: number;
+
+  @IsOptional()
+  @IsBoolean({ message: 'El desempate debe ser verdadero o falso' })
+  tiebreakEnabled?: boolean;
+
+  @IsOptional()
+  @IsInt({ message: 'Las rondas de desempate deben ser un número entero' })
+  @Min(1, { message: 'Debe haber al menos 1 ronda de desempate' })
+  @Max(10, { message: 'El máximo de rondas de desempate es 10' })
+  maxTiebreakRounds?: number;
+
+  @IsOptional()
+  @IsIn(UNIQUE_PICK_RULES, {
+    message: 'La regla de alturas únicas no es válida',
+  })
+  uniquePickRule?: UniquePickRule;
+
+  @IsOptional()
+  @IsBoolean({ message: 'El modo de apuestas debe ser verdadero o falso' })
+  wagerMode?: boolean;
+
+  @IsOptional()
+  @IsInt({ message: 'El multiplicador de apuesta debe ser un número entero' })
+  @Min(2, { message: 'El multiplicador de apuesta mínimo es 2' })
+  @Max(5, { message: 'El multiplicador de apuesta máximo es 5' })
+  wagerMultiplier?: number;
+
+  @IsOptional()
+  @IsInt({ message: 'El presupuesto de apuesta debe ser un número entero' })
+  @Min(0, { message: 'El presupuesto de apuesta no puede ser negativo' })
+  @Max(100, { message: 'El presupuesto de apuesta no puede superar 100' })
+  wagerBudget?: number;
+
+  @IsOptional()
+  @IsBoolean({ message: 'Las habilidades deben ser verdadero o falso' })
+  abilitiesEnabled?: boolean;
+
+  @IsOptional()
+  @IsBoolean({ message: 'La visibilidad pública debe ser verdadero o falso' })
+  isPublic?: boolean;
+
+  @IsOptional()
+  @IsBoolean({ message: 'El chat de espectadores debe ser verdadero o falso' })
+  spectatorChat?: boolean;
+}
@@ -0,0 +1,15 @@
+import { IsIn, IsInt, Max, Min, ValidateIf } from 'class-validator';
+import type { AbilityId } from '../interfaces/ability.interface';
+import { ABILITY_IDS } from '../utils/ability.util';
+
+export class UseAbilityDto {
+  @IsIn(ABILITY_IDS, { message: 'La habilidad no es válida' })
+  ability: AbilityId;
+
+  // Solo "peek" necesita la altura a consultar
+  @ValidateIf((dto: UseAbilityDto) => dto.ability === 'peek')
+  @IsInt({ message: 'La altura a espiar debe ser un número entero' })
+  @Min(1, { message: 'La altura mínima es 1' })
+  @Max(10, { message: 'La altura máxima es 10' })
+  height?: number;
+}
@@ -4,18 +4,55 @@ import {
   SubscribeMessage,
   OnGatewayConnection,
   OnGatewayDisconnect,
+  OnGatewayInit,
   ConnectedSocket,
   MessageBody,
 } from '@nestjs/websockets';
 import { Server, Socket } from 'socket.io';
-import { UsePipes, ValidationPipe } from '@nestjs/common';
+import { OnModuleDestroy, UsePipes, ValidationPipe } from '@nestjs/common';
 import { GameService } from './game.service';
 import { RoomService } from './room.service';
 import { JoinRoomDto } from './dto/join-room.dto';
 import { SetPlayerNameDto } from './dto/set-player-name.dto';
 import { SelectHeightDto } from './dto/select-height.dto';
+import { ResumeSessionDto } from './dto/resume-session.dto';
+import { UpdateRoomSettingsDto } from './dto/update-room-settings.dto';
+import { ChooseTeamDto } from './dto/choose-team.dto';
+import { UseAbilityDto } from './dto/use-ability.dto';
+import { AddBotDto } from './dto/add-bot.dto';
+import { RemoveBotDto } from './dto/remove-bot.dto';
+import { StartPracticeDto } from './dto/start-practice.dto';
+import { TargetPlayerDto } from './dto/target-player.dto';
+import { RoomPasswordDto } from './dto/room-password.dto';
+import { ChatMessageDto } from './dto/chat-message.dto';
+import { MutePlayerDto } from './dto/mute-player.dto';
+import { SendReactionDto } from './dto/send-reaction.dto';
+import { getAvailableTeams } from './utils/team.util';
+import { getPickDistribution } from './utils/unique-pick.util';
+import { ABILITY_NAMES } from './utils/ability.util';
+import { normalizeChatText, takeChatSlot } from './utils/chat.util';
+import { isReactionThrottled } from './utils/reaction.util';
+import { toRoomListing } from './utils/matchmaking.util';
+import { hashPassword } from './utils/password.util';
+import { Room } from './interfaces/room.interface';
+import { Player, PlayerRole } from './interfaces/player.interface';
+import { PickBucket, RoundResult } from './interfaces/round-result.interface';
+import { ChatMessage } from './interfaces/chat.interface';
+import { GameEventsGateway } from './interfaces/game-events-gateway.interface';
 import { v4 as uuidv4 } from 'uuid';
 
+/** Canal de Socket.IO de los clientes que siguen el listado de salas públicas */
+const ROOM_BROWSER_CHANNEL = 'room-browser';
+
+/** Frecuencia con la que se comprueba si cambió el listado de salas públicas */
+const ROOM_BROWSER_REFRESH_MS = 2000;
+
+/** Mensajes de chat que puede enviar un socket dentro de la ventana */
+const CHAT_RATE_LIMIT = 5;
+
+/** Ventana del límite de mensajes de chat por socket */
+const CHAT_RATE_WINDOW_MS = 10000;
+
 /**
  * Gateway WebSocket para gestionar la comunicación en tiempo real del juego
  * Maneja conexiones, desconexiones y eventos de juego
@@ -28,13 +65,35 @@ import { v4 as uuidv4 } from 'uuid';
   namespace: '/game',
 })
 @UsePipes(new ValidationPipe({ transform: true }))
-export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
+export class GameGateway
+  implements
+    OnGatewayInit,
+    OnGatewayConnection,
+    OnGatewayDisconnect,
+    OnModuleDestroy,
+    GameEventsGateway
+{
   @WebSocketServer()
   server: Server;
 
   /** Mapa de socketId a playerId */
   private socketPlayerMap: Map<string, string> = new Map();
 
+  /** Intervalo del barrido de salas inactivas */
+  private inactivitySweepInterval: NodeJS.Timeout | null = null;
+
+  /** Intervalo de actualización del listado de salas públicas */
+  private roomBrowserInterval: NodeJS.Timeout | null = null;
+
+  /** Último listado de salas públicas enviado (para no repetir envíos sin cambios) */
+  private lastPublicRooms = '';
+
+  /** Momentos de los últimos mensajes de chat de cada socket */
+  private chatSlots: Map<string, number[]> = new Map();
+
+  /** Indica si el servidor se está apagando (las desconexiones no deben vaciar las salas) */
+  private isShuttingDown = false;
+
   constructor(
     private readonly gameService: GameService,
     private readonly roomService: RoomService,
@@ -43,6 +102,80 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
     this.gameService.setGateway(this);
   }
 
+  /**
+   * Inicia el barrido periódico de salas inactivas y la actualización del listado público al arrancar el gateway
+   */
+  afterInit(): void {
+    // Revisar con una frecuencia proporcional al timeout, como máximo cada minuto
+    const sweepEvery = Math.min(this.roomService.getRoomTimeout(), 60000);
+
+    this.inactivitySweepInterval = setInterval(() => {
+      this.closeInactiveRooms();
+    }, sweepEvery);
+
+    this.roomBrowserInterval = setInterval(() => {
+      this.broadcastPublicRooms();
+    }, ROOM_BROWSER_REFRESH_MS);
+  }
+
+  /**
+   * Detiene los intervalos del gateway al cerrar el módulo
+   * A partir de aquí las desconexiones son del apagado y las salas se conservan para recuperarlas al arrancar
+   */
+  onModuleDestroy(): void {
+    this.isShuttingDown = true;
+
+    if (this.inactivitySweepInterval) {
+      clearInterval(this.inactivitySweepInterval);
+      this.inactivitySweepInterval = null;
+    }
+
+    if (this.roomBrowserInterval) {
+      clearInterval(this.roomBrowserInterval);
+      this.roomBrowserInterval = null;
+    }
+  }
+
+  /**
+   * Envía el listado de salas públicas a quienes lo siguen, solo si cambió desde el último envío
+   */
+  broadcastPublicRooms(): void {
+    const rooms = toRoomListing(this.roomService.getPublicRooms());
+    const snapshot = JSON.stringify(rooms);
+
+    if (snapshot === this.lastPublicRooms) {
+      return;
+    }
+
+    this.lastPublicRooms = snapshot;
+    this.emitToRoom(ROOM_BROWSER_CHANNEL, 'rooms-list', { rooms });
+  }
+
+  /**
+   * Cierra las salas que superaron el tiempo de inactividad
+   * Notifica a sus sockets con 'room-closed' antes de eliminarlas
+   */
+  closeInactiveRooms(): void {
+    this.roomService.getInactiveRooms().forEach((room) => {
+      console.log(`Cerrando sala inactiva: ${room.code}`);
+
+      this.emitToRoom(room.code, 'room-closed', {
+        roomCode: room.code,
+        reason: 'inactivity',
+        message: 'La sala se cerró por inactividad',
+      });
+
+      // Olvidar los sockets de los jugadores de la sala y su cupo de chat
+      room.players.forEach((player) => {
+        this.socketPlayerMap.delete(player.socketId);
+        this.chatSlots.delete(player.socketId);
+      });
+
+      this.server.in(room.code).socketsLeave(room.code);
+      this.roomService.deleteRoom(room.code);
+    });
+  }
+
   /**
    * Maneja nuevas conexiones de clientes
    * @param client Socket del cliente conectado
@@ -59,9 +192,11 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
   handleDisconnect(client: Socket): void {
     console.log(`Cliente desconectado: ${client.id}`);
 
+    this.chatSlots.delete(client.id);
+
     const playerId = this.socketPlayerMap.get(client.id);
 
-    if (!playerId) {
+    if (!playerId || this.isShuttingDown) {
       return;
     }
 
@@ -84,9 +219,10 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
       // Eliminar jugador de la sala
       room.players.delete(playerId);
 
-      // Si era el anfitrión, asignar nuevo anfitrión
-      if (player.isHost && room.players.size > 0) {
-        const newHost = Array.from(room.players.values())[0];
+      // Si era el anfitrión, asignar nuevo anfitrión (nunca un bot)
+      const newHost = Array.from(room.players.values()).find((p) => !p.isBot);
+
+      if (player.isHost && newHost) {
         newHost.isHost = true;
       }
 
@@ -99,8 +235,8 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
       // Actualizar lista de jugadores
       this.emitPlayerListUpdate(room.code);
 
-      // Si no quedan jugadores, eliminar la sala
-      if (room.players.size === 0) {
+      // Si no quedan jugadores humanos, eliminar la sala
+      if (!this.roomService.hasConnectedHumans(room)) {
         this.roomService.deleteRoom(room.code);
       }
     } else {
@@ -116,14 +252,19 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
       // Actualizar lista de jugadores
       this.emitPlayerListUpdate(room.code);
 
-      // Verificar si todos los jugadores se desconectaron
-      const allDisconnected = Array.from(room.players.values()).every(
-        (p) => !p.isConnected,
-      );
-
-      if (allDisconnected) {
+      // Verificar si todos los jugadores humanos se desconectaron (los bots no juegan solos)
+      if (!this.roomService.hasConnectedHumans(room)) {
         // Eliminar sala si todos se desconectaron
         this.roomService.deleteRoom(room.code);
+      } else if (room.state === 'paused' && player.isHost) {
+        // Sin el anfitrión nadie podría reanudar: la partida continúa sola
+        this.resumeGame(room);
+      } else if (
+        room.state === 'selection' &&
+        this.gameService.checkAllPlayersLocked(room.code)
+      ) {
+        // Los jugadores que siguen conectados ya confirmaron: cerrar la selección
+        this.gameService.endSelectionPeriod(room.code);
       }
     }
 
@@ -135,38 +276,21 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
    * @param client Socket del cliente que crea la sala
    */
   @SubscribeMessage('create-room')
-  handleCreateRoom(@ConnectedSocket() client: Socket): void {
+  async handleCreateRoom(
+    @MessageBody() data: RoomPasswordDto,
+    @ConnectedSocket() client: Socket,
+  ): Promise<void> {
     try {
-      // Generar ID único para el jugador
-      const playerId = uuidv4();
-
-      // Crear sala
-      const roomCode = this.roomService.createRoom();
+      // El hash se calcula antes de salir de la sala anterior: a partir de ahí todo es
+      // síncrono y otro create-room del mismo socket no puede intercalarse y dejar una sala huérfana
+      const passwordHash = data?.password
+        ? await hashPassword(data.password)
+        : null;
 
-      // Unir jugador a la sala
-      const joined = this.roomService.joinRoom(roomCode, playerId, client.id);
+      // Salir de la sala anterior antes de crear otra
+      this.leaveCurrentRoom(client);
 
-      if (!joined) {
-        client.emit('room-error', {
-          message: 'Error al crear la sala',
-        });
-        return;
-      }
-
-      // Registrar mapeo de socket a jugador
-      this.socketPlayerMap.set(client.id, playerId);
-
-      // Unir socket a la sala de Socket.IO
-      void client.join(roomCode);
-
-      // Emitir código de sala al cliente
-      client.emit('room-created', {
-        roomCode,
-        playerId,
-      });
-
-      // Emitir estado de la sala
-      this.emitRoomState(client, roomCode);
+      this.createRoomFor(client, false, passwordHash);
     } catch (error) {
       console.error('Error al crear sala:', error);
       client.emit('room-error', {
@@ -176,315 +300,1633 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
   }
 
   /**
-   * Une un jugador a una sala existente
-   * @param data Datos con el código de sala
-   * @param client Socket del cliente que se une
+   * Inicia una práctica en solitario sin código de sala ni paso por el lobby
+   * La sala de práctica no cuenta para el límite de salas y nadie más puede unirse
+   * @param data Nombre del jugador y temporizador opcional
+   * @param client Socket del cliente
    */
-  @SubscribeMessage('join-room')
-  handleJoinRoom(
-    @MessageBody() data: JoinRoomDto,
+  @SubscribeMessage('start-practice')
+  handleStartPractice(
+    @MessageBody() data: StartPracticeDto,
     @ConnectedSocket() client: Socket,
   ): void {
     try {
-      const { roomCode } = data;
+      // Salir de la sala anterior antes de empezar la práctica
+      this.leaveCurrentRoom(client);
 
-      // Verificar que la sala existe
-      const room = this.roomService.getRoom(roomCode);
+      const address = this.getClientAddress(client);
 
-      if (!room) {
+      if (!this.roomService.canCreatePracticeRoom(address)) {
         client.emit('room-error', {
-          message: 'La sala no existe',
+          message:
+            'Hay demasiadas prácticas abiertas, cierra alguna o inténtalo más tarde',
+          code: 'PRACTICE_LIMIT',
         });
         return;
       }
 
-      // Generar ID único para el jugador
       const playerId = uuidv4();
+      const roomCode = this.roomService.createRoom(true, address);
 
-      // Unir jugador a la sala
-      const joined = this.roomService.joinRoom(roomCode, playerId, client.id);
+      if (!roomCode) {
+        client.emit('room-error', {
+          message: 'Error al iniciar la práctica',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoom(roomCode)!;
+      room.selectionDuration = data.selectionDuration ?? 0;
+
+      const joined = this.roomService.joinRoom(
+        roomCode,
+        playerId,
+        client.id,
+        address,
+      );
 
       if (!joined) {
+        this.roomService.deleteRoom(roomCode);
         client.emit('room-error', {
-          message: 'No se pudo unir a la sala',
+          message: 'Error al iniciar la práctica',
         });
         return;
       }
 
-      // Registrar mapeo de socket a jugador
-      this.socketPlayerMap.set(client.id, playerId);
+      const player = room.players.get(playerId)!;
+      player.name = data.name ?? 'Jugador';
+      player.isReady = true;
 
-      // Unir socket a la sala de Socket.IO
+      this.socketPlayerMap.set(client.id, playerId);
       void client.join(roomCode);
 
-      // Emitir confirmación al cliente
-      client.emit('room-joined', {
+      client.emit('practice-started', {
         roomCode,
         playerId,
+        sessionToken: this.roomService.createSessionToken(roomCode, playerId),
       });
 
-      // Emitir estado de la sala al nuevo jugador
       this.emitRoomState(client, roomCode);
-
-      // Notificar a todos los jugadores de la sala sobre la actualización
-      this.emitPlayerListUpdate(roomCode);
+      this.beginGame(room);
     } catch (error) {
-      console.error('Error al unirse a sala:', error);
+      console.error('Error al iniciar práctica:', error);
       client.emit('room-error', {
-        message: 'Error al unirse a la sala',
+        message: 'Error al iniciar la práctica',
       });
     }
   }
 
   /**
-   * Asigna un nombre a un jugador
-   * @param data Datos con el nombre del jugador
+   * Termina la práctica en curso y muestra el resumen final
    * @param client Socket del cliente
    */
-  @SubscribeMessage('set-player-name')
-  handleSetPlayerName(
-    @MessageBody() data: SetPlayerNameDto,
-    @ConnectedSocket() client: Socket,
-  ): void {
+  @SubscribeMessage('end-practice')
+  handleEndPractice(@ConnectedSocket() client: Socket): void {
     try {
-      const { name } = data;
       const playerId = this.socketPlayerMap.get(client.id);
+      const room = playerId
+        ? this.roomService.getRoomByPlayerId(playerId)
+        : null;
 
-      if (!playerId) {
+      if (!room || !room.isPractice) {
         client.emit('room-error', {
-          message: 'Jugador no encontrado',
+          message: 'No estás en una práctica',
         });
         return;
       }
 
-      const room = this.roomService.getRoomByPlayerId(playerId);
-
-      if (!room) {
+      if (
+        room.state !== 'selection' &&
+        room.state !== 'revealing' &&
+        room.state !== 'paused'
+      ) {
         client.emit('room-error', {
-          message: 'Sala no encontrada',
+          message: 'La práctica no está en curso',
         });
         return;
       }
 
-      const player = room.players.get(playerId);
-
-      if (!player) {
-        client.emit('room-error', {
-          message: 'Jugador no encontrado en la sala',
-        });
-        return;
-      }
+      this.roomService.touchRoom(room.code);
+      this.gameService.endGame(room.code);
+    } catch (error) {
+      console.error('Error al terminar práctica:', error);
+      client.emit('room-error', {
+        message: 'Error al terminar la práctica',
+      });
+    }
+  }
 
-      // Verificar que el nombre no esté en uso por otro jugador
-      const nameInUse = Array.from(room.players.values()).some(
-        (p) => p.name === name && p.id !== playerId,
+  /**
+   * Expulsa a un jugador de la sala
+   * Solo el anfitrión puede hacerlo; el jugador expulsado puede volver a unirse con el código
+   * @param data Datos con el ID del jugador
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('kick-player')
+  handleKickPlayer(
+    @MessageBody() data: TargetPlayerDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const context = this.getHostContext(
+        client,
+        'Solo el anfitrión puede expulsar jugadores',
       );
 
-      if (nameInUse) {
-        client.emit('room-error', {
-          message: 'Este nombre ya está en uso',
-        });
+      if (!context) {
         return;
       }
 
-      // Asignar nombre al jugador
-      player.name = name;
+      const target = this.getModerationTarget(client, context, data.playerId);
 
-      // Notificar a todos los jugadores de la actualización
-      this.emitPlayerListUpdate(room.code);
+      if (!target) {
+        return;
+      }
 
-      // Confirmar al cliente
-      client.emit('name-set', {
-        playerId,
-        name,
-      });
+      this.expelPlayer(context.room, target, 'kick');
     } catch (error) {
-      console.error('Error al establecer nombre:', error);
+      console.error('Error al expulsar jugador:', error);
       client.emit('room-error', {
-        message: 'Error al establecer nombre',
+        message: 'Error al expulsar al jugador',
       });
     }
   }
 
   /**
-   * Marca un jugador como listo e inicia el juego si todos están listos
+   * Expulsa a un jugador y le impide volver a la sala
+   * Solo el anfitrión puede hacerlo
+   * @param data Datos con el ID del jugador
    * @param client Socket del cliente
    */
-  @SubscribeMessage('player-ready')
-  handlePlayerReady(@ConnectedSocket() client: Socket): void {
+  @SubscribeMessage('ban-player')
+  handleBanPlayer(
+    @MessageBody() data: TargetPlayerDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
     try {
-      const playerId = this.socketPlayerMap.get(client.id);
+      const context = this.getHostContext(
+        client,
+        'Solo el anfitrión puede vetar jugadores',
+      );
 
-      if (!playerId) {
-        client.emit('room-error', {
-          message: 'Jugador no encontrado',
-        });
+      if (!context) {
         return;
       }
 
-      const room = this.roomService.getRoomByPlayerId(playerId);
+      const target = this.getModerationTarget(client, context, data.playerId);
 
-      if (!room) {
-        client.emit('room-error', {
-          message: 'Sala no encontrada',
-        });
+      if (!target) {
         return;
       }
 
-      const player = room.players.get(playerId);
+      this.expelPlayer(context.room, target, 'ban');
+    } catch (error) {
+      console.error('Error al vetar jugador:', error);
+      client.emit('room-error', {
+        message: 'Error al vetar al jugador',
+      });
+    }
+  }
 
-      if (!player) {
-        client.emit('room-error', {
-          message: 'Jugador no encontrado en la sala',
-        });
-        return;
-      }
+  /**
+   * Silencia a un jugador en el chat o le devuelve la palabra (solo anfitrión)
+   * @param data Datos con el ID del jugador y si queda silenciado
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('mute-player')
+  handleMutePlayer(
+    @MessageBody() data: MutePlayerDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const context = this.getHostContext(
+        client,
+        'Solo el anfitrión puede silenciar jugadores',
+      );
 
-      // Verificar que el jugador tenga nombre
-      if (!player.name || player.name.trim() === '') {
-        client.emit('room-error', {
-          message: 'Debes establecer un nombre antes de estar listo',
-        });
+      if (!context) {
         return;
       }
 
-      // Marcar jugador como listo
-      player.isReady = true;
+      const target = this.getModerationTarget(client, context, data.playerId);
 
-      // Cambiar estado de la sala si es necesario
-      if (room.state === 'lobby') {
-        room.state = 'waiting-ready';
+      if (!target) {
+        return;
       }
 
-      // Notificar a todos los jugadores
-      this.emitPlayerListUpdate(room.code);
-
-      // Verificar si todos los jugadores están listos
-      if (this.gameService.checkAllPlayersReady(room.code)) {
-        // Iniciar el juego
-        this.gameService.startGame(room.code);
-
-        // Notificar a todos los jugadores que el juego ha comenzado
-        this.emitToRoom(room.code, 'game-started', {
-          maxRounds: room.maxRounds,
-        });
+      this.roomService.setPlayerMuted(context.room, target.id, data.muted);
 
-        // Emitir evento de inicio de ronda
-        this.emitRoundStarted(room.code);
-      }
+      // El estado de silencio viaja en la lista de jugadores
+      this.emitPlayerListUpdate(context.room.code);
     } catch (error) {
-      console.error('Error al marcar jugador listo:', error);
+      console.error('Error al silenciar jugador:', error);
       client.emit('room-error', {
-        message: 'Error al marcar como listo',
+        message: 'Error al silenciar al jugador',
       });
     }
   }
 
   /**
-   * Registra la selección de altura de un jugador
-   * @param data Datos con la altura seleccionada
+   * Envía un mensaje al chat de la sala
+   * Aplica el silencio del anfitrión, la visibilidad para espectadores y el límite de mensajes por socket
+   * @param data Datos con el texto del mensaje
    * @param client Socket del cliente
    */
-  @SubscribeMessage('select-height')
-  handleSelectHeight(
-    @MessageBody() data: SelectHeightDto,
+  @SubscribeMessage('chat-message')
+  handleChatMessage(
+    @MessageBody() data: ChatMessageDto,
     @ConnectedSocket() client: Socket,
   ): void {
     try {
-      const { height } = data;
       const playerId = this.socketPlayerMap.get(client.id);
+      const room = playerId
+        ? this.roomService.getRoomByPlayerId(playerId)
+        : null;
+      const player = playerId && room ? room.players.get(playerId) : undefined;
 
-      if (!playerId) {
+      if (!room || !player) {
         client.emit('room-error', {
-          message: 'Jugador no encontrado',
+          message: 'No estás en ninguna sala',
         });
         return;
       }
 
-      const room = this.roomService.getRoomByPlayerId(playerId);
+      if (!this.roomService.canUseChat(room, player)) {
+        client.emit('room-error', {
+          message: 'El chat de esta sala no está disponible para espectadores',
+          code: 'CHAT_HIDDEN',
+        });
+        return;
+      }
 
-      if (!room) {
+      if (player.isMuted) {
         client.emit('room-error', {
-          message: 'Sala no encontrada',
+          message: 'El anfitrión te ha silenciado en el chat',
+          code: 'MUTED',
         });
         return;
       }
 
-      // Verificar que la sala esté en estado de selección
-      if (room.state !== 'selection') {
+      const text = normalizeChatText(data.text);
+
+      if (!text) {
         client.emit('room-error', {
-          message: 'No es momento de seleccionar altura',
+          message: 'El mensaje no puede estar vacío',
         });
         return;
       }
 
-      // Registrar selección
-      this.gameService.submitHeight(room.code, playerId, height);
+      const slots = takeChatSlot(
+        this.chatSlots.get(client.id) ?? [],
+        Date.now(),
+        CHAT_RATE_LIMIT,
+        CHAT_RATE_WINDOW_MS,
+      );
 
-      // Confirmar al cliente
-      client.emit('height-selected', {
-        height,
-      });
+      if (!slots) {
+        client.emit('room-error', {
+          message:
+            'Estás enviando mensajes demasiado rápido, espera un momento',
+          code: 'CHAT_RATE_LIMITED',
+        });
+        return;
+      }
+
+      this.chatSlots.set(client.id, slots);
+      this.emitChatMessage(
+        room,
+        this.roomService.addChatMessage(room, player, text),
+      );
     } catch (error) {
-      console.error('Error al seleccionar altura:', error);
+      console.error('Error al enviar mensaje de chat:', error);
       client.emit('room-error', {
-        message: 'Error al seleccionar altura',
+        message: 'Error al enviar el mensaje',
       });
     }
   }
 
   /**
-   * Registra el consentimiento de un jugador para reiniciar el juego
+   * Difunde una reacción durante la revelación de la pared
+   * Solo reaccionan quienes saltaron en la ronda; las reacciones demasiado seguidas se descartan sin aviso
+   * @param data Datos con el emoji elegido
    * @param client Socket del cliente
    */
-  @SubscribeMessage('restart-consent')
-  handleRestartConsent(@ConnectedSocket() client: Socket): void {
+  @SubscribeMessage('send-reaction')
+  handleSendReaction(
+    @MessageBody() data: SendReactionDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
     try {
       const playerId = this.socketPlayerMap.get(client.id);
+      const room = playerId
+        ? this.roomService.getRoomByPlayerId(playerId)
+        : null;
+      const player = playerId && room ? room.players.get(playerId) : undefined;
 
-      if (!playerId) {
+      if (!room || !player) {
         client.emit('room-error', {
-          message: 'Jugador no encontrado',
+          message: 'No estás en ninguna sala',
         });
         return;
       }
 
-      const room = this.roomService.getRoomByPlayerId(playerId);
-
-      if (!room) {
+      if (room.state !== 'revealing') {
         client.emit('room-error', {
-          message: 'Sala no encontrada',
+          message: 'Solo se puede reaccionar durante la revelación de la pared',
         });
         return;
       }
 
-      // Verificar que la sala esté en estado game-over
-      if (room.state !== 'game-over') {
+      if (
+        !room.lastRoundResults.some((result) => result.playerId === player.id)
+      ) {
         client.emit('room-error', {
-          message: 'El juego no ha terminado',
+          message: 'Solo quienes saltaron en esta ronda pueden reaccionar',
         });
         return;
       }
 
-      // Registrar consentimiento
-      this.gameService.handleRestartConsent(room.code, playerId);
-
-      // Obtener referencia actualizada de la sala
-      const updatedRoom = this.roomService.getRoomByPlayerId(playerId);
+      const now = Date.now();
 
-      if (!updatedRoom) {
+      if (isReactionThrottled(player.lastReactionAt, now)) {
         return;
       }
 
-      // Emitir estado de consentimientos
-      const consentsCount = updatedRoom.restartConsents.size;
-      const totalPlayers = Array.from(updatedRoom.players.values()).filter(
-        (p) => p.isConnected,
-      ).length;
-
-      this.emitToRoom(updatedRoom.code, 'restart-status', {
-        consents: consentsCount,
-        total: totalPlayers,
+      player.lastReactionAt = now;
+      this.emitToRoom(room.code, 'reaction', {
+        playerId: player.id,
+        emoji: data.emoji,
+      });
+    } catch (error) {
+      console.error('Error al enviar reacción:', error);
+      client.emit('room-error', {
+        message: 'Error al enviar la reacción',
+      });
+    }
+  }
+
+  /**
+   * Establece, cambia o quita la contraseña de la sala (solo anfitrión)
+   * Sin contraseña en los datos, la sala vuelve a estar abierta a quien tenga el código
+   * @param data Datos con la nueva contraseña
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('set-room-password')
+  async handleSetRoomPassword(
+    @MessageBody() data: RoomPasswordDto,
+    @ConnectedSocket() client: Socket,
+  ): Promise<void> {
+    try {
+      const context = this.getHostContext(
+        client,
+        'Solo el anfitrión puede cambiar la contraseña',
+      );
+
+      if (!context) {
+        return;
+      }
+
+      await this.roomService.setRoomPassword(context.room, data?.password);
+
+      this.emitToRoom(context.room.code, 'room-password-updated', {
+        hasPassword: context.room.passwordHash !== null,
+      });
+    } catch (error) {
+      console.error('Error al cambiar la contraseña:', error);
+      client.emit('room-error', {
+        message: 'Error al cambiar la contraseña',
+      });
+    }
+  }
+
+  /**
+   * Cede el rol de anfitrión a otro jugador conectado
+   * @param data Datos con el ID del nuevo anfitrión
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('transfer-host')
+  handleTransferHost(
+    @MessageBody() data: TargetPlayerDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const context = this.getHostContext(
+        client,
+        'Solo el anfitrión puede ceder su rol',
+      );
+
+      if (!context) {
+        return;
+      }
+
+      const target = this.getModerationTarget(client, context, data.playerId);
+
+      if (!target) {
+        return;
+      }
+
+      if (target.isBot || !target.isConnected) {
+        client.emit('room-error', {
+          message: 'Solo puedes ceder el rol a un jugador conectado',
+        });
+        return;
+      }
+
+      this.roomService.transferHost(context.room, target.id);
+
+      this.emitToRoom(context.room.code, 'host-changed', {
+        hostId: target.id,
+        hostName: target.name,
+      });
+      this.emitPlayerListUpdate(context.room.code);
+    } catch (error) {
+      console.error('Error al ceder anfitrión:', error);
+      client.emit('room-error', {
+        message: 'Error al ceder el rol de anfitrión',
+      });
+    }
+  }
+
+  /**
+   * Empieza la partida sin esperar a que todos estén listos
+   * Requiere un mínimo configurable de jugadores listos; quien no lo esté juega igualmente
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('force-start')
+  handleForceStart(@ConnectedSocket() client: Socket): void {
+    try {
+      const context = this.getHostContext(
+        client,
+        'Solo el anfitrión puede empezar la partida',
+      );
+
+      if (!context) {
+        return;
+      }
+
+      const { room } = context;
+
+      if (room.state !== 'lobby' && room.state !== 'waiting-ready') {
+        client.emit('room-error', {
+          message: 'La partida ya comenzó',
+        });
+        return;
+      }
+
+      const players = this.gameService.getParticipants(room);
+      const readyCount = players.filter((player) => player.isReady).length;
+      const minReady = this.roomService.getMinReadyToForceStart();
+
+      if (readyCount < minReady) {
+        client.emit('room-error', {
+          message: `Se necesitan al menos ${minReady} jugadores listos para empezar`,
+          code: 'NOT_ENOUGH_READY',
+        });
+        return;
+      }
+
+      // Quien aún no eligió nombre entra con uno provisional que no choque
+      // con los ya elegidos, igual que exige set-player-name
+      const usedNames = new Set(
+        Array.from(room.players.values()).map((player) => player.name),
+      );
+      let suffix = 1;
+      players
+        .filter((player) => !player.name || player.name.trim() === '')
+        .forEach((player) => {
+          while (usedNames.has(`Jugador ${suffix}`)) {
+            suffix++;
+          }
+          player.name = `Jugador ${suffix}`;
+          usedNames.add(player.name);
+        });
+
+      this.roomService.touchRoom(room.code);
+      this.beginGame(room);
+    } catch (error) {
+      console.error('Error al forzar inicio:', error);
+      client.emit('room-error', {
+        message: 'Error al empezar la partida',
+      });
+    }
+  }
+
+  /**
+   * Pausa la partida en curso congelando el temporizador de la fase actual
+   * Solo el anfitrión puede hacerlo
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('pause-game')
+  handlePauseGame(@ConnectedSocket() client: Socket): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player || !player.isHost) {
+        client.emit('room-error', {
+          message: 'Solo el anfitrión puede pausar la partida',
+          code: 'NOT_HOST',
+        });
+        return;
+      }
+
+      if (!this.gameService.pauseGame(room.code)) {
+        client.emit('room-error', {
+          message: 'No hay una ronda en curso que pausar',
+        });
+        return;
+      }
+
+      this.emitToRoom(room.code, 'game-paused', {
+        state: room.state,
+        phase: room.pausedPhase,
+        timeRemaining: this.getPausedTimeRemaining(room),
+        pausedBy: player.name,
+      });
+    } catch (error) {
+      console.error('Error al pausar partida:', error);
+      client.emit('room-error', {
+        message: 'Error al pausar la partida',
+      });
+    }
+  }
+
+  /**
+   * Reanuda la partida pausada con el tiempo que le quedaba a la fase
+   * Solo el anfitrión puede hacerlo
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('resume-game')
+  handleResumeGame(@ConnectedSocket() client: Socket): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player || !player.isHost) {
+        client.emit('room-error', {
+          message: 'Solo el anfitrión puede reanudar la partida',
+          code: 'NOT_HOST',
+        });
+        return;
+      }
+
+      if (!this.resumeGame(room)) {
+        client.emit('room-error', {
+          message: 'La partida no está pausada',
+        });
+      }
+    } catch (error) {
+      console.error('Error al reanudar partida:', error);
+      client.emit('room-error', {
+        message: 'Error al reanudar la partida',
+      });
+    }
+  }
+
+  /**
+   * Une un jugador a una sala existente
+   * Con la partida empezada entra como espectador y recibe el estado de la ronda en curso
+   * @param data Datos con el código de sala y el papel solicitado
+   * @param client Socket del cliente que se une
+   */
+  @SubscribeMessage('join-room')
+  async handleJoinRoom(
+    @MessageBody() data: JoinRoomDto,
+    @ConnectedSocket() client: Socket,
+  ): Promise<void> {
+    try {
+      const { roomCode, role, password, sessionToken } = data;
+
+      // Verificar que la sala existe (las prácticas no admiten más jugadores)
+      const room = this.roomService.getRoom(roomCode);
+
+      if (!room || room.isPractice) {
+        client.emit('room-error', {
+          message: 'La sala no existe',
+        });
+        return;
+      }
+
+      const currentPlayerId = this.socketPlayerMap.get(client.id);
+
+      if (currentPlayerId && room.players.has(currentPlayerId)) {
+        client.emit('room-error', {
+          message: 'Ya estás en esta sala',
+        });
+        return;
+      }
+
+      // Verificar que la sala tenga lugar
+      if (this.roomService.isRoomFull(roomCode)) {
+        client.emit('room-error', {
+          message: 'La sala está llena',
+          code: 'ROOM_FULL',
+        });
+        return;
+      }
+
+      // Rechazar a los clientes vetados por el anfitrión
+      if (
+        this.roomService.isBanned(
+          room,
+          this.getClientAddress(client),
+          sessionToken,
+        )
+      ) {
+        client.emit('room-error', {
+          message: 'Has sido vetado de esta sala',
+          code: 'BANNED',
+        });
+        return;
+      }
+
+      // Las salas con contraseña limitan los intentos fallidos por dirección y por sala
+      const address = this.getClientAddress(client);
+      const passwordCheck = await this.roomService.checkRoomPassword(
+        room,
+        address,
+        password,
+      );
+
+      if (passwordCheck === 'locked') {
+        const retryAfter = this.roomService.getPasswordRetryAfter(
+          room,
+          address,
+        );
+        client.emit('room-error', {
+          message: `Demasiados intentos fallidos, espera ${retryAfter} segundos`,
+          code: 'PASSWORD_LOCKED',
+          roomCode,
+          retryAfter,
+        });
+        return;
+      }
+
+      if (passwordCheck !== 'ok') {
+        client.emit('room-error', {
+          message:
+            passwordCheck === 'required'
+              ? 'Esta sala requiere contraseña'
+              : 'Contraseña incorrecta',
+          code:
+            passwordCheck === 'required'
+              ? 'PASSWORD_REQUIRED'
+              : 'WRONG_PASSWORD',
+          roomCode,
+        });
+        return;
+      }
+
+      // Salir de la sala anterior antes de entrar en la nueva
+      this.leaveCurrentRoom(client);
+
+      this.addPlayerToRoom(client, room, role);
+    } catch (error) {
+      console.error('Error al unirse a sala:', error);
+      client.emit('room-error', {
+        message: 'Error al unirse a la sala',
+      });
+    }
+  }
+
+  /**
+   * Saca al jugador de su sala actual y lo devuelve a la pantalla de inicio
+   * @param client Socket del cliente que abandona la sala
+   */
+  @SubscribeMessage('leave-room')
+  handleLeaveRoom(@ConnectedSocket() client: Socket): void {
+    try {
+      const roomCode = this.leaveCurrentRoom(client);
+
+      if (!roomCode) {
+        client.emit('room-error', {
+          message: 'No estás en ninguna sala',
+        });
+        return;
+      }
+
+      client.emit('room-left', { roomCode });
+    } catch (error) {
+      console.error('Error al salir de la sala:', error);
+      client.emit('room-error', {
+        message: 'Error al salir de la sala',
+      });
+    }
+  }
+
+  /**
+   * Envía el listado de salas públicas y suscribe al cliente a sus actualizaciones
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('list-rooms')
+  handleListRooms(@ConnectedSocket() client: Socket): void {
+    try {
+      void client.join(ROOM_BROWSER_CHANNEL);
+      client.emit('rooms-list', {
+        rooms: toRoomListing(this.roomService.getPublicRooms()),
+      });
+    } catch (error) {
+      console.error('Error al listar salas:', error);
+      client.emit('room-error', {
+        message: 'Error al obtener las salas públicas',
+      });
+    }
+  }
+
+  /**
+   * Deja de enviar al cliente las actualizaciones del listado de salas públicas
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('unwatch-rooms')
+  handleUnwatchRooms(@ConnectedSocket() client: Socket): void {
+    void client.leave(ROOM_BROWSER_CHANNEL);
+  }
+
+  /**
+   * Une al cliente a la mejor sala pública abierta o, si no hay ninguna, crea una pública
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('quick-play')
+  handleQuickPlay(@ConnectedSocket() client: Socket): void {
+    try {
+      // Salir de la sala anterior antes de buscar otra
+      this.leaveCurrentRoom(client);
+
+      const room = this.roomService.findQuickPlayRoom(
+        this.getClientAddress(client),
+      );
+
+      if (room) {
+        this.addPlayerToRoom(client, room);
+      } else {
+        this.createRoomFor(client, true);
+      }
+    } catch (error) {
+      console.error('Error en partida rápida:', error);
+      client.emit('room-error', {
+        message: 'Error al buscar partida',
+      });
+    }
+  }
+
+  /**
+   * Reasocia un socket nuevo a un jugador existente a partir de su token de sesión
+   * Permite recuperar el asiento y la puntuación tras una desconexión
+   * @param data Datos con el token de sesión
+   * @param client Socket del cliente que se reconecta
+   */
+  @SubscribeMessage('resume-session')
+  handleResumeSession(
+    @MessageBody() data: ResumeSessionDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const session = this.roomService.getPlayerBySessionToken(
+        data.sessionToken,
+      );
+
+      if (!session) {
+        client.emit('resume-failed', {
+          message: 'La sesión ya no es válida',
+        });
+        return;
+      }
+
+      const { room, player } = session;
+
+      // Si este socket ocupaba otro asiento, abandonarlo antes de recuperar la sesión
+      if (this.socketPlayerMap.get(client.id) !== player.id) {
+        this.leaveCurrentRoom(client);
+
+        if (!this.roomService.getRoom(room.code)) {
+          client.emit('resume-failed', {
+            message: 'La sesión ya no es válida',
+          });
+          return;
+        }
+      }
+
+      // Liberar el socket anterior si seguía registrado
+      if (player.socketId !== client.id) {
+        this.socketPlayerMap.delete(player.socketId);
+        this.chatSlots.delete(player.socketId);
+        this.server.in(player.socketId).socketsLeave(room.code);
+      }
+
+      this.roomService.touchRoom(room.code);
+
+      // Reasociar el jugador al nuevo socket
+      player.socketId = client.id;
+      player.address = this.getClientAddress(client);
+      player.isConnected = true;
+      this.socketPlayerMap.set(client.id, player.id);
+
+      // Unir socket a la sala de Socket.IO
+      void client.join(room.code);
+
+      // Reenviar el estado actual de la sala y de la ronda
+      client.emit('session-resumed', this.buildSessionSnapshot(room, player));
+
+      // Notificar a los demás jugadores
+      client.to(room.code).emit('player-reconnected', {
+        playerId: player.id,
+        playerName: player.name,
+      });
+
+      this.emitPlayerListUpdate(room.code);
+
+      // Sin el anfitrión conectado nadie podría reanudar (p. ej. una partida recuperada
+      // tras un reinicio): continúa en cuanto vuelve el primer jugador
+      if (
+        room.state === 'paused' &&
+        !Array.from(room.players.values()).some(
+          (p) => p.isHost && p.isConnected,
+        )
+      ) {
+        this.resumeGame(room);
+      }
+    } catch (error) {
+      console.error('Error al recuperar sesión:', error);
+      client.emit('resume-failed', {
+        message: 'Error al recuperar la sesión',
+      });
+    }
+  }
+
+  /**
+   * Asigna un nombre a un jugador
+   * @param data Datos con el nombre del jugador
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('set-player-name')
+  handleSetPlayerName(
+    @MessageBody() data: SetPlayerNameDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const { name } = data;
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado en la sala',
+        });
+        return;
+      }
+
+      // Verificar que el nombre no esté en uso por otro jugador
+      const nameInUse = Array.from(room.players.values()).some(
+        (p) => p.name === name && p.id !== playerId,
+      );
+
+      if (nameInUse) {
+        client.emit('room-error', {
+          message: 'Este nombre ya está en uso',
+        });
+        return;
+      }
+
+      // Asignar nombre al jugador
+      player.name = name;
+      this.roomService.touchRoom(room.code);
+
+      // Notificar a todos los jugadores de la actualización
+      this.emitPlayerListUpdate(room.code);
+
+      // Confirmar al cliente
+      client.emit('name-set', {
+        playerId,
+        name,
+      });
+    } catch (error) {
+      console.error('Error al establecer nombre:', error);
+      client.emit('room-error', {
+        message: 'Error al establecer nombre',
+      });
+    }
+  }
+
+  /**
+   * Marca un jugador como listo e inicia el juego si todos están listos
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('player-ready')
+  handlePlayerReady(@ConnectedSocket() client: Socket): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado en la sala',
+        });
+        return;
+      }
+
+      // Los espectadores no participan en la partida
+      if (player.role === 'spectator') {
+        client.emit('room-error', {
+          message: 'Los espectadores no pueden marcarse como listos',
+        });
+        return;
+      }
+
+      // Verificar que el jugador tenga nombre
+      if (!player.name || player.name.trim() === '') {
+        client.emit('room-error', {
+          message: 'Debes establecer un nombre antes de estar listo',
+        });
+        return;
+      }
+
+      // Marcar jugador como listo
+      player.isReady = true;
+      this.roomService.touchRoom(room.code);
+
+      // Cambiar estado de la sala si es necesario
+      if (room.state === 'lobby') {
+        room.state = 'waiting-ready';
+      }
+
+      // Notificar a todos los jugadores
+      this.emitPlayerListUpdate(room.code);
+
+      // Verificar si todos los jugadores están listos
+      if (this.gameService.checkAllPlayersReady(room.code)) {
+        this.beginGame(room);
+      }
+    } catch (error) {
+      console.error('Error al marcar jugador listo:', error);
+      client.emit('room-error', {
+        message: 'Error al marcar como listo',
+      });
+    }
+  }
+
+  /**
+   * Actualiza la configuración de la partida de la sala
+   * Solo el anfitrión puede hacerlo y únicamente antes de que empiece el juego
+   * @param data Cambios de configuración (ya validados contra los límites del servidor)
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('update-room-settings')
+  handleUpdateRoomSettings(
+    @MessageBody() data: UpdateRoomSettingsDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player || !player.isHost) {
+        client.emit('room-error', {
+          message: 'Solo el anfitrión puede cambiar la configuración',
+          code: 'NOT_HOST',
+        });
+        return;
+      }
+
+      // Solo se puede configurar antes de que empiece el juego
+      if (room.state !== 'lobby' && room.state !== 'waiting-ready') {
+        client.emit('room-error', {
+          message: 'La configuración solo se puede cambiar en el lobby',
+        });
+        return;
+      }
+
+      this.roomService.updateRoomSettings(room.code, data);
+      this.roomService.touchRoom(room.code);
+
+      // Enviar la nueva configuración a todos los jugadores
+      this.broadcastRoomState(room.code);
+    } catch (error) {
+      console.error('Error al actualizar configuración:', error);
+      client.emit('room-error', {
+        message: 'Error al actualizar la configuración',
+      });
+    }
+  }
+
+  /**
+   * Agrega un bot a la sala para completar la partida
+   * Solo el anfitrión puede hacerlo y únicamente antes de que empiece el juego
+   * @param data Datos con la estrategia del bot
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('add-bot')
+  handleAddBot(
+    @MessageBody() data: AddBotDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player || !player.isHost) {
+        client.emit('room-error', {
+          message: 'Solo el anfitrión puede agregar bots',
+          code: 'NOT_HOST',
+        });
+        return;
+      }
+
+      if (room.state !== 'lobby' && room.state !== 'waiting-ready') {
+        client.emit('room-error', {
+          message: 'Los bots solo se pueden agregar en el lobby',
+        });
+        return;
+      }
+
+      if (!this.roomService.addBot(room.code, data.strategy)) {
+        client.emit('room-error', {
+          message: 'La sala está llena',
+          code: 'ROOM_FULL',
+        });
+        return;
+      }
+
+      this.emitPlayerListUpdate(room.code);
+    } catch (error) {
+      console.error('Error al agregar bot:', error);
+      client.emit('room-error', {
+        message: 'Error al agregar bot',
+      });
+    }
+  }
+
+  /**
+   * Quita un bot de la sala
+   * Solo el anfitrión puede hacerlo y únicamente antes de que empiece el juego
+   * @param data Datos con el ID del bot
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('remove-bot')
+  handleRemoveBot(
+    @MessageBody() data: RemoveBotDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player || !player.isHost) {
+        client.emit('room-error', {
+          message: 'Solo el anfitrión puede quitar bots',
+          code: 'NOT_HOST',
+        });
+        return;
+      }
+
+      if (room.state !== 'lobby' && room.state !== 'waiting-ready') {
+        client.emit('room-error', {
+          message: 'Los bots solo se pueden quitar en el lobby',
+        });
+        return;
+      }
+
+      if (!this.roomService.removeBot(room.code, data.botId)) {
+        client.emit('room-error', {
+          message: 'Bot no encontrado en la sala',
+        });
+        return;
+      }
+
+      this.emitPlayerListUpdate(room.code);
+    } catch (error) {
+      console.error('Error al quitar bot:', error);
+      client.emit('room-error', {
+        message: 'Error al quitar bot',
+      });
+    }
+  }
+
+  /**
+   * Cambia el equipo de un jugador en modo por equipos
+   * Solo se puede elegir antes de que empiece el juego
+   * @param data Datos con el equipo elegido
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('choose-team')
+  handleChooseTeam(
+    @MessageBody() data: ChooseTeamDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado en la sala',
+        });
+        return;
+      }
+
+      if (!room.teamMode) {
+        client.emit('room-error', {
+          message: 'La sala no está en modo por equipos',
+        });
+        return;
+      }
+
+      // Solo se puede cambiar de equipo antes de que empiece el juego
+      if (room.state !== 'lobby' && room.state !== 'waiting-ready') {
+        client.emit('room-error', {
+          message: 'Solo puedes cambiar de equipo en el lobby',
+        });
+        return;
+      }
+
+      if (!getAvailableTeams(room.teamCount).includes(data.team)) {
+        client.emit('room-error', {
+          message: 'Ese equipo no está disponible en esta sala',
+        });
+        return;
+      }
+
+      player.team = data.team;
+      this.roomService.touchRoom(room.code);
+
+      // Notificar a todos los jugadores
+      this.emitPlayerListUpdate(room.code);
+    } catch (error) {
+      console.error('Error al elegir equipo:', error);
+      client.emit('room-error', {
+        message: 'Error al elegir equipo',
+      });
+    }
+  }
+
+  /**
+   * Registra la selección de altura de un jugador
+   * @param data Datos con la altura seleccionada
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('select-height')
+  handleSelectHeight(
+    @MessageBody() data: SelectHeightDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const { height, stake = 0 } = data;
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      // Verificar que la sala esté en estado de selección
+      if (room.state !== 'selection') {
+        client.emit('room-error', {
+          message: 'No es momento de seleccionar altura',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+      const spectatorReason = player && this.getSpectatorReason(room, player);
+
+      // Eliminados y jugadores fuera del desempate siguen la ronda como espectadores
+      if (spectatorReason) {
+        client.emit('room-error', { message: spectatorReason });
+        return;
+      }
+
+      // Verificar que el jugador no haya confirmado ya su altura
+      if (player?.hasLockedIn) {
+        client.emit('room-error', {
+          message: 'Ya confirmaste tu altura en esta ronda',
+        });
+        return;
+      }
+
+      // Verificar que la apuesta esté permitida: nadie apuesta puntos que no tiene
+      if (stake > 0 && player) {
+        if (!room.wagerMode) {
+          client.emit('room-error', {
+            message: 'Las apuestas no están activadas en esta sala',
+          });
+          return;
+        }
+
+        const maxStake = this.gameService.getMaxStake(room, player);
+
+        if (stake > maxStake) {
+          client.emit('room-error', {
+            message:
+              maxStake === 0
+                ? 'No tienes puntos para apostar en esta ronda'
+                : `No puedes apostar más de ${maxStake} puntos en esta ronda`,
+            code: 'STAKE_TOO_HIGH',
+          });
+          return;
+        }
+      }
+
+      // Registrar selección
+      this.gameService.submitHeight(room.code, playerId, height, stake);
+      this.roomService.touchRoom(room.code);
+
+      // Confirmar al cliente
+      client.emit('height-selected', {
+        height,
+        stake,
+      });
+    } catch (error) {
+      console.error('Error al seleccionar altura:', error);
+      client.emit('room-error', {
+        message: 'Error al seleccionar altura',
+      });
+    }
+  }
+
+  /**
+   * Confirma la altura seleccionada de un jugador
+   * Si todos los jugadores conectados confirmaron, cierra la selección sin esperar al temporizador
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('lock-in')
+  handleLockIn(@ConnectedSocket() client: Socket): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado en la sala',
+        });
+        return;
+      }
+
+      // Verificar que la sala esté en estado de selección
+      if (room.state !== 'selection') {
+        client.emit('room-error', {
+          message: 'No es momento de confirmar la altura',
+        });
+        return;
+      }
+
+      const spectatorReason = this.getSpectatorReason(room, player);
+
+      if (spectatorReason) {
+        client.emit('room-error', { message: spectatorReason });
+        return;
+      }
+
+      if (player.hasLockedIn) {
+        return;
+      }
+
+      if (!this.gameService.lockInHeight(room.code, playerId)) {
+        client.emit('room-error', {
+          message: 'Debes seleccionar una altura antes de confirmar',
+        });
+        return;
+      }
+
+      this.roomService.touchRoom(room.code);
+
+      // Notificar a todos sin revelar la altura elegida
+      this.emitPlayerLocked(room.code, player);
+
+      // Si todos confirmaron, cerrar la selección de inmediato
+      if (this.gameService.checkAllPlayersLocked(room.code)) {
+        this.gameService.endSelectionPeriod(room.code);
+      }
+    } catch (error) {
+      console.error('Error al confirmar altura:', error);
+      client.emit('room-error', {
+        message: 'Error al confirmar altura',
+      });
+    }
+  }
+
+  /**
+   * Usa una habilidad de un solo uso durante la selección
+   * El efecto solo lo recibe el jugador; al resto se le avisa de qué habilidad se usó
+   * @param data Datos con la habilidad (y la altura a espiar)
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('use-ability')
+  handleUseAbility(
+    @MessageBody() data: UseAbilityDto,
+    @ConnectedSocket() client: Socket,
+  ): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      const player = room.players.get(playerId);
+
+      if (!player) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado en la sala',
+        });
+        return;
+      }
+
+      if (!room.abilitiesEnabled) {
+        client.emit('room-error', {
+          message: 'Las habilidades no están activadas en esta sala',
+        });
+        return;
+      }
+
+      // Verificar que la sala esté en estado de selección
+      if (room.state !== 'selection') {
+        client.emit('room-error', {
+          message: 'Solo puedes usar habilidades durante la selección',
+        });
+        return;
+      }
+
+      const spectatorReason = this.getSpectatorReason(room, player);
+
+      if (spectatorReason) {
+        client.emit('room-error', { message: spectatorReason });
+        return;
+      }
+
+      if (!player.abilities.includes(data.ability)) {
+        client.emit('room-error', {
+          message: `Ya usaste ${ABILITY_NAMES[data.ability]} en esta partida`,
+        });
+        return;
+      }
+
+      const effect = this.gameService.useAbility(
+        room.code,
+        playerId,
+        data.ability,
+        data.height ?? null,
+      );
+
+      if (!effect) {
+        client.emit('room-error', {
+          message: 'No puedes usar esa habilidad ahora',
+        });
+        return;
+      }
+
+      this.roomService.touchRoom(room.code);
+
+      client.emit('ability-used', effect);
+
+      this.emitToRoom(room.code, 'player-used-ability', {
+        playerId,
+        playerName: player.name,
+        ability: data.ability,
+      });
+    } catch (error) {
+      console.error('Error al usar habilidad:', error);
+      client.emit('room-error', {
+        message: 'Error al usar habilidad',
+      });
+    }
+  }
+
+  /**
+   * Registra el consentimiento de un jugador para reiniciar el juego
+   * @param client Socket del cliente
+   */
+  @SubscribeMessage('restart-consent')
+  handleRestartConsent(@ConnectedSocket() client: Socket): void {
+    try {
+      const playerId = this.socketPlayerMap.get(client.id);
+
+      if (!playerId) {
+        client.emit('room-error', {
+          message: 'Jugador no encontrado',
+        });
+        return;
+      }
+
+      const room = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!room) {
+        client.emit('room-error', {
+          message: 'Sala no encontrada',
+        });
+        return;
+      }
+
+      // Verificar que la sala esté en estado game-over
+      if (room.state !== 'game-over') {
+        client.emit('room-error', {
+          message: 'El juego no ha terminado',
+        });
+        return;
+      }
+
+      // Los espectadores no votan el reinicio
+      if (room.players.get(playerId)?.role === 'spectator') {
+        client.emit('room-error', {
+          message: 'Los espectadores no participan en el reinicio',
+        });
+        return;
+      }
+
+      // Registrar consentimiento
+      this.roomService.touchRoom(room.code);
+      this.gameService.handleRestartConsent(room.code, playerId);
+
+      // Obtener referencia actualizada de la sala
+      const updatedRoom = this.roomService.getRoomByPlayerId(playerId);
+
+      if (!updatedRoom) {
+        return;
+      }
+
+      // Emitir estado de consentimientos
+      const consentsCount = updatedRoom.restartConsents.size;
+      const totalPlayers = this.gameService
+        .getParticipants(updatedRoom)
+        .filter((p) => p.isConnected).length;
+
+      this.emitToRoom(updatedRoom.code, 'restart-status', {
+        consents: consentsCount,
+        total: totalPlayers,
       });
 
       // Si todos consintieron, el GameService ya reinició el juego
@@ -492,6 +1934,11 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
       if (updatedRoom.state === 'waiting-ready') {
         this.emitToRoom(updatedRoom.code, 'game-restarted', {});
         this.emitPlayerListUpdate(updatedRoom.code);
+
+        // La práctica vuelve a empezar sin pasar por el lobby
+        if (updatedRoom.isPractice) {
+          this.beginGame(updatedRoom);
+        }
       }
     } catch (error) {
       console.error('Error al registrar consentimiento de reinicio:', error);
@@ -513,22 +1960,444 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
       return;
     }
 
-    const players = Array.from(room.players.values()).map((player) => ({
-      id: player.id,
-      name: player.name,
-      isReady: player.isReady,
-      isHost: player.isHost,
-      score: player.score,
-      isConnected: player.isConnected,
-    }));
+    const playerId = this.socketPlayerMap.get(client.id);
+    const player = playerId ? room.players.get(playerId) : undefined;
 
+    // Incluir el ID del jugador para que el cliente pueda identificarse en la lista
+    // y el historial del chat para quien llega tarde
     client.emit('room-state', {
+      ...this.buildRoomState(room),
+      playerId,
+      chatHistory: player ? this.roomService.getChatHistory(room, player) : [],
+    });
+  }
+
+  /**
+   * Difunde un mensaje de chat a quien pueda verlo
+   * Si la sala oculta el chat a los espectadores, solo lo reciben los participantes
+   * @param room Sala de juego
+   * @param message Mensaje a difundir
+   */
+  private emitChatMessage(room: Room, message: ChatMessage): void {
+    if (room.spectatorChat) {
+      this.emitToRoom(room.code, 'chat-message', message);
+      return;
+    }
+
+    const recipients = Array.from(room.players.values())
+      .filter((player) => player.socketId && player.isConnected)
+      .filter((player) => this.roomService.canUseChat(room, player))
+      .map((player) => player.socketId);
+
+    if (recipients.length > 0) {
+      this.server.to(recipients).emit('chat-message', message);
+    }
+  }
+
+  /**
+   * Obtiene la sala del socket y comprueba que su jugador sea el anfitrión
+   * Si algo falla, avisa al cliente con el error correspondiente
+   * @param client Socket del cliente
+   * @param notHostMessage Mensaje de error si el jugador no es el anfitrión
+   * @returns Sala y anfitrión, o null si la acción no está permitida
+   */
+  private getHostContext(
+    client: Socket,
+    notHostMessage: string,
+  ): { room: Room; host: Player } | null {
+    const playerId = this.socketPlayerMap.get(client.id);
+    const room = playerId ? this.roomService.getRoomByPlayerId(playerId) : null;
+
+    if (!playerId || !room) {
+      client.emit('room-error', {
+        message: 'Sala no encontrada',
+      });
+      return null;
+    }
+
+    const host = room.players.get(playerId);
+
+    if (!host || !host.isHost) {
+      client.emit('room-error', {
+        message: notHostMessage,
+        code: 'NOT_HOST',
+      });
+      return null;
+    }
+
+    return { room, host };
+  }
+
+  /**
+   * Busca al jugador sobre el que actúa el anfitrión (nunca él mismo)
+   * @param client Socket del anfitrión
+   * @param context Sala y anfitrión
+   * @param targetId ID del jugador objetivo
+   * @returns Jugador objetivo, o null si no es válido
+   */
+  private getModerationTarget(
+    client: Socket,
+    context: { room: Room; host: Player },
+    targetId: string,
+  ): Player | null {
+    const target = context.room.players.get(targetId);
+
+    if (!target) {
+      client.emit('room-error', {
+        message: 'Jugador no encontrado en la sala',
+      });
+      return null;
+    }
+
+    if (target.id === context.host.id) {
+      client.emit('room-error', {
+        message: 'No puedes hacer esto contigo mismo',
+      });
+      return null;
+    }
+
+    return target;
+  }
+
+  /**
+   * Saca a un jugador de la sala por decisión del anfitrión
+   * @param room Sala de juego
+   * @param target Jugador expulsado
+   * @param reason 'kick' (puede volver) o 'ban' (vetado)
+   */
+  private expelPlayer(
+    room: Room,
+    target: Player,
+    reason: 'kick' | 'ban',
+  ): void {
+    if (reason === 'ban') {
+      this.roomService.banPlayer(room.code, target.id);
+    } else {
+      this.roomService.removePlayer(target.id);
+    }
+
+    // Avisar al expulsado y desvincular su socket de la sala
+    if (target.socketId) {
+      this.server.to(target.socketId).emit('kicked', {
+        roomCode: room.code,
+        reason,
+        message:
+          reason === 'ban'
+            ? 'El anfitrión te ha vetado de la sala'
+            : 'El anfitrión te ha expulsado de la sala',
+      });
+      this.server.in(target.socketId).socketsLeave(room.code);
+      this.socketPlayerMap.delete(target.socketId);
+    }
+
+    this.emitToRoom(room.code, 'player-left', {
+      playerId: target.id,
+      playerName: target.name,
+    });
+    this.emitPlayerListUpdate(room.code);
+
+    // Sin el expulsado puede que ya hayan confirmado todos
+    if (
+      room.state === 'selection' &&
+      this.gameService.checkAllPlayersLocked(room.code)
+    ) {
+      this.gameService.endSelectionPeriod(room.code);
+    }
+  }
+
+  /**
+   * Crea una sala y une al cliente como anfitrión
+   * @param client Socket del cliente
+   * @param isPublic Indica si la sala aparece en el listado público
+   * @param passwordHash Hash de la contraseña de la sala (null si no tiene)
+   */
+  private createRoomFor(
+    client: Socket,
+    isPublic: boolean,
+    passwordHash: string | null = null,
+  ): void {
+    // Generar ID único para el jugador
+    const playerId = uuidv4();
+
+    // Crear sala
+    const roomCode = this.roomService.createRoom();
+
+    if (!roomCode) {
+      client.emit('room-error', {
+        message: 'Se alcanzó el máximo de salas activas, inténtalo más tarde',
+        code: 'MAX_ROOMS_REACHED',
+      });
+      return;
+    }
+
+    // Las salas de la partida rápida son públicas para que otros las encuentren
+    if (isPublic) {
+      this.roomService.updateRoomSettings(roomCode, { isPublic: true });
+    }
+
+    if (passwordHash) {
+      this.roomService.setRoomPasswordHash(
+        this.roomService.getRoom(roomCode)!,
+        passwordHash,
+      );
+    }
+
+    // Unir jugador a la sala
+    const joined = this.roomService.joinRoom(
+      roomCode,
+      playerId,
+      client.id,
+      this.getClientAddress(client),
+    );
+
+    if (!joined) {
+      client.emit('room-error', {
+        message: 'Error al crear la sala',
+      });
+      return;
+    }
+
+    // Registrar mapeo de socket a jugador
+    this.socketPlayerMap.set(client.id, playerId);
+
+    // Unir socket a la sala de Socket.IO
+    void client.join(roomCode);
+
+    // Emitir código de sala al cliente junto con su token de sesión
+    client.emit('room-created', {
+      roomCode,
+      playerId,
+      sessionToken: this.roomService.createSessionToken(roomCode, playerId),
+    });
+
+    // Emitir estado de la sala
+    this.emitRoomState(client, roomCode);
+  }
+
+  /**
+   * Une al cliente a una sala existente y le envía su estado
+   * Con la partida empezada entra como espectador y recibe además el estado de la ronda en curso
+   * @param client Socket del cliente
+   * @param room Sala de destino
+   * @param role Papel solicitado
+   */
+  private addPlayerToRoom(
+    client: Socket,
+    room: Room,
+    role: PlayerRole = 'player',
+  ): void {
+    // Generar ID único para el jugador
+    const playerId = uuidv4();
+
+    // Unir jugador a la sala
+    const joined = this.roomService.joinRoom(
+      room.code,
+      playerId,
+      client.id,
+      this.getClientAddress(client),
+      role,
+    );
+
+    if (!joined) {
+      client.emit('room-error', {
+        message: 'No se pudo unir a la sala',
+      });
+      return;
+    }
+
+    // Registrar mapeo de socket a jugador
+    this.socketPlayerMap.set(client.id, playerId);
+
+    // Unir socket a la sala de Socket.IO
+    void client.join(room.code);
+
+    // Emitir confirmación al cliente junto con su token de sesión
+    client.emit('room-joined', {
       roomCode: room.code,
+      playerId,
+      sessionToken: this.roomService.createSessionToken(room.code, playerId),
+    });
+
+    // Emitir estado de la sala al nuevo jugador
+    this.emitRoomState(client, room.code);
+
+    // Con la partida empezada el espectador recibe el estado completo de la ronda
+    if (room.state !== 'lobby' && room.state !== 'waiting-ready') {
+      client.emit(
+        'game-in-progress',
+        this.buildSessionSnapshot(room, room.players.get(playerId)!),
+      );
+    }
+
+    // Notificar a todos los jugadores de la sala sobre la actualización
+    this.emitPlayerListUpdate(room.code);
+  }
+
+  /**
+   * Saca al jugador asociado a un socket de su sala actual
+   * Reasigna el anfitrión si hacía falta y cierra la sala si no quedan humanos conectados
+   * @param client Socket del cliente que abandona la sala
+   * @returns Código de la sala abandonada, null si el socket no estaba en ninguna
+   */
+  private leaveCurrentRoom(client: Socket): string | null {
+    const playerId = this.socketPlayerMap.get(client.id);
+
+    if (!playerId) {
+      return null;
+    }
+
+    this.socketPlayerMap.delete(client.id);
+
+    const room = this.roomService.getRoomByPlayerId(playerId);
+    const player = room?.players.get(playerId);
+
+    if (!room || !player) {
+      return null;
+    }
+
+    this.roomService.removePlayer(playerId);
+    void client.leave(room.code);
+
+    // Si no quedan humanos conectados (los bots no juegan solos), cerrar la sala
+    if (!this.roomService.hasConnectedHumans(room)) {
+      this.roomService.deleteRoom(room.code);
+      return room.code;
+    }
+
+    this.emitToRoom(room.code, 'player-left', {
+      playerId: player.id,
+      playerName: player.name,
+    });
+
+    // Ceder el rol de anfitrión a otro humano, preferiblemente conectado
+    if (player.isHost) {
+      const humans = Array.from(room.players.values()).filter((p) => !p.isBot);
+      const newHost = humans.find((p) => p.isConnected) ?? humans[0];
+
+      this.roomService.transferHost(room, newHost.id);
+      this.emitToRoom(room.code, 'host-changed', {
+        hostId: newHost.id,
+        hostName: newHost.name,
+      });
+    }
+
+    this.emitPlayerListUpdate(room.code);
+
+    if (room.state === 'paused' && player.isHost) {
+      // Sin el anfitrión nadie podría reanudar: la partida continúa sola
+      this.resumeGame(room);
+    } else if (
+      room.state === 'selection' &&
+      this.gameService.checkAllPlayersLocked(room.code)
+    ) {
+      // Sin quien se fue puede que ya hayan confirmado todos
+      this.gameService.endSelectionPeriod(room.code);
+    }
+
+    return room.code;
+  }
+
+  /**
+   * Obtiene la dirección IP remota del cliente
+   * @param client Socket del cliente
+   * @returns Dirección del cliente ('' si no se conoce)
+   */
+  private getClientAddress(client: Socket): string {
+    return client.handshake?.address ?? '';
+  }
+
+  /**
+   * Reanuda una partida pausada y notifica a sus jugadores
+   * Si durante la pausa ya confirmaron todos los que siguen conectados, cierra la selección
+   * @param room Sala de juego
+   * @returns true si se reanudó, false si la partida no estaba pausada
+   */
+  private resumeGame(room: Room): boolean {
+    if (!this.gameService.resumeGame(room.code)) {
+      return false;
+    }
+
+    this.emitToRoom(room.code, 'game-resumed', {
       state: room.state,
-      currentRound: room.currentRound,
+      timeRemaining: room.phaseEndsAt
+        ? Math.max(0, Math.ceil((room.phaseEndsAt - Date.now()) / 1000))
+        : 0,
+    });
+
+    if (
+      room.state === 'selection' &&
+      this.gameService.checkAllPlayersLocked(room.code)
+    ) {
+      this.gameService.endSelectionPeriod(room.code);
+    }
+
+    return true;
+  }
+
+  /**
+   * Calcula los segundos que le quedaban a la fase pausada
+   * @param room Sala de juego
+   * @returns Segundos restantes (0 si la fase no tenía temporizador)
+   */
+  private getPausedTimeRemaining(room: Room): number {
+    return room.pausedRemainingMs !== null
+      ? Math.ceil(room.pausedRemainingMs / 1000)
+      : 0;
+  }
+
+  /**
+   * Inicia la partida de una sala y notifica a sus jugadores
+   * @param room Sala de juego
+   */
+  private beginGame(room: Room): void {
+    this.gameService.startGame(room.code);
+
+    // Notificar a todos los jugadores que el juego ha comenzado
+    this.emitToRoom(room.code, 'game-started', {
       maxRounds: room.maxRounds,
-      players,
+      gameMode: room.gameMode,
+      isPractice: room.isPractice,
     });
+
+    // Enviar las vidas iniciales de cada jugador
+    this.emitPlayerListUpdate(room.code);
+
+    // Emitir evento de inicio de ronda
+    this.emitRoundStarted(room.code);
+  }
+
+  /**
+   * Emite el estado completo de la sala a todos los jugadores de la sala
+   * @param roomCode Código de la sala
+   */
+  private broadcastRoomState(roomCode: string): void {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room) {
+      return;
+    }
+
+    this.emitToRoom(roomCode, 'room-state', this.buildRoomState(room));
+  }
+
+  /**
+   * Construye el estado público de una sala
+   * @param room Sala de juego
+   * @returns Datos del evento room-state
+   */
+  private buildRoomState(room: Room): any {
+    return {
+      roomCode: room.code,
+      state: room.state,
+      currentRound: room.currentRound,
+      maxRounds: room.maxRounds,
+      isPractice: room.isPractice,
+      practiceStats: room.isPractice ? room.practiceStats : null,
+      minReadyToForceStart: this.roomService.getMinReadyToForceStart(),
+      hasPassword: room.passwordHash !== null,
+      settings: this.roomService.getRoomSettings(room),
+      players: this.serializePlayers(room),
+    };
   }
 
   /**
@@ -542,16 +2411,106 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
       return;
     }
 
-    const players = Array.from(room.players.values()).map((player) => ({
+    const players = this.serializePlayers(room);
+
+    this.emitToRoom(roomCode, 'player-list-updated', { players });
+  }
+
+  /**
+   * Construye la información pública de los jugadores de una sala
+   * @param room Sala de juego
+   * @returns Array de jugadores listos para enviar al cliente
+   */
+  private serializePlayers(room: Room): any[] {
+    return Array.from(room.players.values()).map((player) => ({
       id: player.id,
       name: player.name,
       isReady: player.isReady,
       isHost: player.isHost,
+      role: player.role,
+      joinsNextGame: player.joinsNextGame,
+      isMuted: player.isMuted,
       score: player.score,
+      hasLockedIn: player.hasLockedIn,
+      team: player.team,
+      lives: player.lives,
+      isEliminated: player.isEliminated,
+      abilities: player.abilities,
+      isBot: player.isBot,
+      botStrategy: player.botStrategy,
       isConnected: player.isConnected,
     }));
+  }
 
-    this.emitToRoom(roomCode, 'player-list-updated', { players });
+  /**
+   * Indica por qué un jugador no puede saltar en la ronda actual
+   * @param room Sala de juego
+   * @param player Jugador a comprobar
+   * @returns Mensaje para el jugador, null si participa en la ronda
+   */
+  private getSpectatorReason(room: Room, player: Player): string | null {
+    if (this.gameService.isPlayerActive(room, player)) {
+      return null;
+    }
+
+    if (player.role === 'spectator') {
+      return player.joinsNextGame
+        ? 'Entraste con la partida empezada: jugarás a partir de la próxima'
+        : 'Los espectadores no pueden saltar';
+    }
+
+    return room.tiebreakPlayerIds.length > 0
+      ? 'Solo los jugadores empatados participan en el desempate'
+      : 'Has sido eliminado: sigues la partida como espectador';
+  }
+
+  /**
+   * Construye el estado completo de la sala y de la ronda en curso para un jugador que se reconecta
+   * o un espectador que entra con la partida empezada
+   * @param room Sala de juego
+   * @param player Jugador que recupera su sesión o espectador que acaba de entrar
+   * @returns Datos de los eventos session-resumed y game-in-progress
+   */
+  private buildSessionSnapshot(room: Room, player: Player): any {
+    const timeRemaining =
+      room.state === 'paused'
+        ? this.getPausedTimeRemaining(room)
+        : room.phaseEndsAt
+          ? Math.max(0, Math.ceil((room.phaseEndsAt - Date.now()) / 1000))
+          : 0;
+
+    // Durante la pausa se restaura lo que se veía en la fase interrumpida
+    const isRevealing =
+      (room.state === 'paused' ? room.pausedPhase : room.state) === 'revealing';
+
+    return {
+      ...this.buildRoomState(room),
+      playerId: player.id,
+      sessionToken: this.roomService.createSessionToken(room.code, player.id),
+      chatHistory: this.roomService.getChatHistory(room, player),
+      selectedHeight: player.currentHeight,
+      selectedStake: player.currentStake,
+      roundAbilities: player.roundAbilities,
+      shieldActive: player.shieldActive,
+      timeRemaining,
+      pausedPhase: room.pausedPhase,
+      holePosition: isRevealing ? room.currentWallHole : null,
+      seedCommitment: room.seedCommitment,
+      seed: isRevealing ? room.roundSeed : null,
+      holeTolerance: room.holeTolerance,
+      results: isRevealing ? room.lastRoundResults : [],
+      pickDistribution: isRevealing
+        ? this.buildPickDistribution(room.lastRoundResults)
+        : [],
+      finalScores:
+        room.state === 'game-over'
+          ? this.gameService.getFinalScores(room.code)
+          : [],
+      teamScores: this.gameService.getTeamScores(room.code),
+      matchId: room.state === 'game-over' ? room.lastMatchId : null,
+      tiebreakRound: room.tiebreakRound,
+      tiebreakPlayerIds: room.tiebreakPlayerIds,
+    };
   }
 
   /**
@@ -568,6 +2527,42 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
     this.emitToRoom(roomCode, 'round-started', {
       roundNumber: room.currentRound,
       duration: room.selectionDuration,
+      seedCommitment: room.seedCommitment,
+      holeTolerance: room.holeTolerance,
+      tiebreakRound: room.tiebreakRound,
+      tiebreakPlayerIds: room.tiebreakPlayerIds,
+    });
+  }
+
+  /**
+   * Emite evento de inicio del desempate con los jugadores empatados
+   * @param roomCode Código de la sala
+   */
+  emitTiebreakStarted(roomCode: string): void {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room) {
+      return;
+    }
+
+    this.emitToRoom(roomCode, 'tiebreak-started', {
+      playerIds: room.tiebreakPlayerIds,
+      playerNames: room.tiebreakPlayerIds.map(
+        (playerId) => room.players.get(playerId)?.name ?? '',
+      ),
+      maxRounds: room.maxTiebreakRounds,
+    });
+  }
+
+  /**
+   * Emite que un jugador confirmó su altura, sin revelar el valor
+   * @param roomCode Código de la sala
+   * @param player Jugador que confirmó
+   */
+  emitPlayerLocked(roomCode: string, player: Player): void {
+    this.emitToRoom(roomCode, 'player-locked', {
+      playerId: player.id,
+      playerName: player.name,
     });
   }
 
@@ -581,6 +2576,8 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
 
   /**
    * Emite evento de pared revelada con resultados de la ronda
+   * Incluye la semilla de la ronda para que los clientes verifiquen el compromiso
+   * y el reparto de alturas elegidas para señalar las coincidencias
    * @param roomCode Código de la sala
    * @param holePosition Posición del hueco en la pared
    * @param results Resultados de la ronda
@@ -588,22 +2585,50 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
   emitWallRevealed(
     roomCode: string,
     holePosition: number,
-    results: any[],
+    results: RoundResult[],
   ): void {
+    const room = this.roomService.getRoom(roomCode);
+
     this.emitToRoom(roomCode, 'wall-revealed', {
       holePosition,
       results,
+      seed: room?.roundSeed ?? null,
+      seedCommitment: room?.seedCommitment ?? null,
+      holeTolerance: room?.holeTolerance ?? 0,
+      pickDistribution: this.buildPickDistribution(results),
+      uniquePickRule: room?.uniquePickRule ?? 'off',
+      practiceStats: room?.isPractice ? room.practiceStats : null,
     });
   }
 
+  /**
+   * Agrupa por altura las elecciones de una ronda
+   * @param results Resultados de la ronda
+   * @returns Reparto de jugadores por altura (1-10)
+   */
+  private buildPickDistribution(results: RoundResult[]): PickBucket[] {
+    return getPickDistribution(
+      results.map((result) => ({
+        playerId: result.playerId,
+        height: result.selectedHeight,
+      })),
+    );
+  }
+
   /**
    * Emite evento de fin de ronda con puntuaciones actualizadas
    * @param roomCode Código de la sala
    * @param scores Puntuaciones actuales
+   * @param teamScores Totales por equipo (vacío fuera del modo por equipos)
    */
-  emitRoundEnded(roomCode: string, scores: any[]): void {
+  emitRoundEnded(
+    roomCode: string,
+    scores: any[],
+    teamScores: any[] = [],
+  ): void {
     this.emitToRoom(roomCode, 'round-ended', {
       scores,
+      teamScores,
     });
   }
 
@@ -611,10 +2636,19 @@ export class GameGateway implements OnGatewayConnection, OnGatewayDisconnect {
    * Emite evento de fin de juego con clasificación final
    * @param roomCode Código de la sala
    * @param finalScores Puntuaciones finales ordenadas
+   * @param teamScores Clasificación de equipos (vacío fuera del modo por equipos)
+   * @param matchId ID de la partida en el historial (null en práctica)
    */
-  emitGameEnded(roomCode: string, finalScores: any[]): void {
+  emitGameEnded(
+    roomCode: string,
+    finalScores: any[],
+    teamScores: any[] = [],
+    matchId: string | null = null,
+  ): void {
     this.emitToRoom(roomCode, 'game-ended', {
       finalScores,
+      teamScores,
+      matchId,
     });
   }
 
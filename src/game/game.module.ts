@@ -2,10 +2,26 @@ import { Module } from '@nestjs/common';
 import { RoomService } from './room.service';
 import { GameService } from './game.service';
 import { GameGateway } from './game.gateway';
+import { InviteController } from './invite.controller';
+import { MatchHistoryService } from './match-history.service';
 import { ScoreCalculatorService } from './utils/score-calculator.service';
+import { roomStoreProvider } from './stores/room-store.provider';
 
 @Module({
-  providers: [RoomService, GameService, GameGateway, ScoreCalculatorService],
-  exports: [RoomService, GameService, ScoreCalculatorService],
+  controllers: [InviteController],
+  providers: [
+    roomStoreProvider,
+    RoomService,
+    GameService,
+    GameGateway,
+    MatchHistoryService,
+    ScoreCalculatorService,
+  ],
+  exports: [
+    RoomService,
+    GameService,
+    MatchHistoryService,
+    ScoreCalculatorService,
+  ],
 })
 export class GameModule {}
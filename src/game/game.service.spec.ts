@@ -0,0 +1,120 @@
+import { GameService } from './game.service';
+import type { RoomService } from './room.service';
+import type { ScoreCalculatorService } from './utils/score-calculator.service';
+import type { MatchHistoryService } from './match-history.service';
+import { Room } from './interfaces/room.interface';
+import { Player } from './interfaces/player.interface';
+import { TeamId } from './interfaces/team.interface';
+
+// RoomService arrastra uuid (ESM), que Jest no transforma; aquí basta con un doble
+jest.mock('./room.service', () => ({ RoomService: class {} }));
+
+describe('GameService', () => {
+  let room: Room;
+  let service: GameService;
+  let startRound: jest.SpyInstance;
+  let endGame: jest.SpyInstance;
+
+  const buildPlayer = (id: string, team: TeamId | null, isEliminated = false) =>
+    ({ id, name: id, role: 'player', team, isEliminated }) as Player;
+
+  // Solo los campos que consultan las condiciones de fin de partida
+  const buildRoom = (players: Player[]) =>
+    ({
+      code: 'A3B7K9',
+      state: 'revealing',
+      gameMode: 'elimination',
+      teamMode: true,
+      isPractice: false,
+      tiebreakEnabled: false,
+      tiebreakPlayerIds: [],
+      currentRound: 1,
+      maxRounds: 10,
+      revealTimer: null,
+      players: new Map(players.map((player) => [player.id, player])),
+    }) as unknown as Room;
+
+  beforeEach(() => {
+    const roomService = { getRoom: () => room };
+
+    service = new GameService(
+      roomService as unknown as RoomService,
+      {} as ScoreCalculatorService,
+      {} as MatchHistoryService,
+    );
+    startRound = jest.spyOn(service, 'startRound').mockImplementation();
+    endGame = jest.spyOn(service, 'endGame').mockReturnValue([]);
+  });
+
+  describe('endRound in team elimination', () => {
+    it('should keep playing when every player started on the same team', () => {
+      room = buildRoom([
+        buildPlayer('player-1', 'red'),
+        buildPlayer('player-2', 'red'),
+      ]);
+
+      service.endRound(room.code);
+
+      expect(endGame).not.toHaveBeenCalled();
+      expect(startRound).toHaveBeenCalledWith(room.code);
+      expect(room.currentRound).toBe(2);
+    });
+
+    it('should end when a single team started alone and nobody is left', () => {
+      room = buildRoom([
+        buildPlayer('player-1', 'red', true),
+        buildPlayer('player-2', 'red', true),
+      ]);
+
+      service.endRound(room.code);
+
+      expect(endGame).toHaveBeenCalledWith(room.code);
+    });
+
+    it('should end when only one of the starting teams keeps players', () => {
+      room = buildRoom([
+        buildPlayer('player-1', 'red'),
+        buildPlayer('player-2', 'blue', true),
+      ]);
+
+      service.endRound(room.code);
+
+      expect(endGame).toHaveBeenCalledWith(room.code);
+      expect(startRound).not.toHaveBeenCalled();
+    });
+
+    it('should keep playing while two teams keep players', () => {
+      room = buildRoom([
+        buildPlayer('player-1', 'red'),
+        buildPlayer('player-2', 'blue'),
+        buildPlayer('player-3', 'blue', true),
+      ]);
+
+      service.endRound(room.code);
+
+      expect(endGame).not.toHaveBeenCalled();
+      expect(startRound).toHaveBeenCalledWith(room.code);
+    });
+  });
+
+  describe('endRound in a tiebreak', () => {
+    it('should end the game when every tied player left', () => {
+      room = buildRoom([buildPlayer('player-3', null)]);
+      Object.assign(room, {
+        gameMode: 'classic',
+        teamMode: false,
+        tiebreakEnabled: true,
+        tiebreakPlayerIds: ['player-1', 'player-2'],
+        tiebreakRound: 1,
+        maxTiebreakRounds: 3,
+        currentRound: 10,
+      });
+
+      service.endRound(room.code);
+
+      expect(endGame).toHaveBeenCalledWith(room.code);
+      expect(startRound).not.toHaveBeenCalled();
+      expect(room.tiebreakPlayerIds).toEqual([]);
+    });
+  });
+});
@@ -1,30 +1,65 @@
-import { Injectable } from '@nestjs/common';
+import { Injectable, OnApplicationBootstrap } from '@nestjs/common';
 import { RoomService } from './room.service';
+import { MatchHistoryService } from './match-history.service';
+import { Room } from './interfaces/room.interface';
+import { Player } from './interfaces/player.interface';
 import { RoundResult } from './interfaces/round-result.interface';
 import { PlayerScore } from './interfaces/player-score.interface';
+import { TeamScore } from './interfaces/team.interface';
 import { ScoreCalculatorService } from './utils/score-calculator.service';
+import {
+  commitSeed,
+  generateRoundSeed,
+  generateWallHole,
+  getHoleTolerance,
+} from './utils/wall-generator.util';
+import { pickBalancedTeam, TEAM_NAMES } from './utils/team.util';
+import { applyUniquePickRule } from './utils/unique-pick.util';
+import { getMaxStake, resolveWager } from './utils/wager.util';
+import { ABILITY_IDS, applyAbilities, getHoleHalf } from './utils/ability.util';
+import { AbilityEffect, AbilityId } from './interfaces/ability.interface';
+import { GameEventsGateway } from './interfaces/game-events-gateway.interface';
+import { getBotDelay, getBotStrategy } from './utils/bot-strategies.util';
+import {
+  createPracticeStats,
+  recordPracticeRound,
+} from './utils/practice.util';
+import { buildMatchRound } from './utils/match-history.util';
 
 /**
  * Servicio para gestionar la lógica del juego
  * Responsable de controlar el flujo de cada sala, gestionar rondas y calcular puntuaciones
  */
 @Injectable()
-export class GameService {
-  private gateway: any;
+export class GameService implements OnApplicationBootstrap {
+  /** Gateway por el que se emiten los eventos del juego */
+  private gateway: GameEventsGateway | null = null;
 
   constructor(
     private readonly roomService: RoomService,
     private readonly scoreCalculator: ScoreCalculatorService,
+    private readonly matchHistory: MatchHistoryService,
   ) {}
 
   /**
    * Establece la referencia al gateway para emitir eventos
    * @param gateway Instancia del GameGateway
    */
-  setGateway(gateway: any): void {
+  setGateway(gateway: GameEventsGateway): void {
     this.gateway = gateway;
   }
 
+  /**
+   * Pausa las partidas en curso recuperadas del almacén al arrancar
+   * Todos los humanos vuelven desconectados, así que cada fase queda congelada con el tiempo
+   * que le quedaba según su fecha límite guardada hasta que alguien recupere su asiento
+   */
+  onApplicationBootstrap(): void {
+    this.roomService.getAllRooms().forEach((room) => {
+      this.pauseGame(room.code);
+    });
+  }
+
   /**
    * Inicia el juego en una sala
    * Cambia el estado a 'selection' e inicia la primera ronda
@@ -41,6 +76,30 @@ export class GameService {
     room.state = 'selection';
     room.currentRound = 1;
 
+    // Todos empiezan en juego con las vidas configuradas y el inventario completo de habilidades
+    room.players.forEach((player) => {
+      player.lives = room.startingLives;
+      player.isEliminated = false;
+      player.eliminatedInRound = null;
+      player.tiebreakPoints = 0;
+      player.abilities = room.abilitiesEnabled ? [...ABILITY_IDS] : [];
+      player.roundAbilities = [];
+      player.shieldActive = false;
+    });
+
+    room.tiebreakRound = 0;
+    room.tiebreakPlayerIds = [];
+    room.tiebreakWinnerIds = [];
+    room.holeHistory = [];
+    room.matchRounds = [];
+    room.lastMatchId = null;
+    room.practiceStats = createPracticeStats();
+
+    // Repartir a quienes no eligieron equipo entre los equipos más pequeños
+    if (room.teamMode) {
+      this.assignMissingTeams(room);
+    }
+
     // Iniciar la primera ronda
     this.startRound(roomCode);
   }
@@ -63,31 +122,215 @@ export class GameService {
       room.selectionTimer = null;
     }
 
+    this.clearBotTimers(room);
+
     if (room.revealTimer) {
       clearTimeout(room.revealTimer);
       room.revealTimer = null;
     }
 
-    // Resetear selecciones de altura de todos los jugadores
+    // Resetear selecciones de altura y confirmaciones de todos los jugadores
     room.players.forEach((player) => {
       player.currentHeight = null;
+      player.currentStake = 0;
+      player.hasLockedIn = false;
+      player.roundAbilities = [];
     });
 
-    // Resetear hueco de pared
+    // Resetear hueco de pared y resultados de la ronda anterior
     room.currentWallHole = null;
+    room.lastRoundResults = [];
+
+    // En modo eliminación el margen del hueco se reduce a medida que quedan menos jugadores
+    room.holeTolerance =
+      room.gameMode === 'elimination' && !this.isInTiebreak(room)
+        ? getHoleTolerance(this.getActivePlayers(room).length)
+        : 0;
+
+    // Fijar la semilla de la ronda antes de las selecciones y publicar solo su compromiso
+    room.roundSeed = generateRoundSeed();
+    room.seedCommitment = commitSeed(room.roundSeed);
+
+    // Una ronda en curso cuenta como actividad de la sala
+    this.roomService.touchRoom(roomCode);
 
     // Cambiar estado a selección
     room.state = 'selection';
 
+    // Sin temporizador (práctica) la selección solo termina al confirmar la altura
+    const isTimed = room.selectionDuration > 0;
+    room.phaseEndsAt = isTimed
+      ? Date.now() + room.selectionDuration * 1000
+      : null;
+
     // Emitir evento de inicio de ronda con duración del temporizador
     if (this.gateway) {
       this.gateway.emitRoundStarted(roomCode);
     }
 
     // Configurar temporizador para finalizar período de selección automáticamente
-    room.selectionTimer = setTimeout(() => {
+    if (isTimed) {
+      room.selectionTimer = setTimeout(() => {
+        this.endSelectionPeriod(roomCode);
+      }, room.selectionDuration * 1000);
+    }
+
+    this.scheduleBotPicks(room);
+  }
+
+  /**
+   * Programa la selección de cada bot en juego con un retraso aleatorio
+   * @param room Sala de juego
+   */
+  private scheduleBotPicks(room: Room): void {
+    this.getActivePlayers(room)
+      .filter((player) => player.isBot && !player.hasLockedIn)
+      .forEach((bot) => {
+        room.botTimers.push(
+          setTimeout(
+            () => this.playBotTurn(room.code, bot.id),
+            getBotDelay(room.selectionDuration),
+          ),
+        );
+      });
+  }
+
+  /**
+   * Elige y confirma la altura de un bot según su estrategia
+   * Si con él ya confirmaron todos, cierra la selección como haría un jugador
+   * @param roomCode Código de la sala
+   * @param botId ID del bot
+   */
+  private playBotTurn(roomCode: string, botId: string): void {
+    const room = this.roomService.getRoom(roomCode);
+    const bot = room?.players.get(botId);
+
+    if (!room || !bot || !bot.botStrategy || room.state !== 'selection') {
+      return;
+    }
+
+    // El bot ve lo que ya eligió el resto, igual que espiar a la mesa
+    const picks = this.getActivePlayers(room)
+      .filter((player) => player.id !== botId && player.currentHeight !== null)
+      .map((player) => player.currentHeight!);
+
+    const height = getBotStrategy(bot.botStrategy).chooseHeight({
+      picks,
+      holeHistory: room.holeHistory,
+      random: Math.random,
+    });
+
+    this.submitHeight(roomCode, botId, height);
+
+    if (!this.lockInHeight(roomCode, botId)) {
+      return;
+    }
+
+    if (this.gateway) {
+      this.gateway.emitPlayerLocked(roomCode, bot);
+    }
+
+    if (this.checkAllPlayersLocked(roomCode)) {
       this.endSelectionPeriod(roomCode);
-    }, room.selectionDuration * 1000);
+    }
+  }
+
+  /**
+   * Cancela las selecciones pendientes de los bots
+   * @param room Sala de juego
+   */
+  private clearBotTimers(room: Room): void {
+    room.botTimers.forEach((timer) => clearTimeout(timer));
+    room.botTimers = [];
+  }
+
+  /**
+   * Pausa la fase en curso guardando el tiempo que le queda
+   * También congela las partidas recuperadas tras un reinicio, que aún no tienen temporizadores
+   * @param roomCode Código de la sala
+   * @returns true si se pausó, false si no había una fase en curso
+   */
+  pauseGame(roomCode: string): boolean {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room || (room.state !== 'selection' && room.state !== 'revealing')) {
+      return false;
+    }
+
+    room.pausedPhase = room.state;
+    room.pausedRemainingMs =
+      room.phaseEndsAt !== null
+        ? Math.max(0, room.phaseEndsAt - Date.now())
+        : null;
+
+    if (room.selectionTimer) {
+      clearTimeout(room.selectionTimer);
+      room.selectionTimer = null;
+    }
+
+    if (room.revealTimer) {
+      clearTimeout(room.revealTimer);
+      room.revealTimer = null;
+    }
+
+    this.clearBotTimers(room);
+
+    room.state = 'paused';
+    room.phaseEndsAt = null;
+    this.roomService.touchRoom(roomCode);
+
+    return true;
+  }
+
+  /**
+   * Reanuda la fase pausada con el tiempo que le quedaba
+   * @param roomCode Código de la sala
+   * @returns true si se reanudó, false si la partida no estaba pausada
+   */
+  resumeGame(roomCode: string): boolean {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room || room.state !== 'paused' || !room.pausedPhase) {
+      return false;
+    }
+
+    const remaining = room.pausedRemainingMs;
+    room.state = room.pausedPhase;
+    room.pausedPhase = null;
+    room.pausedRemainingMs = null;
+    this.roomService.touchRoom(roomCode);
+
+    this.schedulePhaseTimer(room, remaining);
+
+    return true;
+  }
+
+  /**
+   * Programa el final de la fase en curso tras el tiempo que le queda
+   * Lo usa la reanudación tras una pausa (incluida la de las salas recuperadas tras un reinicio)
+   * @param room Sala en selección o revelación
+   * @param remaining Milisegundos restantes (null si la fase no tiene temporizador)
+   */
+  private schedulePhaseTimer(room: Room, remaining: number | null): void {
+    // Una fase sin temporizador (práctica) sigue esperando a que el jugador confirme
+    if (remaining !== null) {
+      room.phaseEndsAt = Date.now() + remaining;
+
+      if (room.state === 'selection') {
+        room.selectionTimer = setTimeout(() => {
+          this.endSelectionPeriod(room.code);
+        }, remaining);
+      } else {
+        room.revealTimer = setTimeout(() => {
+          this.endRound(room.code);
+        }, remaining);
+      }
+    }
+
+    // Los bots que aún no eligieron vuelven a pensar su jugada
+    if (room.state === 'selection') {
+      this.scheduleBotPicks(room);
+    }
   }
 
   /**
@@ -95,8 +338,14 @@ export class GameService {
    * @param roomCode Código de la sala
    * @param playerId ID del jugador
    * @param height Altura seleccionada (1-10)
+   * @param stake Puntos apostados (solo en modo apuestas)
    */
-  submitHeight(roomCode: string, playerId: string, height: number): void {
+  submitHeight(
+    roomCode: string,
+    playerId: string,
+    height: number,
+    stake: number = 0,
+  ): void {
     const room = this.roomService.getRoom(roomCode);
 
     if (!room) {
@@ -110,12 +359,113 @@ export class GameService {
 
     const player = room.players.get(playerId);
 
-    if (!player) {
+    // Una altura confirmada ya no se puede cambiar y solo saltan los jugadores en juego
+    if (!player || player.hasLockedIn || !this.isPlayerActive(room, player)) {
       return;
     }
 
-    // Registrar la altura seleccionada
+    // Registrar la altura seleccionada y la apuesta, sin superar el máximo permitido
     player.currentHeight = height;
+    player.currentStake = Math.min(stake, this.getMaxStake(room, player));
+  }
+
+  /**
+   * Calcula la apuesta máxima de un jugador en la ronda actual
+   * En los desempates no se apuesta porque sus puntos no cuentan para la puntuación
+   * @param room Sala de juego
+   * @param player Jugador
+   * @returns Apuesta máxima (0 si la sala no juega con apuestas)
+   */
+  getMaxStake(room: Room, player: Player): number {
+    if (!room.wagerMode || this.isInTiebreak(room)) {
+      return 0;
+    }
+
+    return getMaxStake(player.score, room.wagerBudget);
+  }
+
+  /**
+   * Usa una habilidad del inventario del jugador durante la selección
+   * Pista y espiar tienen efecto inmediato; escudo y doble se aplican al calcular resultados
+   * @param roomCode Código de la sala
+   * @param playerId ID del jugador
+   * @param ability Habilidad a usar
+   * @param height Altura a consultar (solo espiar)
+   * @returns Efecto de la habilidad, o null si no se puede usar
+   */
+  useAbility(
+    roomCode: string,
+    playerId: string,
+    ability: AbilityId,
+    height: number | null = null,
+  ): AbilityEffect | null {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room || room.state !== 'selection' || !room.roundSeed) {
+      return null;
+    }
+
+    const player = room.players.get(playerId);
+
+    if (
+      !player ||
+      !this.isPlayerActive(room, player) ||
+      !player.abilities.includes(ability)
+    ) {
+      return null;
+    }
+
+    player.abilities = player.abilities.filter((owned) => owned !== ability);
+    player.roundAbilities.push(ability);
+
+    if (ability === 'shield') {
+      player.shieldActive = true;
+    }
+
+    return {
+      ability,
+      remaining: player.abilities,
+      // El hueco ya está fijado por la semilla comprometida de la ronda
+      hint:
+        ability === 'hint'
+          ? getHoleHalf(generateWallHole(room.roundSeed))
+          : null,
+      peekHeight: ability === 'peek' ? height : null,
+      peekCount:
+        ability === 'peek'
+          ? this.getActivePlayers(room).filter(
+              (other) =>
+                other.id !== playerId && other.currentHeight === height,
+            ).length
+          : null,
+    };
+  }
+
+  /**
+   * Confirma la altura seleccionada de un jugador para la ronda actual
+   * @param roomCode Código de la sala
+   * @param playerId ID del jugador
+   * @returns true si se confirmó, false si no es posible (sin altura o fuera de selección)
+   */
+  lockInHeight(roomCode: string, playerId: string): boolean {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room || room.state !== 'selection') {
+      return false;
+    }
+
+    const player = room.players.get(playerId);
+
+    if (
+      !player ||
+      !this.isPlayerActive(room, player) ||
+      player.currentHeight === null
+    ) {
+      return false;
+    }
+
+    player.hasLockedIn = true;
+    return true;
   }
 
   /**
@@ -141,17 +491,21 @@ export class GameService {
       clearTimeout(room.selectionTimer);
       room.selectionTimer = null;
     }
+
+    this.clearBotTimers(room);
+
     const defaultHeight = 5; // Altura predeterminada si el jugador no selecciona
 
     // Asignar altura predeterminada a jugadores conectados que no seleccionaron
-    room.players.forEach((player) => {
+    this.getActivePlayers(room).forEach((player) => {
       if (player.isConnected && player.currentHeight === null) {
         player.currentHeight = defaultHeight;
       }
     });
 
-    // Generar posición aleatoria del hueco (1-10)
-    room.currentWallHole = Math.floor(Math.random() * 10) + 1;
+    // Derivar el hueco (1-10) de la semilla comprometida al inicio de la ronda
+    room.currentWallHole = generateWallHole(room.roundSeed!);
+    room.holeHistory.push(room.currentWallHole);
 
     // Emitir evento de bloqueo de selección
     if (this.gateway) {
@@ -163,6 +517,24 @@ export class GameService {
 
     // Calcular resultados de la ronda
     const results = this.calculateResults(roomCode);
+    room.lastRoundResults = results;
+
+    if (room.isPractice) {
+      this.recordPracticeResults(room, results);
+    } else {
+      const isTiebreak = this.isInTiebreak(room);
+
+      room.matchRounds.push(
+        buildMatchRound(
+          isTiebreak ? room.tiebreakRound : room.currentRound,
+          isTiebreak,
+          room.currentWallHole,
+          room.holeTolerance,
+          results,
+        ),
+      );
+    }
+    room.phaseEndsAt = Date.now() + room.revealDuration * 1000;
 
     // Emitir evento de pared revelada con resultados a todos los clientes simultáneamente
     if (this.gateway) {
@@ -175,6 +547,21 @@ export class GameService {
     }, room.revealDuration * 1000);
   }
 
+  /**
+   * Acumula la precisión de la práctica con el resultado de la ronda
+   * Cuenta como acierto entrar dentro del margen del hueco
+   * @param room Sala de práctica
+   * @param results Resultados de la ronda
+   */
+  private recordPracticeResults(room: Room, results: RoundResult[]): void {
+    results.forEach((result) => {
+      room.practiceStats = recordPracticeRound(
+        room.practiceStats,
+        result.distance <= room.holeTolerance,
+      );
+    });
+  }
+
   /**
    * Calcula los resultados de la ronda actual
    * Aplica la lógica de puntuación y actualiza las puntuaciones de los jugadores
@@ -190,37 +577,252 @@ export class GameService {
 
     const results: RoundResult[] = [];
     const defaultHeight = 5; // Valor por defecto si el jugador no selecciona
+    const isTiebreak = this.isInTiebreak(room);
 
-    room.players.forEach((player) => {
+    // Solo saltan los jugadores en juego (no eliminados y, en desempate, los empatados)
+    const activePlayers = this.getActivePlayers(room);
+
+    // Alturas de toda la ronda (necesarias para estrategias comparativas)
+    const roundHeights = activePlayers.map(
+      (player) => player.currentHeight ?? defaultHeight,
+    );
+
+    activePlayers.forEach((player) => {
       const selectedHeight = player.currentHeight ?? defaultHeight;
-      const pointsEarned = this.scoreCalculator.calculatePoints(
+      const pickCount = roundHeights.filter(
+        (height) => height === selectedHeight,
+      ).length;
+
+      // Con alturas únicas, los puntos de una altura compartida se reparten o se pierden
+      const strategyPoints = applyUniquePickRule(
+        this.scoreCalculator.calculatePoints(
+          selectedHeight,
+          room.currentWallHole!,
+          room.scoring,
+          room.scoringStrategy,
+          roundHeights,
+        ),
+        pickCount,
+        room.uniquePickRule,
+      );
+
+      // La apuesta se resuelve aparte: multiplica en un acierto y se pierde en un fallo
+      const distance = this.scoreCalculator.getDistance(
         selectedHeight,
         room.currentWallHole!,
       );
+      const stake = Math.min(
+        player.currentStake,
+        this.getMaxStake(room, player),
+      );
+      const wagerPoints = resolveWager(
+        stake,
+        distance === 0,
+        room.wagerMultiplier,
+      );
+
+      // Doble y escudo actúan sobre los puntos de la estrategia; la apuesta perdida no es una penalización
+      const shielded = player.shieldActive;
+      const boosted = applyAbilities(
+        strategyPoints,
+        player.roundAbilities.includes('double'),
+        shielded,
+      );
 
-      // Actualizar puntuación del jugador
-      player.score += pointsEarned;
+      if (boosted.shieldUsed) {
+        player.shieldActive = false;
+      }
+
+      const pointsEarned = boosted.points + wagerPoints;
+
+      // Los puntos del desempate se llevan aparte para no alterar la clasificación
+      if (isTiebreak) {
+        player.tiebreakPoints += pointsEarned;
+      } else {
+        player.score += pointsEarned;
+      }
 
       // Crear resultado de la ronda
       const result: RoundResult = {
         playerId: player.id,
         playerName: player.name,
         selectedHeight: selectedHeight,
+        pickCount,
         wallHole: room.currentWallHole!,
+        distance,
         pointsEarned: pointsEarned,
+        stake,
+        wagerPoints,
+        activeAbilities:
+          shielded && !player.roundAbilities.includes('shield')
+            ? [...player.roundAbilities, 'shield']
+            : [...player.roundAbilities],
+        shieldUsed: boosted.shieldUsed,
         totalScore: player.score,
+        isTiebreak,
         result: this.scoreCalculator.getResultType(
           selectedHeight,
           room.currentWallHole!,
         ),
+        scoringStrategy: room.scoringStrategy,
+        team: room.teamMode ? player.team : null,
+        lifeOutcome: null,
+        livesRemaining: null,
       };
 
       results.push(result);
     });
 
+    if (room.gameMode === 'elimination' && !isTiebreak) {
+      this.applyLifeLosses(room, results);
+    }
+
     return results;
   }
 
+  /**
+   * Descuenta vidas a los jugadores que no entraron en el margen del hueco
+   * Si todos los que siguen en juego perderían su última vida a la vez, nadie es eliminado en esa ronda
+   * @param room Sala de juego
+   * @param results Resultados de la ronda (se completan con el efecto sobre las vidas)
+   */
+  private applyLifeLosses(room: Room, results: RoundResult[]): void {
+    const missed = (result: RoundResult) =>
+      result.distance > room.holeTolerance;
+
+    const wipeout =
+      results.length > 0 &&
+      results.every(
+        (result) =>
+          missed(result) && room.players.get(result.playerId)!.lives <= 1,
+      );
+
+    results.forEach((result) => {
+      const player = room.players.get(result.playerId)!;
+
+      if (!missed(result) || wipeout) {
+        result.lifeOutcome = 'safe';
+      } else {
+        player.lives = Math.max(0, player.lives - 1);
+
+        if (player.lives === 0) {
+          player.isEliminated = true;
+          player.eliminatedInRound = room.currentRound;
+          result.lifeOutcome = 'eliminated';
+        } else {
+          result.lifeOutcome = 'life-lost';
+        }
+      }
+
+      result.livesRemaining = player.lives;
+    });
+  }
+
+  /**
+   * Asigna un equipo a los jugadores que no eligieron ninguno, equilibrando el tamaño de los equipos
+   * @param room Sala de juego
+   */
+  private assignMissingTeams(room: Room): void {
+    const players = this.getParticipants(room);
+
+    players
+      .filter((player) => player.team === null)
+      .forEach((player) => {
+        player.team = pickBalancedTeam(
+          players.map((p) => p.team),
+          room.teamCount,
+        );
+      });
+  }
+
+  /**
+   * Obtiene los jugadores de la partida, dejando fuera a los espectadores
+   * @param room Sala de juego
+   * @returns Jugadores con papel de jugador
+   */
+  getParticipants(room: Room): Player[] {
+    return Array.from(room.players.values()).filter(
+      (player) => player.role === 'player',
+    );
+  }
+
+  /**
+   * Obtiene los jugadores que siguen en juego (no eliminados)
+   * @param room Sala de juego
+   * @returns Jugadores activos de la sala
+   */
+  private getActivePlayers(room: Room): Player[] {
+    return Array.from(room.players.values()).filter((player) =>
+      this.isPlayerActive(room, player),
+    );
+  }
+
+  /**
+   * Verifica si un jugador participa en la ronda actual
+   * Los espectadores y eliminados nunca saltan y durante el desempate solo saltan los empatados
+   * @param room Sala de juego
+   * @param player Jugador a comprobar
+   * @returns true si el jugador salta en la ronda actual
+   */
+  isPlayerActive(room: Room, player: Player): boolean {
+    if (player.role === 'spectator') {
+      return false;
+    }
+
+    if (this.isInTiebreak(room)) {
+      return room.tiebreakPlayerIds.includes(player.id);
+    }
+
+    return !player.isEliminated;
+  }
+
+  /**
+   * Verifica si la sala está disputando rondas de desempate
+   * @param room Sala de juego
+   * @returns true si hay un desempate en curso
+   */
+  private isInTiebreak(room: Room): boolean {
+    return room.tiebreakPlayerIds.length > 0;
+  }
+
+  /**
+   * Determina si la partida terminó según el modo de juego
+   * En modo clásico termina al completar las rondas; en eliminación, cuando queda un solo jugador
+   * @param room Sala de juego
+   * @returns true si la partida terminó
+   */
+  private isGameOver(room: Room): boolean {
+    if (room.gameMode !== 'elimination') {
+      // La práctica no tiene límite de rondas: termina cuando el jugador la cierra
+      return !room.isPractice && room.currentRound >= room.maxRounds;
+    }
+
+    const activePlayers = this.getActivePlayers(room);
+
+    // Por equipos la partida termina cuando solo un equipo conserva jugadores,
+    // salvo que todos empezaran en el mismo: entonces sigue hasta que no quede nadie
+    if (room.teamMode) {
+      const remainingTeams = new Set(
+        activePlayers.map((player) => player.team),
+      );
+      const startingTeams = new Set(
+        this.getParticipants(room).map((player) => player.team),
+      );
+      return (
+        remainingTeams.size === 0 ||
+        (remainingTeams.size === 1 && startingTeams.size > 1)
+      );
+    }
+
+    const remaining = activePlayers.length;
+
+    // Jugando en solitario la partida sigue hasta perder todas las vidas
+    return (
+      remaining === 0 ||
+      (remaining === 1 && this.getParticipants(room).length > 1)
+    );
+  }
+
   /**
    * Finaliza la ronda actual
    * Avanza a la siguiente ronda o finaliza el juego si se completaron todas las rondas
@@ -245,21 +847,32 @@ export class GameService {
     }
 
     // Obtener puntuaciones actuales
-    const scores = Array.from(room.players.values()).map((player) => ({
+    const scores = this.getParticipants(room).map((player) => ({
       playerId: player.id,
       playerName: player.name,
       score: player.score,
+      team: room.teamMode ? player.team : null,
+      lives: player.lives,
+      isEliminated: player.isEliminated,
     }));
 
     // Emitir evento de fin de ronda a todos los clientes simultáneamente
     if (this.gateway) {
-      this.gateway.emitRoundEnded(roomCode, scores);
+      this.gateway.emitRoundEnded(
+        roomCode,
+        scores,
+        this.getTeamScores(roomCode),
+      );
     }
 
-    // Verificar si se completaron todas las rondas
-    if (room.currentRound >= room.maxRounds) {
-      // Finalizar el juego
-      this.endGame(roomCode);
+    if (this.isInTiebreak(room)) {
+      // Resolver o continuar el desempate
+      this.advanceTiebreak(roomCode);
+    } else if (this.isGameOver(room)) {
+      // Finalizar el juego, salvo que haya que desempatar
+      if (!this.startTiebreak(roomCode)) {
+        this.endGame(roomCode);
+      }
     } else {
       // Avanzar a la siguiente ronda con transición automática
       room.currentRound++;
@@ -267,6 +880,80 @@ export class GameService {
     }
   }
 
+  /**
+   * Inicia rondas de muerte súbita si la partida terminó en empate
+   * Solo aplica con el desempate activado y fuera del modo por equipos
+   * @param roomCode Código de la sala
+   * @returns true si se inició el desempate, false si no hay empate que resolver
+   */
+  private startTiebreak(roomCode: string): boolean {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room || !room.tiebreakEnabled || room.teamMode) {
+      return false;
+    }
+
+    const tiedPlayerIds = this.getFinalScores(roomCode)
+      .filter((score) => score.isWinner)
+      .map((score) => score.playerId);
+
+    if (tiedPlayerIds.length < 2) {
+      return false;
+    }
+
+    room.tiebreakPlayerIds = tiedPlayerIds;
+    room.tiebreakRound = 1;
+    room.players.forEach((player) => {
+      player.tiebreakPoints = 0;
+    });
+
+    if (this.gateway) {
+      this.gateway.emitTiebreakStarted(roomCode);
+    }
+
+    this.startRound(roomCode);
+    return true;
+  }
+
+  /**
+   * Evalúa una ronda de desempate
+   * Si un jugador supera al resto, o se alcanzó el máximo de rondas, termina el juego;
+   * en caso contrario siguen solo los jugadores que comparten la mejor puntuación
+   * @param roomCode Código de la sala
+   */
+  private advanceTiebreak(roomCode: string): void {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room) {
+      return;
+    }
+
+    const contenders = this.getActivePlayers(room);
+
+    // Si se fueron todos los empatados no queda nada que desempatar
+    if (contenders.length === 0) {
+      room.tiebreakPlayerIds = [];
+      this.endGame(roomCode);
+      return;
+    }
+
+    const best = Math.max(...contenders.map((player) => player.tiebreakPoints));
+    const leaders = contenders
+      .filter((player) => player.tiebreakPoints === best)
+      .map((player) => player.id);
+
+    if (leaders.length === 1 || room.tiebreakRound >= room.maxTiebreakRounds) {
+      room.tiebreakWinnerIds = leaders;
+      room.tiebreakPlayerIds = [];
+      this.endGame(roomCode);
+      return;
+    }
+
+    room.tiebreakPlayerIds = leaders;
+    room.tiebreakRound++;
+    this.startRound(roomCode);
+  }
+
   /**
    * Finaliza el juego y genera la clasificación final
    * @param roomCode Código de la sala
@@ -281,6 +968,9 @@ export class GameService {
 
     // Cambiar estado a game-over
     room.state = 'game-over';
+    room.phaseEndsAt = null;
+    room.pausedPhase = null;
+    room.pausedRemainingMs = null;
 
     // Limpiar temporizadores si existen
     if (room.selectionTimer) {
@@ -293,19 +983,134 @@ export class GameService {
       room.revealTimer = null;
     }
 
+    this.clearBotTimers(room);
+
+    // Los bots siempre aceptan jugar otra partida
+    room.players.forEach((player) => {
+      if (player.isBot) {
+        room.restartConsents.add(player.id);
+      }
+    });
+
+    const scores = this.getFinalScores(roomCode);
+    const teamScores = this.getTeamScores(roomCode);
+
+    // Guardar la partida en el historial (las prácticas no cuentan)
+    if (!room.isPractice) {
+      room.lastMatchId = this.matchHistory.saveMatch({
+        roomCode,
+        settings: this.roomService.getRoomSettings(room),
+        rounds: room.matchRounds,
+        finalScores: scores,
+        teamScores,
+      }).id;
+    }
+
+    // Emitir evento de fin de juego
+    if (this.gateway) {
+      this.gateway.emitGameEnded(
+        roomCode,
+        scores,
+        teamScores,
+        room.lastMatchId,
+      );
+    }
+
+    return scores;
+  }
+
+  /**
+   * Genera la clasificación de la sala a partir de las puntuaciones actuales
+   * @param roomCode Código de la sala
+   * @returns Array de puntuaciones ordenadas por ranking
+   */
+  getFinalScores(roomCode: string): PlayerScore[] {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room) {
+      return [];
+    }
+
     // Crear array de puntuaciones
     const scores: PlayerScore[] = [];
 
-    room.players.forEach((player) => {
+    this.getParticipants(room).forEach((player) => {
       scores.push({
         playerId: player.id,
         playerName: player.name,
         score: player.score,
         rank: 0, // Se asignará después de ordenar
         isWinner: false, // Se asignará después de ordenar
+        eliminatedInRound:
+          room.gameMode === 'elimination' ? player.eliminatedInRound : null,
+        team: room.teamMode ? player.team : null,
+        tiebreakPoints: room.tiebreakWinnerIds.length
+          ? player.tiebreakPoints
+          : null,
       });
     });
 
+    this.rankPlayerScores(room, scores);
+
+    // Tras un desempate solo ganan quienes lo resolvieron a su favor
+    if (room.tiebreakWinnerIds.length > 0) {
+      const tiedPlayerIds = scores
+        .filter((score) => score.isWinner)
+        .map((score) => score.playerId);
+
+      scores.forEach((score) => {
+        score.isWinner = room.tiebreakWinnerIds.includes(score.playerId);
+        if (!tiedPlayerIds.includes(score.playerId)) {
+          score.tiebreakPoints = null;
+        }
+      });
+
+      // Los ganadores del desempate suben al principio conservando el resto del orden
+      scores.sort((a, b) => Number(b.isWinner) - Number(a.isWinner));
+      scores.forEach((score, index) => {
+        score.rank = index + 1;
+      });
+    }
+
+    // Por equipos, ganan todos los integrantes de los equipos ganadores
+    if (room.teamMode) {
+      const winningTeams = new Set(
+        this.getTeamScores(roomCode)
+          .filter((teamScore) => teamScore.isWinner)
+          .map((teamScore) => teamScore.team),
+      );
+
+      scores.forEach((score) => {
+        score.isWinner = score.team !== null && winningTeams.has(score.team);
+      });
+    }
+
+    return scores;
+  }
+
+  /**
+   * Ordena las puntuaciones individuales y asigna ranking y ganadores
+   * @param room Sala de juego
+   * @param scores Puntuaciones a ordenar (se modifican en el lugar)
+   */
+  private rankPlayerScores(room: Room, scores: PlayerScore[]): void {
+    if (room.gameMode === 'elimination') {
+      // Sobrevivir más rondas pesa más que los puntos
+      const survival = (score: PlayerScore) =>
+        score.eliminatedInRound ?? Infinity;
+
+      scores.sort((a, b) => survival(b) - survival(a) || b.score - a.score);
+
+      const bestSurvival = scores.length > 0 ? survival(scores[0]) : 0;
+
+      scores.forEach((score, index) => {
+        score.rank = index + 1;
+        score.isWinner = survival(score) === bestSurvival;
+      });
+
+      return;
+    }
+
     // Ordenar por puntuación de mayor a menor
     scores.sort((a, b) => b.score - a.score);
 
@@ -316,13 +1121,65 @@ export class GameService {
       score.rank = index + 1;
       score.isWinner = score.score === highestScore;
     });
+  }
 
-    // Emitir evento de fin de juego
-    if (this.gateway) {
-      this.gateway.emitGameEnded(roomCode, scores);
+  /**
+   * Calcula la clasificación de equipos sumando las puntuaciones de sus integrantes
+   * En modo eliminación pesa más la ronda hasta la que sobrevivió el último integrante de cada equipo
+   * @param roomCode Código de la sala
+   * @returns Puntuaciones de equipo ordenadas por ranking (vacío fuera del modo por equipos)
+   */
+  getTeamScores(roomCode: string): TeamScore[] {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room || !room.teamMode) {
+      return [];
     }
 
-    return scores;
+    const teams = new Map<TeamScore['team'], TeamScore>();
+    const survivalByTeam = new Map<TeamScore['team'], number>();
+
+    this.getParticipants(room).forEach((player) => {
+      if (!player.team) {
+        return;
+      }
+
+      const teamScore = teams.get(player.team) ?? {
+        team: player.team,
+        teamName: TEAM_NAMES[player.team],
+        score: 0,
+        playerIds: [],
+        rank: 0, // Se asignará después de ordenar
+        isWinner: false, // Se asignará después de ordenar
+      };
+
+      teamScore.score += player.score;
+      teamScore.playerIds.push(player.id);
+      teams.set(player.team, teamScore);
+
+      const survival = player.eliminatedInRound ?? Infinity;
+      survivalByTeam.set(
+        player.team,
+        Math.max(survivalByTeam.get(player.team) ?? 0, survival),
+      );
+    });
+
+    const isElimination = room.gameMode === 'elimination';
+    const teamSurvival = (teamScore: TeamScore) =>
+      isElimination ? survivalByTeam.get(teamScore.team)! : 0;
+
+    const teamScores = Array.from(teams.values()).sort(
+      (a, b) => teamSurvival(b) - teamSurvival(a) || b.score - a.score,
+    );
+
+    teamScores.forEach((teamScore, index) => {
+      teamScore.rank = index + 1;
+      teamScore.isWinner =
+        teamSurvival(teamScore) === teamSurvival(teamScores[0]) &&
+        teamScore.score === teamScores[0].score;
+    });
+
+    return teamScores;
   }
 
   /**
@@ -367,14 +1224,39 @@ export class GameService {
 
     // Resetear puntuaciones y estado de jugadores
     room.players.forEach((player) => {
+      // Quienes entraron a mitad de partida pasan a jugar
+      if (player.joinsNextGame) {
+        player.role = 'player';
+        player.joinsNextGame = false;
+      }
+
       player.score = 0;
       player.currentHeight = null;
-      player.isReady = false;
+      player.currentStake = 0;
+      player.hasLockedIn = false;
+      // Los bots siempre están listos
+      player.isReady = player.isBot;
+      player.lives = room.startingLives;
+      player.isEliminated = false;
+      player.eliminatedInRound = null;
+      player.tiebreakPoints = 0;
+      player.abilities = [];
+      player.roundAbilities = [];
+      player.shieldActive = false;
     });
 
     // Resetear estado de la sala
     room.currentRound = 0;
     room.currentWallHole = null;
+    room.roundSeed = null;
+    room.seedCommitment = null;
+    room.lastRoundResults = [];
+    room.holeHistory = [];
+    room.holeTolerance = 0;
+    room.tiebreakRound = 0;
+    room.tiebreakPlayerIds = [];
+    room.tiebreakWinnerIds = [];
+    room.phaseEndsAt = null;
     room.restartConsents.clear();
     room.state = 'waiting-ready';
   }
@@ -391,13 +1273,15 @@ export class GameService {
       return false;
     }
 
-    // Verificar que haya al menos un jugador
-    if (room.players.size === 0) {
+    const participants = this.getParticipants(room);
+
+    // Verificar que haya al menos un jugador (los espectadores no cuentan)
+    if (participants.length === 0) {
       return false;
     }
 
     // Verificar que todos los jugadores conectados estén listos
-    for (const player of room.players.values()) {
+    for (const player of participants) {
       if (player.isConnected && !player.isReady) {
         return false;
       }
@@ -406,6 +1290,30 @@ export class GameService {
     return true;
   }
 
+  /**
+   * Verifica si todos los jugadores conectados confirmaron su altura
+   * @param roomCode Código de la sala
+   * @returns true si todos confirmaron, false en caso contrario
+   */
+  checkAllPlayersLocked(roomCode: string): boolean {
+    const room = this.roomService.getRoom(roomCode);
+
+    if (!room) {
+      return false;
+    }
+
+    const connectedPlayers = this.getActivePlayers(room).filter(
+      (player) => player.isConnected,
+    );
+
+    // Verificar que haya al menos un jugador conectado
+    if (connectedPlayers.length === 0) {
+      return false;
+    }
+
+    return connectedPlayers.every((player) => player.hasLockedIn);
+  }
+
   /**
    * Verifica si todos los jugadores conectados han dado su consentimiento para reiniciar
    * @param roomCode Código de la sala
@@ -418,13 +1326,15 @@ export class GameService {
       return false;
     }
 
-    // Verificar que haya al menos un jugador
-    if (room.players.size === 0) {
+    const participants = this.getParticipants(room);
+
+    // Verificar que haya al menos un jugador (los espectadores no cuentan)
+    if (participants.length === 0) {
       return false;
     }
 
     // Verificar que todos los jugadores conectados hayan dado su consentimiento
-    for (const player of room.players.values()) {
+    for (const player of participants) {
       if (player.isConnected && !room.restartConsents.has(player.id)) {
         return false;
       }
@@ -456,5 +1366,7 @@ export class GameService {
       clearTimeout(room.revealTimer);
       room.revealTimer = null;
     }
+
+    this.clearBotTimers(room);
   }
 }
@@ -0,0 +1,33 @@
+/**
+ * Habilidades de un solo uso por partida
+ * - hint: indica si el hueco está en la mitad superior o inferior
+ * - shield: anula la próxima penalización
+ * - double: duplica los puntos de la ronda
+ * - peek: muestra cuántos jugadores eligieron una altura
+ */
+export type AbilityId = 'hint' | 'shield' | 'double' | 'peek';
+
+/**
+ * Mitad de la pared en la que está el hueco
+ */
+export type HoleHalf = 'upper' | 'lower';
+
+/**
+ * Efecto inmediato de usar una habilidad, enviado solo al jugador que la usó
+ */
+export interface AbilityEffect {
+  /** Habilidad usada */
+  ability: AbilityId;
+
+  /** Habilidades que le quedan al jugador */
+  remaining: AbilityId[];
+
+  /** Mitad de la pared con el hueco (solo hint) */
+  hint: HoleHalf | null;
+
+  /** Altura consultada (solo peek) */
+  peekHeight: number | null;
+
+  /** Otros jugadores que eligieron esa altura hasta ahora (solo peek) */
+  peekCount: number | null;
+}
@@ -0,0 +1,40 @@
+/**
+ * Identificadores de las estrategias de los bots
+ */
+export type BotStrategyId =
+  | 'random' // Elige una altura al azar
+  | 'crowd' // Se une a la altura más elegida por el resto
+  | 'anti-crowd' // Busca la altura menos elegida por el resto
+  | 'learner'; // Apuesta por los huecos que más se han repetido en la partida
+
+/**
+ * Datos disponibles para que un bot elija su altura
+ */
+export interface BotContext {
+  /** Alturas ya elegidas por el resto de jugadores en la ronda */
+  picks: number[];
+
+  /** Huecos de las rondas anteriores de la partida */
+  holeHistory: number[];
+
+  /** Generador de números aleatorios en [0, 1) */
+  random: () => number;
+}
+
+/**
+ * Estrategia de juego de un bot
+ */
+export interface BotStrategy {
+  /** Identificador de la estrategia */
+  readonly id: BotStrategyId;
+
+  /** Nombre legible de la estrategia (se usa como nombre del bot) */
+  readonly name: string;
+
+  /**
+   * Elige la altura de salto del bot
+   * @param context Datos de la ronda
+   * @returns Altura elegida (1-10)
+   */
+  chooseHeight(context: BotContext): number;
+}
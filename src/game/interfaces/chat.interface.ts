@@ -0,0 +1,22 @@
+/**
+ * Mensaje del chat de una sala
+ */
+export interface ChatMessage {
+  /** ID único del mensaje */
+  id: string;
+
+  /** ID del jugador que lo envió */
+  playerId: string;
+
+  /** Nombre del jugador en el momento de enviarlo */
+  playerName: string;
+
+  /** Texto ya normalizado y filtrado */
+  text: string;
+
+  /** Indica si lo envió un espectador */
+  fromSpectator: boolean;
+
+  /** Momento del envío (ms desde epoch) */
+  sentAt: number;
+}
@@ -0,0 +1,44 @@
+import { Player } from './player.interface';
+import { PlayerScore, RoundScore } from './player-score.interface';
+import { RoundResult } from './round-result.interface';
+import { TeamScore } from './team.interface';
+
+/**
+ * Eventos que el servicio de juego emite a través del gateway
+ * Evita que GameService dependa de la clase GameGateway (que a su vez depende de él)
+ */
+export interface GameEventsGateway {
+  /** Nueva ronda iniciada */
+  emitRoundStarted(roomCode: string): void;
+
+  /** Empiezan las rondas de desempate */
+  emitTiebreakStarted(roomCode: string): void;
+
+  /** Un jugador confirmó su altura */
+  emitPlayerLocked(roomCode: string, player: Player): void;
+
+  /** Se cerró el período de selección */
+  emitSelectionLocked(roomCode: string): void;
+
+  /** Pared revelada con los resultados de la ronda */
+  emitWallRevealed(
+    roomCode: string,
+    holePosition: number,
+    results: RoundResult[],
+  ): void;
+
+  /** Ronda terminada con las puntuaciones acumuladas */
+  emitRoundEnded(
+    roomCode: string,
+    scores: RoundScore[],
+    teamScores?: TeamScore[],
+  ): void;
+
+  /** Juego terminado con la clasificación final */
+  emitGameEnded(
+    roomCode: string,
+    finalScores: PlayerScore[],
+    teamScores?: TeamScore[],
+    matchId?: string | null,
+  ): void;
+}
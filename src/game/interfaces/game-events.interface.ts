@@ -1,7 +1,20 @@
-import { Player } from './player.interface';
+import { Player, PlayerRole } from './player.interface';
 import { Room } from './room.interface';
-import { RoundResult } from './round-result.interface';
-import { PlayerScore } from './player-score.interface';
+import { PickBucket, RoundResult } from './round-result.interface';
+import { PlayerScore, RoundScore } from './player-score.interface';
+import {
+  GameMode,
+  RoomSettings,
+  UniquePickRule,
+} from './room-settings.interface';
+import { TeamId, TeamScore } from './team.interface';
+import { AbilityEffect, AbilityId } from './ability.interface';
+import { BotStrategyId } from './bot-strategy.interface';
+import { PracticeStats } from './practice.interface';
+import { RoomState } from './room-state.interface';
+import { PublicRoomListing } from './room-listing.interface';
+import { ChatMessage } from './chat.interface';
+import { Reaction, ReactionEmoji } from './reaction.interface';
 
 /**
  * Eventos que el servidor emite a los clientes
@@ -13,35 +26,127 @@ export interface ServerToClientEvents {
   /** Jugador unido a sala exitosamente */
   'room-joined': (roomData: RoomData) => void;
 
+  /** Estado completo de la sala (al unirse o cuando cambia la configuración) */
+  'room-state': (roomData: RoomData) => void;
+
   /** Error relacionado con la sala */
   'room-error': (message: string) => void;
 
   /** Lista de jugadores actualizada */
   'player-list-updated': (players: Player[]) => void;
 
+  /** Práctica en solitario creada (la partida empieza a continuación) */
+  'practice-started': (roomCode: string, playerId: string) => void;
+
   /** Juego iniciado */
-  'game-started': (maxRounds: number) => void;
+  'game-started': (
+    maxRounds: number,
+    gameMode: GameMode,
+    isPractice: boolean,
+  ) => void;
+
+  /** Nueva ronda iniciada (con el compromiso SHA-256 de la semilla, el margen del hueco y el desempate en curso) */
+  'round-started': (
+    roundNumber: number,
+    duration: number,
+    seedCommitment: string,
+    holeTolerance: number,
+    tiebreakRound: number,
+    tiebreakPlayerIds: string[],
+  ) => void;
+
+  /** La partida terminó en empate y empiezan las rondas de muerte súbita */
+  'tiebreak-started': (
+    playerIds: string[],
+    playerNames: string[],
+    maxRounds: number,
+  ) => void;
+
+  /** Un jugador confirmó su altura (sin revelar el valor) */
+  'player-locked': (playerId: string) => void;
+
+  /** Efecto de una habilidad, solo para el jugador que la usó */
+  'ability-used': (effect: AbilityEffect) => void;
+
+  /** Un jugador usó una habilidad (sin revelar su efecto) */
+  'player-used-ability': (playerId: string, ability: AbilityId) => void;
 
-  /** Nueva ronda iniciada */
-  'round-started': (roundNumber: number, duration: number) => void;
+  /** El anfitrión pausó la partida (con la fase interrumpida y los segundos que le quedaban) */
+  'game-paused': (
+    state: RoomState,
+    phase: RoomState,
+    timeRemaining: number,
+    pausedBy: string,
+  ) => void;
+
+  /** La partida se reanudó en la fase pausada con el tiempo restante */
+  'game-resumed': (state: RoomState, timeRemaining: number) => void;
 
   /** Período de selección bloqueado */
   'selection-locked': () => void;
 
-  /** Pared revelada con resultados */
-  'wall-revealed': (holePosition: number, results: RoundResult[]) => void;
+  /** Pared revelada con resultados, la semilla de la ronda para verificarla y el reparto de alturas */
+  'wall-revealed': (
+    holePosition: number,
+    results: RoundResult[],
+    seed: string,
+    holeTolerance: number,
+    pickDistribution: PickBucket[],
+    uniquePickRule: UniquePickRule,
+    practiceStats: PracticeStats | null,
+  ) => void;
 
-  /** Ronda finalizada con puntuaciones actualizadas */
-  'round-ended': (scores: PlayerScore[]) => void;
+  /** Ronda finalizada con puntuaciones actualizadas (y totales por equipo en modo por equipos) */
+  'round-ended': (scores: RoundScore[], teamScores: TeamScore[]) => void;
 
-  /** Juego finalizado con puntuaciones finales */
-  'game-ended': (finalScores: PlayerScore[]) => void;
+  /** Juego finalizado con puntuaciones finales, clasificación de equipos e ID de la partida en el historial (null en práctica) */
+  'game-ended': (
+    finalScores: PlayerScore[],
+    teamScores: TeamScore[],
+    matchId: string | null,
+  ) => void;
 
   /** Estado de consentimientos para reinicio */
   'restart-status': (consents: number, total: number) => void;
 
+  /** Listado de salas públicas (al pedirlo y cada vez que cambia mientras se sigue) */
+  'rooms-list': (rooms: PublicRoomListing[]) => void;
+
+  /** El anfitrión puso o quitó la contraseña de la sala */
+  'room-password-updated': (hasPassword: boolean) => void;
+
+  /** Mensaje nuevo en el chat de la sala */
+  'chat-message': (message: ChatMessage) => void;
+
+  /** Reacción de un jugador durante la revelación de la pared */
+  reaction: (reaction: Reaction) => void;
+
+  /** El jugador salió de la sala por su cuenta */
+  'room-left': (roomCode: string) => void;
+
+  /** El anfitrión expulsó o vetó a este jugador */
+  kicked: (roomCode: string, reason: 'kick' | 'ban', message: string) => void;
+
+  /** El rol de anfitrión cambió de manos */
+  'host-changed': (hostId: string, hostName: string) => void;
+
   /** Jugador desconectado */
   'player-disconnected': (playerId: string) => void;
+
+  /** Sala cerrada por el servidor (por ejemplo, por inactividad) */
+  'room-closed': (roomCode: string, reason: string) => void;
+
+  /** Sesión recuperada tras una reconexión */
+  'session-resumed': (sessionData: SessionResumedData) => void;
+
+  /** Estado de la partida en curso para quien entra como espectador a mitad de juego */
+  'game-in-progress': (sessionData: SessionResumedData) => void;
+
+  /** No se pudo recuperar la sesión */
+  'resume-failed': (message: string) => void;
+
+  /** Jugador reconectado a la sala */
+  'player-reconnected': (playerId: string) => void;
 }
 
 /**
@@ -49,11 +154,59 @@ export interface ServerToClientEvents {
  */
 export interface ClientToServerEvents {
   /** Crear nueva sala */
-  'create-room': () => void;
+  'create-room': (data?: RoomPasswordData) => void;
 
   /** Unirse a sala existente */
   'join-room': (data: JoinRoomData) => void;
 
+  /** Pedir el listado de salas públicas y seguir sus cambios */
+  'list-rooms': () => void;
+
+  /** Dejar de seguir el listado de salas públicas */
+  'unwatch-rooms': () => void;
+
+  /** Entrar en la mejor sala pública abierta o crear una */
+  'quick-play': () => void;
+
+  /** Poner, cambiar o quitar la contraseña de la sala (solo anfitrión) */
+  'set-room-password': (data: RoomPasswordData) => void;
+
+  /** Salir de la sala actual (también se hace al crear o unirse a otra) */
+  'leave-room': () => void;
+
+  /** Empezar una práctica en solitario sin sala compartida */
+  'start-practice': (data: StartPracticeData) => void;
+
+  /** Terminar la práctica en curso */
+  'end-practice': () => void;
+
+  /** Expulsar a un jugador (solo anfitrión) */
+  'kick-player': (data: TargetPlayerData) => void;
+
+  /** Expulsar a un jugador e impedir que vuelva (solo anfitrión) */
+  'ban-player': (data: TargetPlayerData) => void;
+
+  /** Silenciar a un jugador en el chat o devolverle la palabra (solo anfitrión) */
+  'mute-player': (data: MutePlayerData) => void;
+
+  /** Enviar un mensaje al chat de la sala */
+  'chat-message': (data: ChatMessageData) => void;
+
+  /** Reaccionar con un emoji durante la revelación de la pared */
+  'send-reaction': (data: SendReactionData) => void;
+
+  /** Ceder el rol de anfitrión (solo anfitrión) */
+  'transfer-host': (data: TargetPlayerData) => void;
+
+  /** Empezar sin esperar a todos, con el mínimo de jugadores listos (solo anfitrión) */
+  'force-start': () => void;
+
+  /** Pausar la partida en curso (solo anfitrión) */
+  'pause-game': () => void;
+
+  /** Reanudar la partida pausada (solo anfitrión) */
+  'resume-game': () => void;
+
   /** Establecer nombre de jugador */
   'set-player-name': (data: SetPlayerNameData) => void;
 
@@ -63,8 +216,29 @@ export interface ClientToServerEvents {
   /** Seleccionar altura de salto */
   'select-height': (data: SelectHeightData) => void;
 
+  /** Elegir equipo en modo por equipos */
+  'choose-team': (team: TeamId) => void;
+
+  /** Agregar un bot a la sala (solo anfitrión, en el lobby) */
+  'add-bot': (strategy: BotStrategyId) => void;
+
+  /** Quitar un bot de la sala (solo anfitrión, en el lobby) */
+  'remove-bot': (botId: string) => void;
+
+  /** Confirmar la altura seleccionada */
+  'lock-in': () => void;
+
+  /** Usar una habilidad durante la selección */
+  'use-ability': (data: UseAbilityData) => void;
+
   /** Dar consentimiento para reiniciar */
   'restart-consent': () => void;
+
+  /** Recuperar asiento tras una reconexión */
+  'resume-session': (data: ResumeSessionData) => void;
+
+  /** Cambiar la configuración de la partida (solo anfitrión, en el lobby) */
+  'update-room-settings': (data: Partial<RoomSettings>) => void;
 }
 
 /**
@@ -73,6 +247,66 @@ export interface ClientToServerEvents {
 export interface JoinRoomData {
   /** Código de sala de 6 caracteres */
   roomCode: string;
+
+  /** Papel solicitado (por defecto 'player'; a mitad de partida se entra como espectador) */
+  role?: PlayerRole;
+
+  /** Contraseña de la sala, si la tiene */
+  password?: string;
+}
+
+/**
+ * Datos para empezar una práctica
+ */
+export interface StartPracticeData {
+  /** Nombre del jugador (por defecto "Jugador") */
+  name?: string;
+
+  /** Segundos para elegir en cada ronda (0 o sin valor = sin temporizador) */
+  selectionDuration?: number;
+}
+
+/**
+ * Contraseña opcional de una sala (al crearla o al cambiarla)
+ */
+export interface RoomPasswordData {
+  /** Contraseña de 4 a 32 caracteres (sin ella la sala queda abierta) */
+  password?: string;
+}
+
+/**
+ * Datos de las acciones de moderación del anfitrión
+ */
+export interface TargetPlayerData {
+  /** ID del jugador sobre el que actúa el anfitrión */
+  playerId: string;
+}
+
+/**
+ * Datos para silenciar a un jugador en el chat
+ */
+export interface MutePlayerData {
+  /** ID del jugador */
+  playerId: string;
+
+  /** true para silenciarlo, false para devolverle la palabra */
+  muted: boolean;
+}
+
+/**
+ * Datos de un mensaje de chat
+ */
+export interface ChatMessageData {
+  /** Texto del mensaje (hasta 200 caracteres) */
+  text: string;
+}
+
+/**
+ * Datos de una reacción
+ */
+export interface SendReactionData {
+  /** Emoji elegido del conjunto permitido */
+  emoji: ReactionEmoji;
 }
 
 /**
@@ -89,6 +323,28 @@ export interface SetPlayerNameData {
 export interface SelectHeightData {
   /** Altura seleccionada (1-10) */
   height: number;
+
+  /** Puntos apostados en modo apuestas (por defecto 0) */
+  stake?: number;
+}
+
+/**
+ * Datos para usar una habilidad
+ */
+export interface UseAbilityData {
+  /** Habilidad a usar */
+  ability: AbilityId;
+
+  /** Altura a consultar (solo peek) */
+  height?: number;
+}
+
+/**
+ * Datos para recuperar una sesión
+ */
+export interface ResumeSessionData {
+  /** Token de sesión recibido al crear o unirse a la sala */
+  sessionToken: string;
 }
 
 /**
@@ -109,4 +365,60 @@ export interface RoomData {
 
   /** Total de rondas */
   maxRounds: number;
+
+  /** Indica si es una práctica en solitario */
+  isPractice: boolean;
+
+  /** Estadísticas de la práctica (null fuera de ella) */
+  practiceStats: PracticeStats | null;
+
+  /** Jugadores listos necesarios para que el anfitrión empiece sin esperar al resto */
+  minReadyToForceStart: number;
+
+  /** Configuración de la partida */
+  settings: RoomSettings;
+
+  /** Indica si la sala pide contraseña para entrar */
+  hasPassword: boolean;
+
+  /** Últimos mensajes del chat (solo para quien se une o recupera su sesión) */
+  chatHistory?: ChatMessage[];
+}
+
+/**
+ * Estado enviado a un jugador que recupera su sesión
+ */
+export interface SessionResumedData extends RoomData {
+  /** ID del jugador recuperado */
+  playerId: string;
+
+  /** Token de sesión renovado */
+  sessionToken: string;
+
+  /** Altura seleccionada en la ronda actual */
+  selectedHeight: number | null;
+
+  /** Segundos restantes de la fase actual (o de la fase pausada) */
+  timeRemaining: number;
+
+  /** Fase interrumpida si la partida está pausada */
+  pausedPhase: RoomState | null;
+
+  /** Posición del hueco si la ronda está en revelación */
+  holePosition: number | null;
+
+  /** Compromiso de la semilla de la ronda actual */
+  seedCommitment: string | null;
+
+  /** Semilla de la ronda si está en revelación */
+  seed: string | null;
+
+  /** Resultados de la ronda si está en revelación */
+  results: RoundResult[];
+
+  /** Clasificación final si el juego terminó */
+  finalScores: PlayerScore[];
+
+  /** ID de la partida en el historial si el juego terminó (null en práctica) */
+  matchId: string | null;
 }
@@ -3,7 +3,19 @@
  */
 export * from './player.interface';
 export * from './room.interface';
+export * from './room-store.interface';
 export * from './room-state.interface';
+export * from './room-settings.interface';
+export * from './scoring-strategy.interface';
+export * from './bot-strategy.interface';
 export * from './round-result.interface';
 export * from './player-score.interface';
+export * from './team.interface';
+export * from './ability.interface';
+export * from './practice.interface';
+export * from './room-listing.interface';
+export * from './chat.interface';
+export * from './match.interface';
+export * from './reaction.interface';
+export * from './game-events-gateway.interface';
 export * from './game-events.interface';
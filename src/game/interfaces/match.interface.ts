@@ -0,0 +1,116 @@
+import { PlayerScore } from './player-score.interface';
+import { GameMode, RoomSettings } from './room-settings.interface';
+import { RoundResultType } from './round-result.interface';
+import { TeamScore } from './team.interface';
+
+/**
+ * Elección y puntos de un jugador en una ronda de una partida guardada
+ */
+export interface MatchPick {
+  /** ID del jugador */
+  playerId: string;
+
+  /** Nombre del jugador */
+  playerName: string;
+
+  /** Altura seleccionada (1-10) */
+  selectedHeight: number;
+
+  /** Puntos ganados o perdidos en la ronda */
+  pointsEarned: number;
+
+  /** Puntuación total después de la ronda */
+  totalScore: number;
+
+  /** Tipo de resultado */
+  result: RoundResultType;
+}
+
+/**
+ * Ronda de una partida guardada
+ */
+export interface MatchRound {
+  /** Número de ronda (en desempate, el de la ronda de desempate) */
+  roundNumber: number;
+
+  /** Indica si fue una ronda de desempate */
+  isTiebreak: boolean;
+
+  /** Posición del hueco en la pared (1-10) */
+  holePosition: number;
+
+  /** Niveles de margen alrededor del hueco en esa ronda */
+  holeTolerance: number;
+
+  /** Elecciones de los jugadores que saltaron */
+  picks: MatchPick[];
+}
+
+/**
+ * Partida terminada guardada en el historial
+ */
+export interface MatchRecord {
+  /** UUID de la partida */
+  id: string;
+
+  /** Código de la sala en la que se jugó */
+  roomCode: string;
+
+  /** Fecha de fin de la partida en formato ISO */
+  endedAt: string;
+
+  /** Configuración de la sala durante la partida */
+  settings: RoomSettings;
+
+  /** Rondas jugadas, en orden */
+  rounds: MatchRound[];
+
+  /** Clasificación final */
+  finalScores: PlayerScore[];
+
+  /** Clasificación por equipos (vacía fuera del modo por equipos) */
+  teamScores: TeamScore[];
+}
+
+/**
+ * Resumen de una partida para los listados del historial
+ */
+export interface MatchSummary {
+  /** UUID de la partida */
+  id: string;
+
+  /** Código de la sala en la que se jugó */
+  roomCode: string;
+
+  /** Fecha de fin de la partida en formato ISO */
+  endedAt: string;
+
+  /** Modo de juego de la partida */
+  gameMode: GameMode;
+
+  /** Rondas jugadas (incluidas las de desempate) */
+  roundCount: number;
+
+  /** Jugadores que disputaron la partida */
+  playerCount: number;
+
+  /** Nombres de los ganadores */
+  winners: string[];
+}
+
+/**
+ * Página de resultados de un listado
+ */
+export interface Page<T> {
+  /** Elementos de la página */
+  items: T[];
+
+  /** Número de página (desde 1) */
+  page: number;
+
+  /** Elementos por página */
+  pageSize: number;
+
+  /** Total de elementos del listado */
+  total: number;
+}
@@ -1,3 +1,5 @@
+import { TeamId } from './team.interface';
+
 /**
  * Puntuación final de un jugador al terminar el juego
  */
@@ -14,6 +16,38 @@ export interface PlayerScore {
   /** Posición en la clasificación (1 = primero) */
   rank: number;
 
-  /** Indica si el jugador es ganador (puede haber empates) */
+  /** Indica si el jugador es ganador (puede haber empates); en modo por equipos, si ganó su equipo */
   isWinner: boolean;
+
+  /** Equipo del jugador (null fuera del modo por equipos) */
+  team: TeamId | null;
+
+  /** Puntos obtenidos en el desempate (null si el jugador no lo disputó) */
+  tiebreakPoints: number | null;
+
+  /** Ronda en la que fue eliminado (null si sobrevivió o fuera del modo eliminación) */
+  eliminatedInRound: number | null;
+}
+
+/**
+ * Puntuación acumulada de un jugador al terminar una ronda
+ */
+export interface RoundScore {
+  /** ID del jugador */
+  playerId: string;
+
+  /** Nombre del jugador */
+  playerName: string;
+
+  /** Puntuación total acumulada */
+  score: number;
+
+  /** Equipo del jugador (null fuera del modo por equipos) */
+  team: TeamId | null;
+
+  /** Vidas restantes en modo eliminación */
+  lives: number;
+
+  /** Indica si el jugador quedó eliminado */
+  isEliminated: boolean;
 }
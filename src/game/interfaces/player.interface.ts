@@ -1,3 +1,12 @@
+import { AbilityId } from './ability.interface';
+import { BotStrategyId } from './bot-strategy.interface';
+import { TeamId } from './team.interface';
+
+/**
+ * Papel de un usuario en la sala: jugador que salta o espectador que solo observa
+ */
+export type PlayerRole = 'player' | 'spectator';
+
 /**
  * Representa un jugador en el sistema de juego
  */
@@ -17,12 +26,63 @@ export interface Player {
   /** Indica si el jugador es el anfitrión (creador de la sala) */
   isHost: boolean;
 
+  /** Papel en la sala (los espectadores no saltan ni cuentan para listos o reinicio) */
+  role: PlayerRole;
+
+  /** Indica si el espectador entró a mitad de partida y jugará a partir del próximo reinicio */
+  joinsNextGame: boolean;
+
   /** Puntuación acumulada del jugador */
   score: number;
 
   /** Altura seleccionada en la ronda actual (1-10 o null si no ha seleccionado) */
   currentHeight: number | null;
 
+  /** Puntos apostados en la ronda actual (0 si no apuesta) */
+  currentStake: number;
+
+  /** Habilidades que el jugador aún no ha usado en la partida */
+  abilities: AbilityId[];
+
+  /** Habilidades usadas en la ronda actual */
+  roundAbilities: AbilityId[];
+
+  /** Indica si el jugador tiene un escudo armado esperando la próxima penalización */
+  shieldActive: boolean;
+
+  /** Indica si el jugador confirmó su altura en la ronda actual */
+  hasLockedIn: boolean;
+
+  /** Equipo del jugador en modo por equipos (null si aún no eligió) */
+  team: TeamId | null;
+
+  /** Puntos acumulados en las rondas de desempate (no cuentan para la puntuación) */
+  tiebreakPoints: number;
+
+  /** Vidas restantes en modo eliminación */
+  lives: number;
+
+  /** Indica si el jugador quedó eliminado y sigue la partida como espectador */
+  isEliminated: boolean;
+
+  /** Ronda en la que el jugador fue eliminado (null si sigue en juego) */
+  eliminatedInRound: number | null;
+
   /** Estado de conexión del jugador */
   isConnected: boolean;
+
+  /** Dirección remota del cliente usada para aplicar vetos ('' para bots) */
+  address: string;
+
+  /** Indica si el anfitrión silenció al jugador en el chat */
+  isMuted: boolean;
+
+  /** Momento de su última reacción (ms desde epoch, 0 si nunca reaccionó) */
+  lastReactionAt: number;
+
+  /** Indica si es un bot controlado por el servidor (sin socket) */
+  isBot: boolean;
+
+  /** Estrategia del bot (null para jugadores humanos) */
+  botStrategy: BotStrategyId | null;
 }
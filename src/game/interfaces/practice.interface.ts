@@ -0,0 +1,19 @@
+/**
+ * Estadísticas acumuladas de una partida de práctica en solitario
+ */
+export interface PracticeStats {
+  /** Rondas jugadas en la práctica */
+  roundsPlayed: number;
+
+  /** Rondas en las que el jugador acertó el hueco */
+  hits: number;
+
+  /** Porcentaje de aciertos (0-100, redondeado) */
+  accuracy: number;
+
+  /** Aciertos consecutivos hasta la última ronda */
+  currentStreak: number;
+
+  /** Mejor racha de aciertos consecutivos */
+  bestStreak: number;
+}
@@ -0,0 +1,15 @@
+/**
+ * Emojis con los que se puede reaccionar durante la revelación de la pared
+ */
+export type ReactionEmoji = '👏' | '😂' | '😱' | '🔥' | '😭' | '🎉';
+
+/**
+ * Reacción difundida a la sala
+ */
+export interface Reaction {
+  /** ID del jugador que reacciona (su marcador en la pared) */
+  playerId: string;
+
+  /** Emoji elegido */
+  emoji: ReactionEmoji;
+}
@@ -0,0 +1,39 @@
+import { RoomSettings } from './room-settings.interface';
+import { RoomState } from './room-state.interface';
+
+/**
+ * Resumen de una sala pública para el listado de la pantalla de inicio
+ */
+export interface PublicRoomSummary {
+  /** Código de la sala */
+  roomCode: string;
+
+  /** Nombre del anfitrión ('' si aún no eligió uno) */
+  hostName: string;
+
+  /** Jugadores de la partida (sin contar espectadores) */
+  playerCount: number;
+
+  /** Espectadores en la sala */
+  spectatorCount: number;
+
+  /** Capacidad máxima de la sala */
+  maxPlayers: number;
+
+  /** Estado actual de la sala */
+  state: RoomState;
+
+  /** Configuración de la partida */
+  settings: RoomSettings;
+
+  /** Indica si hace falta contraseña para entrar */
+  hasPassword: boolean;
+
+  /** Marca de tiempo de la última actividad de la sala (solo para ordenar en el servidor) */
+  lastActivityAt: number;
+}
+
+/**
+ * Sala pública tal como se envía al listado, sin los datos que solo sirven para ordenarla
+ */
+export type PublicRoomListing = Omit<PublicRoomSummary, 'lastActivityAt'>;
@@ -0,0 +1,96 @@
+import { ScoringStrategyId } from './scoring-strategy.interface';
+
+/**
+ * Modos de juego disponibles
+ * - classic: carrera de puntos a un número fijo de rondas
+ * - elimination: cada fallo cuesta una vida y gana el último jugador en pie
+ */
+export type GameMode = 'classic' | 'elimination';
+
+/**
+ * Regla de alturas únicas: qué ocurre cuando varios jugadores puntúan con la misma altura
+ * - off: cada jugador puntúa con normalidad
+ * - split: los puntos se reparten entre quienes eligieron esa altura
+ * - void: una altura compartida no puntúa
+ */
+export type UniquePickRule = 'off' | 'split' | 'void';
+
+/**
+ * Valores de puntuación aplicados en una sala
+ */
+export interface ScoringValues {
+  /** Puntos por acertar exactamente el hueco */
+  perfect: number;
+
+  /** Puntos (negativos) por saltar por debajo del hueco */
+  tooLow: number;
+
+  /** Puntos (negativos) por saltar por encima del hueco */
+  tooHigh: number;
+}
+
+/**
+ * Configuración de la partida que el anfitrión puede ajustar en el lobby
+ */
+export interface RoomSettings {
+  /** Total de rondas del juego */
+  maxRounds: number;
+
+  /** Duración del período de selección en segundos */
+  selectionDuration: number;
+
+  /** Duración del período de revelación en segundos */
+  revealDuration: number;
+
+  /** Valores de puntuación de la sala */
+  scoring: ScoringValues;
+
+  /** Estrategia de puntuación de la sala */
+  scoringStrategy: ScoringStrategyId;
+
+  /** Modo de juego de la sala */
+  gameMode: GameMode;
+
+  /** Vidas iniciales de cada jugador en modo eliminación */
+  startingLives: number;
+
+  /** Indica si la partida se juega por equipos */
+  teamMode: boolean;
+
+  /** Número de equipos en modo por equipos (2-4) */
+  teamCount: number;
+
+  /** Indica si un empate al final se resuelve con rondas de muerte súbita */
+  tiebreakEnabled: boolean;
+
+  /** Máximo de rondas de desempate antes de dar el empate por bueno */
+  maxTiebreakRounds: number;
+
+  /** Regla de alturas únicas aplicada a los aciertos compartidos */
+  uniquePickRule: UniquePickRule;
+
+  /** Indica si los jugadores apuestan puntos en cada selección */
+  wagerMode: boolean;
+
+  /** Multiplicador de la apuesta cuando el jugador acierta (2-5) */
+  wagerMultiplier: number;
+
+  /** Apuesta máxima por ronda (0 = solo limitada por la puntuación) */
+  wagerBudget: number;
+
+  /** Indica si cada jugador recibe habilidades de un solo uso por partida */
+  abilitiesEnabled: boolean;
+
+  /** Indica si la sala aparece en el listado público y en la partida rápida */
+  isPublic: boolean;
+
+  /** Indica si los espectadores ven el chat y pueden escribir en él */
+  spectatorChat: boolean;
+}
+
+/**
+ * Cambios parciales de configuración enviados por el anfitrión
+ */
+export type RoomSettingsUpdate = Partial<Omit<RoomSettings, 'scoring'>> & {
+  scoring?: Partial<ScoringValues>;
+};
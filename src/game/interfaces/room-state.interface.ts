@@ -6,5 +6,6 @@ export type RoomState =
   | 'waiting-ready' // Esperando que todos estén listos
   | 'selection' // Período de selección de altura
   | 'revealing' // Mostrando pared y resultados
+  | 'paused' // Partida pausada por el anfitrión
   | 'game-over' // Juego terminado
   | 'waiting-restart'; // Esperando consentimiento para reiniciar
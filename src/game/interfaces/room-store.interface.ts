@@ -0,0 +1,55 @@
+import { Room } from './room.interface';
+
+/**
+ * Tipos de almacén de salas disponibles
+ */
+export type RoomStoreType =
+  | 'memory' // Solo en memoria: las salas se pierden al reiniciar el servidor
+  | 'file'; // Copia en un fichero JSON local que se recupera al arrancar
+
+/**
+ * Almacén intercambiable de las salas activas
+ * Las salas se modifican en el sitio, así que los almacenes duraderos guardan su estado periódicamente con flush()
+ */
+export interface RoomStore {
+  /**
+   * Busca una sala por su código
+   * @param roomCode Código de la sala
+   * @returns La sala o undefined si no existe
+   */
+  get(roomCode: string): Room | undefined;
+
+  /**
+   * Verifica si existe una sala con ese código
+   * @param roomCode Código de la sala
+   */
+  has(roomCode: string): boolean;
+
+  /**
+   * Guarda una sala nueva o reemplaza la existente con el mismo código
+   * @param room Sala a guardar
+   */
+  set(room: Room): void;
+
+  /**
+   * Elimina una sala del almacén
+   * @param roomCode Código de la sala
+   */
+  delete(roomCode: string): void;
+
+  /**
+   * Obtiene todas las salas guardadas
+   * @returns Array de salas
+   */
+  values(): Room[];
+
+  /**
+   * Persiste el estado actual de las salas sin bloquear (sin efecto en memoria)
+   */
+  flush(): void;
+
+  /**
+   * Persiste las salas por última vez y libera los recursos del almacén
+   */
+  close(): void;
+}
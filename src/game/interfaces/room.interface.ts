@@ -1,5 +1,29 @@
 import { Player } from './player.interface';
 import { RoomState } from './room-state.interface';
+import { RoundResult } from './round-result.interface';
+import {
+  GameMode,
+  ScoringValues,
+  UniquePickRule,
+} from './room-settings.interface';
+import { ScoringStrategyId } from './scoring-strategy.interface';
+import { PracticeStats } from './practice.interface';
+import { ChatMessage } from './chat.interface';
+import { MatchRound } from './match.interface';
+
+/**
+ * Intentos fallidos de contraseña de un cliente (o de toda la sala) en una sala
+ */
+export interface PasswordAttempts {
+  /** Intentos fallidos desde el último bloqueo */
+  failures: number;
+
+  /** Marca de tiempo hasta la que el cliente no puede volver a intentarlo (0 si no está bloqueado) */
+  lockedUntil: number;
+
+  /** Marca de tiempo del último intento fallido */
+  lastFailureAt: number;
+}
 
 /**
  * Representa una sala de juego
@@ -14,6 +38,15 @@ export interface Room {
   /** Estado actual de la sala */
   state: RoomState;
 
+  /** Indica si es una práctica en solitario (no cuenta para el límite de salas ni admite más jugadores) */
+  isPractice: boolean;
+
+  /** Dirección IP del cliente que creó la sala ('' si no se conoce) */
+  ownerAddress: string;
+
+  /** Estadísticas de aciertos de la práctica (sin uso fuera de ella) */
+  practiceStats: PracticeStats;
+
   /** Número de ronda actual (1-10) */
   currentRound: number;
 
@@ -26,18 +59,126 @@ export interface Room {
   /** Timer del período de revelación */
   revealTimer: NodeJS.Timeout | null;
 
+  /** Timers de las selecciones pendientes de los bots en la ronda actual */
+  botTimers: NodeJS.Timeout[];
+
   /** Duración del período de selección en segundos */
   selectionDuration: number;
 
   /** Duración del período de revelación en segundos */
   revealDuration: number;
 
+  /** Valores de puntuación de la sala (configurables por el anfitrión) */
+  scoring: ScoringValues;
+
+  /** Estrategia de puntuación elegida para la sala */
+  scoringStrategy: ScoringStrategyId;
+
+  /** Modo de juego elegido para la sala */
+  gameMode: GameMode;
+
+  /** Vidas con las que empieza cada jugador en modo eliminación */
+  startingLives: number;
+
+  /** Indica si la partida se juega por equipos */
+  teamMode: boolean;
+
+  /** Número de equipos habilitados en modo por equipos */
+  teamCount: number;
+
+  /** Indica si un empate al final se resuelve con rondas de muerte súbita */
+  tiebreakEnabled: boolean;
+
+  /** Máximo de rondas de desempate */
+  maxTiebreakRounds: number;
+
+  /** Regla de alturas únicas de la sala */
+  uniquePickRule: UniquePickRule;
+
+  /** Indica si los jugadores apuestan puntos en cada selección */
+  wagerMode: boolean;
+
+  /** Multiplicador de la apuesta en caso de acierto */
+  wagerMultiplier: number;
+
+  /** Apuesta máxima por ronda (0 = solo limitada por la puntuación) */
+  wagerBudget: number;
+
+  /** Indica si cada jugador recibe habilidades de un solo uso por partida */
+  abilitiesEnabled: boolean;
+
+  /** Indica si la sala aparece en el listado público y en la partida rápida */
+  isPublic: boolean;
+
+  /** Indica si los espectadores ven el chat y pueden escribir en él */
+  spectatorChat: boolean;
+
+  /** Número de ronda de desempate en curso (0 si no hay desempate) */
+  tiebreakRound: number;
+
+  /** IDs de los jugadores que siguen empatados en el desempate (vacío si no hay desempate) */
+  tiebreakPlayerIds: string[];
+
+  /** IDs de los ganadores del último desempate (vacío si no lo hubo) */
+  tiebreakWinnerIds: string[];
+
+  /** Niveles de margen alrededor del hueco en la ronda actual (0 = solo el hueco exacto) */
+  holeTolerance: number;
+
   /** Posición del hueco en la pared actual (1-10 o null) */
   currentWallHole: number | null;
 
+  /** Semilla secreta de la ronda actual (se revela junto con la pared) */
+  roundSeed: string | null;
+
+  /** Compromiso SHA-256 de la semilla, publicado al iniciar la ronda */
+  seedCommitment: string | null;
+
+  /** Momento (ms desde epoch) en que termina la fase actual, null si no hay fase temporizada */
+  phaseEndsAt: number | null;
+
+  /** Fase interrumpida por la pausa (null si la partida no está pausada) */
+  pausedPhase: 'selection' | 'revealing' | null;
+
+  /** Milisegundos que le quedaban a la fase al pausar (null sin pausa o si la fase no tenía temporizador) */
+  pausedRemainingMs: number | null;
+
+  /** Resultados de la última ronda revelada (para reenviarlos a jugadores que se reconectan) */
+  lastRoundResults: RoundResult[];
+
+  /** Huecos de las rondas ya reveladas en la partida actual (los usan los bots que aprenden) */
+  holeHistory: number[];
+
+  /** Rondas reveladas de la partida actual con las elecciones de cada jugador (para el historial) */
+  matchRounds: MatchRound[];
+
+  /** ID de la última partida guardada en el historial (null si aún no terminó ninguna) */
+  lastMatchId: string | null;
+
   /** Set de IDs de jugadores que consintieron reiniciar */
   restartConsents: Set<string>;
 
+  /** IDs de los jugadores vetados por el anfitrión (se comprueban con el token de sesión) */
+  bannedPlayerIds: Set<string>;
+
+  /** Direcciones remotas de los clientes vetados por el anfitrión */
+  bannedAddresses: Set<string>;
+
+  /** Hash de la contraseña de la sala (null si no tiene) */
+  passwordHash: string | null;
+
+  /** Intentos fallidos de contraseña por dirección remota del cliente */
+  passwordAttempts: Map<string, PasswordAttempts>;
+
+  /** Intentos fallidos de contraseña de todos los clientes juntos (null si no hay) */
+  roomPasswordAttempts: PasswordAttempts | null;
+
+  /** Últimos mensajes del chat (se envían a quien llega tarde) */
+  chatHistory: ChatMessage[];
+
   /** Fecha de creación de la sala */
   createdAt: Date;
+
+  /** Momento (ms desde epoch) de la última actividad registrada en la sala */
+  lastActivityAt: number;
 }
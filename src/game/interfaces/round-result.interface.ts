@@ -1,8 +1,20 @@
+import { AbilityId } from './ability.interface';
+import { ScoringStrategyId } from './scoring-strategy.interface';
+import { TeamId } from './team.interface';
+
 /**
  * Tipo de resultado de una ronda
  */
 export type RoundResultType = 'perfect' | 'too-low' | 'too-high';
 
+/**
+ * Consecuencia de la ronda sobre las vidas de un jugador en modo eliminación
+ * - safe: el salto entró dentro del margen del hueco
+ * - life-lost: perdió una vida pero sigue en juego
+ * - eliminated: perdió su última vida en esta ronda
+ */
+export type LifeOutcome = 'safe' | 'life-lost' | 'eliminated';
+
 /**
  * Resultado de un jugador en una ronda específica
  */
@@ -19,12 +31,59 @@ export interface RoundResult {
   /** Posición del hueco en la pared (1-10) */
   wallHole: number;
 
-  /** Puntos ganados o perdidos en esta ronda (20, -5, o -10) */
+  /** Jugadores que eligieron esta misma altura en la ronda (incluido él mismo) */
+  pickCount: number;
+
+  /** Distancia en niveles entre la altura seleccionada y el hueco (0 = acierto) */
+  distance: number;
+
+  /** Puntos ganados o perdidos en esta ronda (estrategia de la sala más la apuesta) */
   pointsEarned: number;
 
+  /** Puntos apostados en la ronda (0 si no apostó) */
+  stake: number;
+
+  /** Puntos ganados o perdidos por la apuesta (incluidos en pointsEarned) */
+  wagerPoints: number;
+
   /** Puntuación total acumulada después de esta ronda */
   totalScore: number;
 
+  /** Habilidades activas en la ronda (las usadas en ella y un escudo armado de antes) */
+  activeAbilities: AbilityId[];
+
+  /** Indica si el escudo anuló una penalización en esta ronda */
+  shieldUsed: boolean;
+
+  /** Indica si es una ronda de desempate (los puntos no suman a la puntuación total) */
+  isTiebreak: boolean;
+
   /** Tipo de resultado */
   result: RoundResultType;
+
+  /** Estrategia de puntuación usada para calcular los puntos */
+  scoringStrategy: ScoringStrategyId;
+
+  /** Equipo del jugador (null fuera del modo por equipos) */
+  team: TeamId | null;
+
+  /** Efecto de la ronda sobre las vidas (null fuera del modo eliminación) */
+  lifeOutcome: LifeOutcome | null;
+
+  /** Vidas restantes después de esta ronda (null fuera del modo eliminación) */
+  livesRemaining: number | null;
+}
+
+/**
+ * Elecciones de una altura concreta en la ronda
+ */
+export interface PickBucket {
+  /** Altura (1-10) */
+  height: number;
+
+  /** IDs de los jugadores que eligieron esta altura */
+  playerIds: string[];
+
+  /** Indica si más de un jugador eligió esta altura */
+  isCollision: boolean;
 }
@@ -0,0 +1,45 @@
+import { ScoringValues } from './room-settings.interface';
+
+/**
+ * Identificadores de las estrategias de puntuación disponibles
+ */
+export type ScoringStrategyId =
+  | 'classic' // Acierto exacto, salto bajo o salto alto
+  | 'linear-decay' // Los puntos decrecen linealmente con la distancia al hueco
+  | 'asymmetric' // Penalización creciente con la distancia, distinta por arriba y por abajo
+  | 'closest-wins'; // Solo puntúan los jugadores más cercanos al hueco
+
+/**
+ * Datos disponibles para calcular los puntos de un jugador en una ronda
+ */
+export interface ScoringContext {
+  /** Altura seleccionada por el jugador (1-10) */
+  selectedHeight: number;
+
+  /** Posición del hueco en la pared (1-10) */
+  wallHole: number;
+
+  /** Valores de puntuación de la sala */
+  scoring: ScoringValues;
+
+  /** Alturas seleccionadas por todos los jugadores de la ronda */
+  roundHeights: number[];
+}
+
+/**
+ * Estrategia de puntuación intercambiable por sala
+ */
+export interface ScoringStrategy {
+  /** Identificador de la estrategia */
+  readonly id: ScoringStrategyId;
+
+  /** Nombre legible de la estrategia */
+  readonly name: string;
+
+  /**
+   * Calcula los puntos ganados o perdidos por un jugador
+   * @param context Datos de la ronda
+   * @returns Puntos de la ronda
+   */
+  calculatePoints(context: ScoringContext): number;
+}
@@ -0,0 +1,27 @@
+/**
+ * Identificadores de los equipos disponibles en modo por equipos
+ */
+export type TeamId = 'red' | 'blue' | 'green' | 'yellow';
+
+/**
+ * Puntuación agregada de un equipo
+ */
+export interface TeamScore {
+  /** ID del equipo */
+  team: TeamId;
+
+  /** Nombre visible del equipo */
+  teamName: string;
+
+  /** Suma de las puntuaciones de sus integrantes */
+  score: number;
+
+  /** IDs de los jugadores del equipo */
+  playerIds: string[];
+
+  /** Posición en la clasificación de equipos (1 = primero) */
+  rank: number;
+
+  /** Indica si el equipo es ganador (puede haber empates) */
+  isWinner: boolean;
+}
@@ -0,0 +1,49 @@
+import {
+  BadRequestException,
+  Controller,
+  Get,
+  Header,
+  NotFoundException,
+  Param,
+  Req,
+} from '@nestjs/common';
+import type { Request } from 'express';
+import { RoomService } from './room.service';
+import { isValidRoomCode } from './utils/validators.util';
+import { buildInviteLink, renderInviteQrSvg } from './utils/invite.util';
+
+/**
+ * Controlador HTTP de los enlaces de invitación a salas
+ * El código QR se genera en el servidor para no depender de servicios externos
+ */
+@Controller('invite')
+export class InviteController {
+  constructor(private readonly roomService: RoomService) {}
+
+  /**
+   * Devuelve el código QR del enlace de invitación de una sala
+   * @param roomCode - Código de la sala
+   * @param request - Petición HTTP, de la que se toma el origen del enlace
+   * @returns Imagen SVG del código QR
+   */
+  @Get(':roomCode/qr')
+  @Header('Content-Type', 'image/svg+xml')
+  @Header('Cache-Control', 'no-store')
+  getInviteQr(
+    @Param('roomCode') roomCode: string,
+    @Req() request: Request,
+  ): Promise<string> {
+    const code = roomCode.toUpperCase();
+
+    if (!isValidRoomCode(code)) {
+      throw new BadRequestException('Código de sala inválido');
+    }
+
+    if (!this.roomService.getRoom(code)) {
+      throw new NotFoundException('La sala no existe');
+    }
+
+    const origin = `${request.protocol}://${request.get('host')}`;
+    return renderInviteQrSvg(buildInviteLink(origin, code));
+  }
+}
@@ -0,0 +1,151 @@
+import { randomUUID } from 'crypto';
+import { Injectable, OnApplicationShutdown } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { MatchRecord, MatchSummary, Page } from './interfaces/match.interface';
+import { paginate, summarizeMatch } from './utils/match-history.util';
+import { readDataFile, writeDataFileAsync } from './utils/json-file.util';
+
+/**
+ * Servicio del historial de partidas terminadas
+ * Guarda las partidas en memoria y, con MATCH_HISTORY_STORE=file, también en disco
+ */
+@Injectable()
+export class MatchHistoryService implements OnApplicationShutdown {
+  /** Partidas guardadas, de la más reciente a la más antigua */
+  private matches: MatchRecord[] = [];
+
+  /** Fichero del historial (null si solo se guarda en memoria) */
+  private readonly filePath: string | null;
+
+  /** Escritura del fichero en curso (null si no hay ninguna) */
+  private writing: Promise<void> | null = null;
+
+  /** Indica si el historial cambió mientras se escribía y hay que volver a guardarlo */
+  private pendingWrite = false;
+
+  constructor(private readonly configService: ConfigService) {
+    this.filePath =
+      this.configService.get<string>('game.matchHistoryStore', 'memory') ===
+      'file'
+        ? this.configService.get<string>(
+            'game.matchHistoryPath',
+            'data/matches.json',
+          )
+        : null;
+
+    this.load();
+  }
+
+  /**
+   * Recupera el historial guardado en el fichero, si existe
+   */
+  private load(): void {
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      const content = readDataFile(this.filePath);
+
+      if (content !== null) {
+        this.matches = JSON.parse(content) as MatchRecord[];
+      }
+    } catch (error) {
+      console.error('Error al leer el historial de partidas:', error);
+    }
+  }
+
+  /**
+   * Guarda una partida terminada
+   * Si se supera el límite del historial se descartan las más antiguas
+   * @param match Datos de la partida sin ID ni fecha
+   * @returns Partida guardada
+   */
+  saveMatch(match: Omit<MatchRecord, 'id' | 'endedAt'>): MatchRecord {
+    const record: MatchRecord = {
+      id: randomUUID(),
+      endedAt: new Date().toISOString(),
+      ...match,
+    };
+    const limit = this.configService.get<number>(
+      'game.matchHistoryLimit',
+      1000,
+    );
+
+    this.matches.unshift(record);
+    this.matches.length = Math.min(this.matches.length, limit);
+
+    this.persist();
+
+    return record;
+  }
+
+  /**
+   * Espera a que termine de escribirse el historial antes de apagar
+   */
+  async onApplicationShutdown(): Promise<void> {
+    while (this.writing) {
+      await this.writing;
+    }
+  }
+
+  /**
+   * Escribe el historial en el fichero sin bloquear el bucle de eventos
+   * Las escrituras no se solapan: lo que cambie mientras tanto se guarda al terminar la actual
+   */
+  private persist(): void {
+    if (!this.filePath) {
+      return;
+    }
+
+    if (this.writing) {
+      this.pendingWrite = true;
+      return;
+    }
+
+    this.writing = writeDataFileAsync(
+      this.filePath,
+      JSON.stringify(this.matches),
+    )
+      .catch((error) => {
+        console.error('Error al guardar el historial de partidas:', error);
+      })
+      .finally(() => {
+        this.writing = null;
+
+        if (this.pendingWrite) {
+          this.pendingWrite = false;
+          this.persist();
+        }
+      });
+  }
+
+  /**
+   * Busca una partida por su ID
+   * @param matchId UUID de la partida
+   * @returns La partida o null si no existe
+   */
+  getMatch(matchId: string): MatchRecord | null {
+    return this.matches.find((match) => match.id === matchId) || null;
+  }
+
+  /**
+   * Lista las partidas guardadas, de la más reciente a la más antigua
+   * @param page Número de página (desde 1)
+   * @param pageSize Partidas por página
+   * @param roomCode Código de sala para filtrar (opcional)
+   * @returns Página de resúmenes de partidas
+   */
+  listMatches(
+    page?: number,
+    pageSize?: number,
+    roomCode?: string,
+  ): Page<MatchSummary> {
+    const matches = roomCode
+      ? this.matches.filter((match) => match.roomCode === roomCode)
+      : this.matches;
+    const result = paginate(matches, page, pageSize);
+
+    return { ...result, items: result.items.map(summarizeMatch) };
+  }
+}
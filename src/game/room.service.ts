@@ -1,28 +1,92 @@
-import { Injectable } from '@nestjs/common';
+import {
+  Inject,
+  Injectable,
+  OnApplicationShutdown,
+  OnModuleInit,
+} from '@nestjs/common';
 import { ConfigService } from '@nestjs/config';
-import { Room } from './interfaces/room.interface';
-import { Player } from './interfaces/player.interface';
+import { v4 as uuidv4 } from 'uuid';
+import { PasswordAttempts, Room } from './interfaces/room.interface';
+import { Player, PlayerRole } from './interfaces/player.interface';
+import { BotStrategyId } from './interfaces/bot-strategy.interface';
+import {
+  RoomSettings,
+  RoomSettingsUpdate,
+} from './interfaces/room-settings.interface';
+import { PublicRoomSummary } from './interfaces/room-listing.interface';
+import { ChatMessage } from './interfaces/chat.interface';
+import type { RoomStore } from './interfaces/room-store.interface';
+import { ROOM_STORE } from './stores/room-store.provider';
 import { generateRoomCode } from './utils/code-generator.util';
+import { getAvailableTeams } from './utils/team.util';
+import { getBotStrategy } from './utils/bot-strategies.util';
+import { createPracticeStats } from './utils/practice.util';
+import { pickQuickPlayRoom, sortPublicRooms } from './utils/matchmaking.util';
+import {
+  getLockoutRemainingMs,
+  hashPassword,
+  pruneExpiredAttempts,
+  recordFailedAttempt,
+  verifyPassword,
+} from './utils/password.util';
+import { CHAT_HISTORY_SIZE, censorChatText } from './utils/chat.util';
+import {
+  signSessionToken,
+  verifySessionToken,
+} from './utils/session-token.util';
 
 /**
  * Servicio para gestionar salas de juego
  * Responsable de crear, eliminar y mantener el registro de todas las salas activas
  */
 @Injectable()
-export class RoomService {
-  constructor(private readonly configService: ConfigService) {}
-
-  /** Mapa de salas activas (key: código de sala, value: Room) */
-  private rooms: Map<string, Room> = new Map();
+export class RoomService implements OnModuleInit, OnApplicationShutdown {
+  constructor(
+    private readonly configService: ConfigService,
+    @Inject(ROOM_STORE) private readonly rooms: RoomStore,
+  ) {}
 
   /** Mapa para buscar sala por ID de jugador (key: playerId, value: roomCode) */
   private playerRoomMap: Map<string, string> = new Map();
 
+  /**
+   * Reconstruye el índice de jugadores de las salas recuperadas del almacén
+   * Nadie sigue conectado tras un reinicio: los humanos vuelven con su token de sesión
+   */
+  onModuleInit(): void {
+    this.rooms.values().forEach((room) => {
+      room.players.forEach((player) => {
+        player.isConnected = player.isBot;
+        this.playerRoomMap.set(player.id, room.code);
+      });
+    });
+  }
+
+  /**
+   * Guarda las salas por última vez al apagar el servidor
+   */
+  onApplicationShutdown(): void {
+    this.rooms.close();
+  }
+
   /**
    * Crea una nueva sala con un código único
-   * @returns Código de la sala creada
+   * @param isPractice Indica si es una práctica en solitario (no cuenta para el límite de salas)
+   * @param ownerAddress Dirección IP del cliente que la crea (limita sus prácticas simultáneas)
+   * @returns Código de la sala creada, null si se alcanzó el máximo de salas o de prácticas
    */
-  createRoom(): string {
+  createRoom(isPractice = false, ownerAddress = ''): string | null {
+    // Respetar el límite de salas simultáneas
+    const maxRooms = this.configService.get<number>('game.maxRooms', 100);
+
+    if (!isPractice && this.countMultiplayerRooms() >= maxRooms) {
+      return null;
+    }
+
+    if (isPractice && !this.canCreatePracticeRoom(ownerAddress)) {
+      return null;
+    }
+
     let roomCode: string;
 
     // Generar código único que no exista
@@ -40,25 +104,113 @@ export class RoomService {
       'game.revealDuration',
       5,
     );
+    const startingLives = this.configService.get<number>(
+      'game.startingLives',
+      3,
+    );
+    const scoring = {
+      perfect: this.configService.get<number>('game.scoring.perfect', 20),
+      tooLow: this.configService.get<number>('game.scoring.tooLow', -5),
+      tooHigh: this.configService.get<number>('game.scoring.tooHigh', -10),
+    };
     const newRoom: Room = {
       code: roomCode,
       players: new Map<string, Player>(),
       state: 'lobby',
+      isPractice,
+      ownerAddress,
+      practiceStats: createPracticeStats(),
       currentRound: 0,
       maxRounds,
       selectionTimer: null,
       revealTimer: null,
+      botTimers: [],
       selectionDuration,
       revealDuration,
+      scoring,
+      scoringStrategy: 'classic',
+      gameMode: 'classic',
+      startingLives,
+      teamMode: false,
+      teamCount: 2,
+      tiebreakEnabled: false,
+      maxTiebreakRounds: 3,
+      uniquePickRule: 'off',
+      wagerMode: false,
+      wagerMultiplier: 2,
+      wagerBudget: 10,
+      abilitiesEnabled: false,
+      isPublic: false,
+      spectatorChat: true,
+      tiebreakRound: 0,
+      tiebreakPlayerIds: [],
+      tiebreakWinnerIds: [],
+      holeTolerance: 0,
       currentWallHole: null,
+      roundSeed: null,
+      seedCommitment: null,
+      phaseEndsAt: null,
+      pausedPhase: null,
+      pausedRemainingMs: null,
+      lastRoundResults: [],
+      holeHistory: [],
+      matchRounds: [],
+      lastMatchId: null,
       restartConsents: new Set<string>(),
+      bannedPlayerIds: new Set<string>(),
+      bannedAddresses: new Set<string>(),
+      passwordHash: null,
+      passwordAttempts: new Map<string, PasswordAttempts>(),
+      roomPasswordAttempts: null,
+      chatHistory: [],
       createdAt: new Date(),
+      lastActivityAt: Date.now(),
     };
 
-    this.rooms.set(roomCode, newRoom);
+    this.rooms.set(newRoom);
     return roomCode;
   }
 
+  /**
+   * Cuenta las salas multijugador activas (las prácticas no ocupan plazas)
+   * @returns Número de salas que no son de práctica
+   */
+  private countMultiplayerRooms(): number {
+    let count = 0;
+
+    this.rooms.values().forEach((room) => {
+      if (!room.isPractice) {
+        count++;
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Verifica si se puede abrir otra práctica: hay un máximo global y otro por dirección
+   * Las prácticas no ocupan plazas de MAX_ROOMS, pero cada una mantiene sus propios temporizadores
+   * @param address Dirección IP del cliente
+   * @returns true si no se alcanzó ninguno de los dos límites
+   */
+  canCreatePracticeRoom(address: string): boolean {
+    const practiceRooms = this.rooms.values().filter((room) => room.isPractice);
+    const maxPracticeRooms = this.configService.get<number>(
+      'game.maxPracticeRooms',
+      100,
+    );
+    const perAddress = this.configService.get<number>(
+      'game.practiceRoomsPerAddress',
+      2,
+    );
+
+    return (
+      practiceRooms.length < maxPracticeRooms &&
+      practiceRooms.filter((room) => room.ownerAddress === address).length <
+        perAddress
+    );
+  }
+
   /**
    * Obtiene una sala por su código
    * @param roomCode Código de la sala
@@ -68,17 +220,106 @@ export class RoomService {
     return this.rooms.get(roomCode) || null;
   }
 
+  /**
+   * Obtiene la configuración de partida de una sala
+   * @param room Sala de juego
+   * @returns Configuración actual de la sala
+   */
+  getRoomSettings(room: Room): RoomSettings {
+    return {
+      maxRounds: room.maxRounds,
+      selectionDuration: room.selectionDuration,
+      revealDuration: room.revealDuration,
+      scoring: { ...room.scoring },
+      scoringStrategy: room.scoringStrategy,
+      gameMode: room.gameMode,
+      startingLives: room.startingLives,
+      teamMode: room.teamMode,
+      teamCount: room.teamCount,
+      tiebreakEnabled: room.tiebreakEnabled,
+      maxTiebreakRounds: room.maxTiebreakRounds,
+      uniquePickRule: room.uniquePickRule,
+      wagerMode: room.wagerMode,
+      wagerMultiplier: room.wagerMultiplier,
+      wagerBudget: room.wagerBudget,
+      abilitiesEnabled: room.abilitiesEnabled,
+      isPublic: room.isPublic,
+      spectatorChat: room.spectatorChat,
+    };
+  }
+
+  /**
+   * Aplica cambios de configuración a una sala
+   * Los valores deben llegar ya validados contra los límites del servidor
+   * @param roomCode Código de la sala
+   * @param changes Cambios parciales de configuración
+   * @returns La configuración resultante, null si la sala no existe
+   */
+  updateRoomSettings(
+    roomCode: string,
+    changes: RoomSettingsUpdate,
+  ): RoomSettings | null {
+    const room = this.rooms.get(roomCode);
+
+    if (!room) {
+      return null;
+    }
+
+    room.maxRounds = changes.maxRounds ?? room.maxRounds;
+    room.selectionDuration =
+      changes.selectionDuration ?? room.selectionDuration;
+    room.revealDuration = changes.revealDuration ?? room.revealDuration;
+    room.scoring = {
+      perfect: changes.scoring?.perfect ?? room.scoring.perfect,
+      tooLow: changes.scoring?.tooLow ?? room.scoring.tooLow,
+      tooHigh: changes.scoring?.tooHigh ?? room.scoring.tooHigh,
+    };
+    room.scoringStrategy = changes.scoringStrategy ?? room.scoringStrategy;
+    room.gameMode = changes.gameMode ?? room.gameMode;
+    room.startingLives = changes.startingLives ?? room.startingLives;
+    room.teamMode = changes.teamMode ?? room.teamMode;
+    room.teamCount = changes.teamCount ?? room.teamCount;
+    room.tiebreakEnabled = changes.tiebreakEnabled ?? room.tiebreakEnabled;
+    room.maxTiebreakRounds =
+      changes.maxTiebreakRounds ?? room.maxTiebreakRounds;
+    room.uniquePickRule = changes.uniquePickRule ?? room.uniquePickRule;
+    room.wagerMode = changes.wagerMode ?? room.wagerMode;
+    room.wagerMultiplier = changes.wagerMultiplier ?? room.wagerMultiplier;
+    room.wagerBudget = changes.wagerBudget ?? room.wagerBudget;
+    room.abilitiesEnabled = changes.abilitiesEnabled ?? room.abilitiesEnabled;
+    room.isPublic = changes.isPublic ?? room.isPublic;
+    room.spectatorChat = changes.spectatorChat ?? room.spectatorChat;
+
+    // Los jugadores de equipos que dejaron de existir vuelven a quedar sin equipo
+    const availableTeams = getAvailableTeams(room.teamCount);
+    room.players.forEach((player) => {
+      if (player.team && !availableTeams.includes(player.team)) {
+        player.team = null;
+      }
+    });
+
+    return this.getRoomSettings(room);
+  }
+
   /**
    * Agrega un jugador a una sala existente
    * @param roomCode Código de la sala
    * @param playerId ID único del jugador
    * @param socketId ID del socket del jugador
-   * @returns true si se unió exitosamente, false si la sala no existe
+   * @param address Dirección remota del cliente (para aplicar vetos)
+   * @param role Papel solicitado; a mitad de partida siempre se entra como espectador
+   * @returns true si se unió exitosamente, false si la sala no existe o está llena
    */
-  joinRoom(roomCode: string, playerId: string, socketId: string): boolean {
+  joinRoom(
+    roomCode: string,
+    playerId: string,
+    socketId: string,
+    address = '',
+    role: PlayerRole = 'player',
+  ): boolean {
     const room = this.rooms.get(roomCode);
 
-    if (!room) {
+    if (!room || this.isRoomFull(roomCode)) {
       return false;
     }
 
@@ -86,24 +327,433 @@ export class RoomService {
     const isHost = room.players.size === 0;
 
     // Crear objeto de jugador
-    const player: Player = {
+    const player = this.buildPlayer(room, playerId, socketId, isHost);
+    player.address = address;
+
+    // Quien entra con la partida empezada la sigue como espectador hasta el próximo reinicio
+    const inProgress = room.state !== 'lobby' && room.state !== 'waiting-ready';
+    player.role = inProgress ? 'spectator' : role;
+    player.joinsNextGame = inProgress && role === 'player';
+
+    // Agregar jugador a la sala
+    room.players.set(playerId, player);
+
+    // Registrar en el mapa de jugador a sala
+    this.playerRoomMap.set(playerId, roomCode);
+
+    this.touchRoom(roomCode);
+
+    return true;
+  }
+
+  /**
+   * Agrega un bot controlado por el servidor a una sala
+   * Los bots no tienen socket, siempre están listos y nunca son anfitriones
+   * @param roomCode Código de la sala
+   * @param strategy Estrategia de juego del bot
+   * @returns El bot creado, null si la sala no existe o está llena
+   */
+  addBot(roomCode: string, strategy: BotStrategyId): Player | null {
+    const room = this.rooms.get(roomCode);
+
+    if (!room || this.isRoomFull(roomCode)) {
+      return null;
+    }
+
+    const bot = this.buildPlayer(room, uuidv4(), '', false);
+    const baseName = getBotStrategy(strategy).name;
+    const sameStrategy = Array.from(room.players.values()).filter(
+      (player) => player.botStrategy === strategy,
+    ).length;
+
+    bot.name = sameStrategy > 0 ? `${baseName} ${sameStrategy + 1}` : baseName;
+    bot.isReady = true;
+    bot.isBot = true;
+    bot.botStrategy = strategy;
+
+    room.players.set(bot.id, bot);
+    this.playerRoomMap.set(bot.id, roomCode);
+    this.touchRoom(roomCode);
+
+    return bot;
+  }
+
+  /**
+   * Quita un bot de una sala
+   * @param roomCode Código de la sala
+   * @param botId ID del bot
+   * @returns true si se quitó, false si no existe o no es un bot
+   */
+  removeBot(roomCode: string, botId: string): boolean {
+    const room = this.rooms.get(roomCode);
+    const bot = room?.players.get(botId);
+
+    if (!room || !bot || !bot.isBot) {
+      return false;
+    }
+
+    room.players.delete(botId);
+    this.playerRoomMap.delete(botId);
+    this.touchRoom(roomCode);
+
+    return true;
+  }
+
+  /**
+   * Verifica si un cliente fue vetado de una sala
+   * Se comprueba su dirección remota y, si presenta un token de sesión de esta sala, el jugador al que pertenece
+   * @param room Sala de juego
+   * @param address Dirección remota del cliente
+   * @param sessionToken Último token de sesión del cliente, si lo conserva
+   * @returns true si la dirección o el jugador están vetados
+   */
+  isBanned(room: Room, address: string, sessionToken?: string): boolean {
+    if (address !== '' && room.bannedAddresses.has(address)) {
+      return true;
+    }
+
+    const payload = sessionToken
+      ? verifySessionToken(sessionToken, this.getSessionSecret())
+      : null;
+
+    return (
+      payload !== null &&
+      payload.roomCode === room.code &&
+      room.bannedPlayerIds.has(payload.playerId)
+    );
+  }
+
+  /**
+   * Establece o quita la contraseña de una sala (solo se guarda su hash)
+   * @param room Sala de juego
+   * @param password Nueva contraseña, undefined para quitarla
+   */
+  async setRoomPassword(room: Room, password?: string): Promise<void> {
+    this.setRoomPasswordHash(
+      room,
+      password ? await hashPassword(password) : null,
+    );
+  }
+
+  /**
+   * Establece o quita el hash de la contraseña de una sala ya calculado
+   * Reinicia los intentos fallidos registrados
+   * @param room Sala de juego
+   * @param passwordHash Hash generado por hashPassword, null para quitar la contraseña
+   */
+  setRoomPasswordHash(room: Room, passwordHash: string | null): void {
+    room.passwordHash = passwordHash;
+    room.passwordAttempts.clear();
+    room.roomPasswordAttempts = null;
+    this.touchRoom(room.code);
+  }
+
+  /**
+   * Comprueba la contraseña de una sala aplicando el límite de intentos fallidos
+   * por dirección remota y el límite de la sala para todos los clientes juntos
+   * @param room Sala de juego
+   * @param address Dirección remota del cliente que lo intenta
+   * @param password Contraseña recibida (undefined si no se envió)
+   * @returns 'ok' si puede entrar, 'required' si falta la contraseña, 'wrong' si no coincide
+   * y 'locked' si se agotaron los intentos
+   */
+  async checkRoomPassword(
+    room: Room,
+    address: string,
+    password?: string,
+  ): Promise<'ok' | 'required' | 'wrong' | 'locked'> {
+    if (!room.passwordHash) {
+      return 'ok';
+    }
+
+    const now = Date.now();
+    const lockoutMs = this.configService.get<number>(
+      'game.passwordLockout',
+      60000,
+    );
+
+    pruneExpiredAttempts(room.passwordAttempts, now, lockoutMs);
+
+    if (this.getPasswordRetryAfter(room, address) > 0) {
+      return 'locked';
+    }
+
+    if (!password) {
+      return 'required';
+    }
+
+    if (await verifyPassword(password, room.passwordHash)) {
+      room.passwordAttempts.delete(address);
+      return 'ok';
+    }
+
+    // Los intentos que llegaron mientras se verificaba ya cuentan para el bloqueo
+    if (this.getPasswordRetryAfter(room, address) > 0) {
+      return 'locked';
+    }
+
+    room.passwordAttempts.set(
+      address,
+      recordFailedAttempt(
+        room.passwordAttempts.get(address),
+        now,
+        this.configService.get<number>('game.passwordMaxAttempts', 5),
+        lockoutMs,
+      ),
+    );
+    room.roomPasswordAttempts = recordFailedAttempt(
+      room.roomPasswordAttempts ?? undefined,
+      now,
+      this.configService.get<number>('game.passwordRoomMaxAttempts', 20),
+      lockoutMs,
+    );
+
+    return this.getPasswordRetryAfter(room, address) > 0 ? 'locked' : 'wrong';
+  }
+
+  /**
+   * Obtiene cuánto le falta a un cliente bloqueado para volver a intentar la contraseña
+   * Cuenta tanto el bloqueo de su dirección como el de toda la sala
+   * @param room Sala de juego
+   * @param address Dirección remota del cliente
+   * @returns Segundos restantes (0 si no está bloqueado)
+   */
+  getPasswordRetryAfter(room: Room, address: string): number {
+    const now = Date.now();
+    const remaining = Math.max(
+      getLockoutRemainingMs(room.passwordAttempts.get(address), now),
+      getLockoutRemainingMs(room.roomPasswordAttempts ?? undefined, now),
+    );
+
+    return Math.ceil(remaining / 1000);
+  }
+
+  /**
+   * Indica si un jugador puede ver el chat de la sala y escribir en él
+   * @param room Sala de juego
+   * @param player Jugador a comprobar
+   * @returns false solo para espectadores cuando la sala les oculta el chat
+   */
+  canUseChat(room: Room, player: Player): boolean {
+    return player.role !== 'spectator' || room.spectatorChat;
+  }
+
+  /**
+   * Guarda un mensaje en el historial del chat aplicando el filtro de palabras
+   * @param room Sala de juego
+   * @param player Autor del mensaje
+   * @param text Texto ya normalizado
+   * @returns Mensaje listo para difundir
+   */
+  addChatMessage(room: Room, player: Player, text: string): ChatMessage {
+    const message: ChatMessage = {
+      id: uuidv4(),
+      playerId: player.id,
+      playerName: player.name,
+      text: censorChatText(
+        text,
+        this.configService.get<string[]>('game.chatBannedWords', []),
+      ),
+      fromSpectator: player.role === 'spectator',
+      sentAt: Date.now(),
+    };
+
+    room.chatHistory.push(message);
+
+    if (room.chatHistory.length > CHAT_HISTORY_SIZE) {
+      room.chatHistory.shift();
+    }
+    this.touchRoom(room.code);
+
+    return message;
+  }
+
+  /**
+   * Obtiene el historial del chat que puede ver un jugador
+   * @param room Sala de juego
+   * @param player Jugador que lo recibe
+   * @returns Copia del historial, vacía si el jugador no puede ver el chat
+   */
+  getChatHistory(room: Room, player: Player): ChatMessage[] {
+    return this.canUseChat(room, player) ? [...room.chatHistory] : [];
+  }
+
+  /**
+   * Silencia o vuelve a dejar hablar a un jugador en el chat
+   * @param room Sala de juego
+   * @param playerId ID del jugador
+   * @param muted true para silenciarlo
+   * @returns false si el jugador no está en la sala
+   */
+  setPlayerMuted(room: Room, playerId: string, muted: boolean): boolean {
+    const player = room.players.get(playerId);
+
+    if (!player) {
+      return false;
+    }
+
+    player.isMuted = muted;
+    return true;
+  }
+
+  /**
+   * Veta a un jugador de una sala y lo elimina de ella
+   * Se vetan su identidad de jugador (la que figura en su token de sesión) y su dirección remota
+   * @param roomCode Código de la sala
+   * @param playerId ID del jugador vetado
+   */
+  banPlayer(roomCode: string, playerId: string): void {
+    const room = this.rooms.get(roomCode);
+    const player = room?.players.get(playerId);
+
+    if (!room || !player) {
+      return;
+    }
+
+    room.bannedPlayerIds.add(player.id);
+
+    if (player.address) {
+      room.bannedAddresses.add(player.address);
+    }
+
+    this.removePlayer(playerId);
+  }
+
+  /**
+   * Cede el rol de anfitrión a otro jugador de la sala
+   * @param room Sala de juego
+   * @param newHostId ID del nuevo anfitrión
+   * @returns true si se cedió, false si el jugador no existe o es un bot
+   */
+  transferHost(room: Room, newHostId: string): boolean {
+    const newHost = room.players.get(newHostId);
+
+    if (!newHost || newHost.isBot) {
+      return false;
+    }
+
+    room.players.forEach((player) => {
+      player.isHost = player.id === newHostId;
+    });
+    this.touchRoom(room.code);
+
+    return true;
+  }
+
+  /**
+   * Obtiene el mínimo de jugadores listos para que el anfitrión pueda empezar sin esperar al resto
+   * @returns Número mínimo de jugadores listos
+   */
+  getMinReadyToForceStart(): number {
+    return this.configService.get<number>('game.minReadyToForceStart', 2);
+  }
+
+  /**
+   * Verifica si queda algún jugador humano conectado en una sala
+   * Una sala con solo bots no tiene sentido y debe cerrarse
+   * @param room Sala de juego
+   * @returns true si hay al menos un humano conectado
+   */
+  hasConnectedHumans(room: Room): boolean {
+    return Array.from(room.players.values()).some(
+      (player) => !player.isBot && player.isConnected,
+    );
+  }
+
+  /**
+   * Construye un jugador con el estado inicial de la sala
+   * @param room Sala a la que se une
+   * @param playerId ID único del jugador
+   * @param socketId ID del socket ('' para bots)
+   * @param isHost Indica si será el anfitrión
+   * @returns Jugador nuevo
+   */
+  private buildPlayer(
+    room: Room,
+    playerId: string,
+    socketId: string,
+    isHost: boolean,
+  ): Player {
+    return {
       id: playerId,
       socketId: socketId,
       name: '',
       isReady: false,
       isHost: isHost,
+      role: 'player',
+      joinsNextGame: false,
       score: 0,
       currentHeight: null,
+      currentStake: 0,
+      abilities: [],
+      roundAbilities: [],
+      shieldActive: false,
+      hasLockedIn: false,
+      team: null,
+      tiebreakPoints: 0,
+      lives: room.startingLives,
+      isEliminated: false,
+      eliminatedInRound: null,
       isConnected: true,
+      address: '',
+      isMuted: false,
+      lastReactionAt: 0,
+      isBot: false,
+      botStrategy: null,
     };
+  }
 
-    // Agregar jugador a la sala
-    room.players.set(playerId, player);
+  /**
+   * Verifica si una sala alcanzó el máximo de jugadores permitidos
+   * @param roomCode Código de la sala
+   * @returns true si la sala está llena, false en caso contrario
+   */
+  isRoomFull(roomCode: string): boolean {
+    const room = this.rooms.get(roomCode);
 
-    // Registrar en el mapa de jugador a sala
-    this.playerRoomMap.set(playerId, roomCode);
+    if (!room) {
+      return false;
+    }
 
-    return true;
+    const maxPlayers = this.configService.get<number>(
+      'game.maxPlayersPerRoom',
+      10,
+    );
+
+    return room.players.size >= maxPlayers;
+  }
+
+  /**
+   * Registra actividad en una sala para que no sea cerrada por inactividad
+   * @param roomCode Código de la sala
+   */
+  touchRoom(roomCode: string): void {
+    const room = this.rooms.get(roomCode);
+
+    if (room) {
+      room.lastActivityAt = Date.now();
+    }
+  }
+
+  /**
+   * Obtiene las salas que superaron el tiempo máximo de inactividad
+   * @param now Momento de referencia en ms (por defecto, ahora)
+   * @returns Array de salas inactivas
+   */
+  getInactiveRooms(now: number = Date.now()): Room[] {
+    const roomTimeout = this.getRoomTimeout();
+
+    return this.rooms
+      .values()
+      .filter((room) => now - room.lastActivityAt >= roomTimeout);
+  }
+
+  /**
+   * Obtiene el tiempo de inactividad tras el cual se cierra una sala
+   * @returns Tiempo en milisegundos
+   */
+  getRoomTimeout(): number {
+    return this.configService.get<number>('game.roomTimeout', 1800000);
   }
 
   /**
@@ -159,6 +809,9 @@ export class RoomService {
       room.revealTimer = null;
     }
 
+    room.botTimers.forEach((timer) => clearTimeout(timer));
+    room.botTimers = [];
+
     // Eliminar todos los jugadores del mapa de jugador a sala
     room.players.forEach((player) => {
       this.playerRoomMap.delete(player.id);
@@ -183,11 +836,109 @@ export class RoomService {
     return this.rooms.get(roomCode) || null;
   }
 
+  /**
+   * Genera un token de sesión firmado para que el jugador pueda recuperar su asiento
+   * @param roomCode Código de la sala
+   * @param playerId ID del jugador
+   * @returns Token de sesión
+   */
+  createSessionToken(roomCode: string, playerId: string): string {
+    return signSessionToken({ playerId, roomCode }, this.getSessionSecret());
+  }
+
+  /**
+   * Resuelve un token de sesión a la sala y el jugador que representa
+   * @param token Token de sesión recibido del cliente
+   * @returns Sala y jugador si el token es válido y el jugador sigue en la sala, null en caso contrario
+   */
+  getPlayerBySessionToken(
+    token: string,
+  ): { room: Room; player: Player } | null {
+    const payload = verifySessionToken(token, this.getSessionSecret());
+
+    if (!payload) {
+      return null;
+    }
+
+    const room = this.rooms.get(payload.roomCode);
+    const player = room?.players.get(payload.playerId);
+
+    if (!room || !player) {
+      return null;
+    }
+
+    return { room, player };
+  }
+
+  /**
+   * Obtiene la clave secreta usada para firmar los tokens de sesión
+   * @returns Clave secreta configurada
+   */
+  private getSessionSecret(): string {
+    return this.configService.get<string>('game.sessionSecret', '');
+  }
+
   /**
    * Obtiene todas las salas activas (útil para debugging y administración)
    * @returns Array de todas las salas
    */
   getAllRooms(): Room[] {
-    return Array.from(this.rooms.values());
+    return this.rooms.values();
+  }
+
+  /**
+   * Obtiene el listado de salas públicas con sus jugadores, estado y configuración
+   * Quedan fuera las prácticas y las salas sin humanos conectados
+   * @returns Resúmenes de las salas públicas, primero las abiertas y más llenas
+   */
+  getPublicRooms(): PublicRoomSummary[] {
+    const maxPlayers = this.configService.get<number>(
+      'game.maxPlayersPerRoom',
+      10,
+    );
+
+    const rooms = this.getAllRooms()
+      .filter(
+        (room) =>
+          room.isPublic && !room.isPractice && this.hasConnectedHumans(room),
+      )
+      .map((room) => {
+        const players = Array.from(room.players.values());
+        const host = players.find((player) => player.isHost);
+        const spectatorCount = players.filter(
+          (player) => player.role === 'spectator',
+        ).length;
+
+        return {
+          roomCode: room.code,
+          hostName: host ? host.name : '',
+          playerCount: players.length - spectatorCount,
+          spectatorCount,
+          maxPlayers,
+          state: room.state,
+          settings: this.getRoomSettings(room),
+          hasPassword: room.passwordHash !== null,
+          lastActivityAt: room.lastActivityAt,
+        };
+      });
+
+    return sortPublicRooms(rooms);
+  }
+
+  /**
+   * Busca la mejor sala pública abierta para la partida rápida
+   * Se descartan las salas con contraseña y las que vetaron al cliente
+   * @param address Dirección remota del cliente
+   * @returns La sala elegida, null si no hay ninguna disponible
+   */
+  findQuickPlayRoom(address: string): Room | null {
+    const candidates = this.getPublicRooms().filter(
+      (summary) =>
+        !summary.hasPassword &&
+        !this.isBanned(this.rooms.get(summary.roomCode)!, address),
+    );
+    const picked = pickQuickPlayRoom(candidates);
+
+    return picked ? this.getRoom(picked.roomCode) : null;
   }
 }
@@ -0,0 +1,138 @@
+import { MemoryRoomStore } from './memory-room.store';
+import {
+  deserializeRoom,
+  SerializedRoom,
+  serializeRoom,
+} from '../utils/room-serializer.util';
+import {
+  readDataFile,
+  writeDataFile,
+  writeDataFileAsync,
+} from '../utils/json-file.util';
+
+/**
+ * Almacén de salas respaldado por un fichero JSON local
+ * Trabaja en memoria y vuelca todas las salas al fichero cada cierto tiempo y al cerrar el servidor,
+ * de modo que las partidas sobreviven a un despliegue o a una caída
+ */
+export class FileRoomStore extends MemoryRoomStore {
+  /** Intervalo del volcado periódico al fichero */
+  private flushInterval: NodeJS.Timeout | null = null;
+
+  /** Último contenido escrito (para no reescribir el fichero sin cambios) */
+  private lastSnapshot = '';
+
+  /** Volcado periódico en curso (null si no hay ninguno) */
+  private writing: Promise<void> | null = null;
+
+  /** Cancela el volcado periódico en curso al cerrar, para que no pise el último */
+  private readonly closing = new AbortController();
+
+  /**
+   * @param filePath Ruta del fichero de salas
+   * @param flushEvery Milisegundos entre volcados al fichero
+   */
+  constructor(
+    private readonly filePath: string,
+    flushEvery: number,
+  ) {
+    super();
+    this.load();
+
+    this.flushInterval = setInterval(() => this.flush(), flushEvery);
+    // El volcado periódico no debe impedir que el proceso termine
+    this.flushInterval.unref();
+  }
+
+  /**
+   * Recupera las salas guardadas en el fichero, si existe
+   */
+  private load(): void {
+    try {
+      const snapshot = readDataFile(this.filePath);
+
+      if (snapshot === null) {
+        return;
+      }
+
+      const rooms = JSON.parse(snapshot) as SerializedRoom[];
+
+      rooms.forEach((room) => this.set(deserializeRoom(room)));
+      this.lastSnapshot = snapshot;
+
+      console.log(`Salas recuperadas de ${this.filePath}: ${rooms.length}`);
+    } catch (error) {
+      console.error('Error al leer el fichero de salas:', error);
+    }
+  }
+
+  /**
+   * Escribe todas las salas en el fichero si cambiaron desde el último volcado
+   * La escritura es asíncrona y no se solapa: si la anterior sigue en curso, los cambios
+   * se recogen en la siguiente pasada
+   */
+  flush(): void {
+    if (this.writing) {
+      return;
+    }
+
+    const snapshot = this.takeSnapshot();
+
+    if (snapshot === null) {
+      return;
+    }
+
+    this.writing = writeDataFileAsync(
+      this.filePath,
+      snapshot,
+      this.closing.signal,
+    )
+      .then(() => {
+        if (!this.closing.signal.aborted) {
+          this.lastSnapshot = snapshot;
+        }
+      })
+      .catch((error) => {
+        console.error('Error al guardar el fichero de salas:', error);
+      })
+      .finally(() => {
+        this.writing = null;
+      });
+  }
+
+  /**
+   * Detiene el volcado periódico y guarda las salas por última vez
+   * Esta escritura es síncrona para que termine antes de que el proceso salga
+   */
+  close(): void {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+
+    this.closing.abort();
+
+    const snapshot = this.takeSnapshot();
+
+    if (snapshot === null) {
+      return;
+    }
+
+    try {
+      writeDataFile(this.filePath, snapshot);
+      this.lastSnapshot = snapshot;
+    } catch (error) {
+      console.error('Error al guardar el fichero de salas:', error);
+    }
+  }
+
+  /**
+   * Serializa todas las salas
+   * @returns Contenido del fichero, null si no cambió desde el último volcado
+   */
+  private takeSnapshot(): string | null {
+    const snapshot = JSON.stringify(this.values().map(serializeRoom));
+
+    return snapshot === this.lastSnapshot ? null : snapshot;
+  }
+}
@@ -0,0 +1,39 @@
+import { Room } from '../interfaces/room.interface';
+import { RoomStore } from '../interfaces/room-store.interface';
+
+/**
+ * Almacén de salas en memoria
+ * Es el comportamiento por defecto: las salas se pierden al reiniciar el servidor
+ */
+export class MemoryRoomStore implements RoomStore {
+  /** Mapa de salas activas (key: código de sala, value: Room) */
+  private rooms: Map<string, Room> = new Map();
+
+  get(roomCode: string): Room | undefined {
+    return this.rooms.get(roomCode);
+  }
+
+  has(roomCode: string): boolean {
+    return this.rooms.has(roomCode);
+  }
+
+  set(room: Room): void {
+    this.rooms.set(room.code, room);
+  }
+
+  delete(roomCode: string): void {
+    this.rooms.delete(roomCode);
+  }
+
+  values(): Room[] {
+    return Array.from(this.rooms.values());
+  }
+
+  flush(): void {
+    // Nada que persistir
+  }
+
+  close(): void {
+    // Nada que liberar
+  }
+}
@@ -0,0 +1,34 @@
+import { Provider } from '@nestjs/common';
+import { ConfigService } from '@nestjs/config';
+import { RoomStore, RoomStoreType } from '../interfaces/room-store.interface';
+import { MemoryRoomStore } from './memory-room.store';
+import { FileRoomStore } from './file-room.store';
+
+/**
+ * Token de inyección del almacén de salas
+ */
+export const ROOM_STORE = 'ROOM_STORE';
+
+/**
+ * Proveedor que elige el almacén de salas según la configuración (ROOM_STORE)
+ */
+export const roomStoreProvider: Provider = {
+  provide: ROOM_STORE,
+  inject: [ConfigService],
+  useFactory: (configService: ConfigService): RoomStore => {
+    const type = configService.get<string>('game.roomStore', 'memory');
+
+    if (type === ('file' satisfies RoomStoreType)) {
+      return new FileRoomStore(
+        configService.get<string>('game.roomStorePath', 'data/rooms.json'),
+        configService.get<number>('game.roomStoreFlushInterval', 1000),
+      );
+    }
+
+    if (type !== ('memory' satisfies RoomStoreType)) {
+      console.warn(`Almacén de salas desconocido "${type}", se usa memoria`);
+    }
+
+    return new MemoryRoomStore();
+  },
+};
@@ -0,0 +1,32 @@
+import { applyAbilities, getHoleHalf } from './ability.util';
+
+describe('ability.util', () => {
+  it('should split the wall into lower and upper halves', () => {
+    expect(getHoleHalf(1)).toBe('lower');
+    expect(getHoleHalf(5)).toBe('lower');
+    expect(getHoleHalf(6)).toBe('upper');
+    expect(getHoleHalf(10)).toBe('upper');
+  });
+
+  it('should double the round points, penalties included', () => {
+    expect(applyAbilities(20, true, false)).toEqual({
+      points: 40,
+      shieldUsed: false,
+    });
+    expect(applyAbilities(-5, true, false)).toEqual({
+      points: -10,
+      shieldUsed: false,
+    });
+  });
+
+  it('should only spend the shield on a penalty', () => {
+    expect(applyAbilities(20, false, true)).toEqual({
+      points: 20,
+      shieldUsed: false,
+    });
+    expect(applyAbilities(-10, true, true)).toEqual({
+      points: 0,
+      shieldUsed: true,
+    });
+  });
+});
@@ -0,0 +1,43 @@
+import { AbilityId, HoleHalf } from '../interfaces/ability.interface';
+
+/** Habilidades disponibles, en el orden en que se muestran */
+export const ABILITY_IDS: AbilityId[] = ['hint', 'shield', 'double', 'peek'];
+
+/** Nombres visibles de cada habilidad */
+export const ABILITY_NAMES: Record<AbilityId, string> = {
+  hint: 'Pista',
+  shield: 'Escudo',
+  double: 'Doble',
+  peek: 'Espiar',
+};
+
+/**
+ * Obtiene la mitad de la pared en la que está el hueco
+ * @param wallHole - Posición del hueco en la pared (1-10)
+ * @returns 'upper' para 6-10, 'lower' para 1-5
+ */
+export function getHoleHalf(wallHole: number): HoleHalf {
+  return wallHole > 5 ? 'upper' : 'lower';
+}
+
+/**
+ * Aplica el efecto de las habilidades activas a los puntos de una ronda
+ * El doble se aplica primero, así que el escudo también anula una penalización duplicada
+ * @param points - Puntos calculados por la estrategia de la sala
+ * @param doubled - Indica si el jugador usó "doble" en esta ronda
+ * @param shielded - Indica si el jugador tiene un escudo activo
+ * @returns Puntos finales y si el escudo se consumió
+ */
+export function applyAbilities(
+  points: number,
+  doubled: boolean,
+  shielded: boolean,
+): { points: number; shieldUsed: boolean } {
+  const total = doubled ? points * 2 : points;
+
+  if (shielded && total < 0) {
+    return { points: 0, shieldUsed: true };
+  }
+
+  return { points: total, shieldUsed: false };
+}
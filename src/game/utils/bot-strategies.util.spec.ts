@@ -0,0 +1,41 @@
+import { getBotDelay, getBotStrategy } from './bot-strategies.util';
+
+describe('bot-strategies.util', () => {
+  const choose = (
+    id: Parameters<typeof getBotStrategy>[0],
+    picks: number[],
+    holeHistory: number[] = [],
+    random: () => number = () => 0,
+  ) => getBotStrategy(id).chooseHeight({ picks, holeHistory, random });
+
+  it('random should cover the whole wall', () => {
+    expect(choose('random', [], [], () => 0)).toBe(1);
+    expect(choose('random', [], [], () => 0.99)).toBe(10);
+  });
+
+  it('crowd should follow the most picked height', () => {
+    expect(choose('crowd', [3, 7, 7, 2])).toBe(7);
+    expect(choose('crowd', [], [], () => 0.5)).toBe(6);
+  });
+
+  it('anti-crowd should avoid the picked heights', () => {
+    const picks = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+    expect(choose('anti-crowd', picks)).toBe(10);
+    expect(choose('anti-crowd', [1, 1, 2])).toBe(3);
+  });
+
+  it('learner should favour holes that came up before', () => {
+    const history = [8, 8, 8, 8, 8, 8, 8, 8, 8, 8];
+
+    // 20 de peso total: 1..7 ocupan 7, el 8 ocupa 11 y 9..10 ocupan 2
+    expect(choose('learner', [], history, () => 0.5)).toBe(8);
+    expect(choose('learner', [], [], () => 0)).toBe(1);
+  });
+
+  it('should keep the bot delay within the selection period', () => {
+    expect(getBotDelay(15, () => 0)).toBe(1000);
+    expect(getBotDelay(15, () => 1)).toBe(9000);
+    expect(getBotDelay(1, () => 1)).toBe(1000);
+  });
+});
@@ -0,0 +1,147 @@
+import {
+  BotContext,
+  BotStrategy,
+  BotStrategyId,
+} from '../interfaces/bot-strategy.interface';
+
+/** Alturas posibles de la pared */
+const HEIGHTS = Array.from({ length: 10 }, (_, index) => index + 1);
+
+/**
+ * Elige un elemento al azar de una lista no vacía
+ * @param items - Lista de opciones
+ * @param random - Generador de números aleatorios en [0, 1)
+ * @returns Elemento elegido
+ */
+function pickRandom<T>(items: T[], random: () => number): T {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Cuenta cuántas veces aparece cada altura
+ * @param heights - Alturas a contar
+ * @returns Número de apariciones por altura (índice 0 = altura 1)
+ */
+function countByHeight(heights: number[]): number[] {
+  return HEIGHTS.map(
+    (height) => heights.filter((value) => value === height).length,
+  );
+}
+
+/**
+ * Aleatorio: cualquier altura con la misma probabilidad
+ */
+export class RandomBotStrategy implements BotStrategy {
+  readonly id = 'random';
+  readonly name = 'Bot Azar';
+
+  chooseHeight({ random }: BotContext): number {
+    return pickRandom(HEIGHTS, random);
+  }
+}
+
+/**
+ * Gregario: copia la altura más elegida; si nadie ha elegido aún, juega al azar
+ */
+export class CrowdBotStrategy implements BotStrategy {
+  readonly id = 'crowd';
+  readonly name = 'Bot Gregario';
+
+  chooseHeight({ picks, random }: BotContext): number {
+    if (picks.length === 0) {
+      return pickRandom(HEIGHTS, random);
+    }
+
+    const counts = countByHeight(picks);
+    const max = Math.max(...counts);
+
+    return pickRandom(
+      HEIGHTS.filter((_, index) => counts[index] === max),
+      random,
+    );
+  }
+}
+
+/**
+ * Rebelde: elige entre las alturas menos elegidas por el resto
+ */
+export class AntiCrowdBotStrategy implements BotStrategy {
+  readonly id = 'anti-crowd';
+  readonly name = 'Bot Rebelde';
+
+  chooseHeight({ picks, random }: BotContext): number {
+    const counts = countByHeight(picks);
+    const min = Math.min(...counts);
+
+    return pickRandom(
+      HEIGHTS.filter((_, index) => counts[index] === min),
+      random,
+    );
+  }
+}
+
+/**
+ * Aprendiz: elige al azar con más peso para los huecos que ya salieron en la partida
+ * Cada altura parte con peso 1 para no descartar nunca ninguna
+ */
+export class LearnerBotStrategy implements BotStrategy {
+  readonly id = 'learner';
+  readonly name = 'Bot Aprendiz';
+
+  chooseHeight({ holeHistory, random }: BotContext): number {
+    const weights = countByHeight(holeHistory).map((count) => count + 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let target = random() * total;
+
+    for (let index = 0; index < HEIGHTS.length; index++) {
+      target -= weights[index];
+
+      if (target < 0) {
+        return HEIGHTS[index];
+      }
+    }
+
+    return HEIGHTS[HEIGHTS.length - 1];
+  }
+}
+
+/**
+ * Registro de estrategias de bots disponibles
+ */
+export const BOT_STRATEGIES: Record<BotStrategyId, BotStrategy> = {
+  random: new RandomBotStrategy(),
+  crowd: new CrowdBotStrategy(),
+  'anti-crowd': new AntiCrowdBotStrategy(),
+  learner: new LearnerBotStrategy(),
+};
+
+/**
+ * Identificadores válidos de estrategias de bots
+ */
+export const BOT_STRATEGY_IDS = Object.keys(BOT_STRATEGIES) as BotStrategyId[];
+
+/**
+ * Obtiene una estrategia de bot por su identificador
+ * @param id - Identificador de la estrategia
+ * @returns La estrategia solicitada, o la aleatoria si no existe
+ */
+export function getBotStrategy(id: BotStrategyId): BotStrategy {
+  return BOT_STRATEGIES[id] ?? BOT_STRATEGIES.random;
+}
+
+/**
+ * Calcula cuánto tarda un bot en elegir, para que parezca un jugador más
+ * Entre 1 segundo y el 60% del tiempo de selección
+ * @param selectionDuration - Duración del período de selección en segundos
+ * @param random - Generador de números aleatorios en [0, 1)
+ * @returns Retraso en milisegundos
+ */
+export function getBotDelay(
+  selectionDuration: number,
+  random: () => number = Math.random,
+): number {
+  const min = 1000;
+  const max = Math.max(min, selectionDuration * 600);
+
+  return Math.round(min + random() * (max - min));
+}
@@ -0,0 +1,28 @@
+import { censorChatText, normalizeChatText, takeChatSlot } from './chat.util';
+
+describe('chat.util', () => {
+  it('should collapse line breaks and repeated spaces', () => {
+    expect(normalizeChatText('  hola\n\n  a   todos ')).toBe('hola a todos');
+  });
+
+  it('should hide whole banned words ignoring case and accents', () => {
+    const banned = ['tonto', 'cañon'];
+
+    expect(censorChatText('Eres TONTO', banned)).toBe('Eres *****');
+    expect(censorChatText('menudo cañón', banned)).toBe('menudo *****');
+    expect(censorChatText('tontorrón', banned)).toBe('tontorrón');
+  });
+
+  it('should leave the text untouched without banned words', () => {
+    expect(censorChatText('hola', [])).toBe('hola');
+  });
+
+  it('should allow messages until the window is full', () => {
+    const first = takeChatSlot([], 0, 2, 1000);
+    const second = takeChatSlot(first!, 100, 2, 1000);
+
+    expect(second).toEqual([0, 100]);
+    expect(takeChatSlot(second!, 200, 2, 1000)).toBeNull();
+    expect(takeChatSlot(second!, 1000, 2, 1000)).toEqual([100, 1000]);
+  });
+});
@@ -0,0 +1,65 @@
+/** Longitud máxima de un mensaje de chat */
+export const CHAT_MAX_LENGTH = 200;
+
+/** Mensajes que guarda cada sala para enviarlos a quien llega tarde */
+export const CHAT_HISTORY_SIZE = 30;
+
+/**
+ * Normaliza el texto de un mensaje: sin saltos de línea ni espacios repetidos
+ * @param text - Texto recibido del cliente
+ * @returns Texto en una sola línea y sin espacios en los extremos
+ */
+export function normalizeChatText(text: string): string {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Pasa una palabra a minúsculas y sin tildes para compararla
+ * @param word - Palabra original
+ * @returns Palabra normalizada
+ */
+function foldWord(word: string): string {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Tapa con asteriscos las palabras prohibidas de un mensaje
+ * Solo cuentan las palabras completas, sin distinguir mayúsculas ni tildes
+ * @param text - Texto del mensaje
+ * @param bannedWords - Palabras prohibidas configuradas en el servidor
+ * @returns Texto con las palabras prohibidas ocultas
+ */
+export function censorChatText(text: string, bannedWords: string[]): string {
+  if (bannedWords.length === 0) {
+    return text;
+  }
+
+  const banned = new Set(bannedWords.map(foldWord));
+
+  return text.replace(/[\p{L}\p{N}]+/gu, (word) =>
+    banned.has(foldWord(word)) ? '*'.repeat(word.length) : word,
+  );
+}
+
+/**
+ * Reserva un hueco en la ventana deslizante de mensajes de un socket
+ * @param sentAt - Momentos de los mensajes recientes del socket
+ * @param now - Momento actual (ms desde epoch)
+ * @param maxMessages - Mensajes permitidos dentro de la ventana
+ * @param windowMs - Duración de la ventana en milisegundos
+ * @returns Momentos actualizados, o null si el mensaje supera el límite
+ */
+export function takeChatSlot(
+  sentAt: number[],
+  now: number,
+  maxMessages: number,
+  windowMs: number,
+): number[] | null {
+  const recent = sentAt.filter((time) => now - time < windowMs);
+
+  if (recent.length >= maxMessages) {
+    return null;
+  }
+
+  return [...recent, now];
+}
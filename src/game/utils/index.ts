@@ -1,3 +1,11 @@
 export * from './code-generator.util';
 export * from './wall-generator.util';
 export * from './validators.util';
+export * from './session-token.util';
+export * from './scoring-strategies.util';
+export * from './team.util';
+export * from './unique-pick.util';
+export * from './wager.util';
+export * from './ability.util';
+export * from './bot-strategies.util';
+export * from './practice.util';
@@ -0,0 +1,22 @@
+import { buildInviteLink, renderInviteQrSvg } from './invite.util';
+
+describe('invite.util', () => {
+  it('should put the room code in the query string of the home page', () => {
+    expect(buildInviteLink('http://localhost:3000', 'a3b7k9')).toBe(
+      'http://localhost:3000/?room=A3B7K9',
+    );
+  });
+
+  it('should not duplicate the slash of the origin', () => {
+    expect(buildInviteLink('https://juego.example/', 'A3B7K9')).toBe(
+      'https://juego.example/?room=A3B7K9',
+    );
+  });
+
+  it('should render the QR code as an SVG document', async () => {
+    const svg = await renderInviteQrSvg('http://localhost:3000/?room=A3B7K9');
+
+    expect(svg).toContain('<svg');
+    expect(svg).toContain('</svg>');
+  });
+});
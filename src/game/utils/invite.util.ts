@@ -0,0 +1,26 @@
+import { toString as renderQrCode } from 'qrcode';
+
+/**
+ * Construye el enlace de invitación que lleva directamente a una sala
+ * @param origin - Origen público del servidor (protocolo y host)
+ * @param roomCode - Código de la sala
+ * @returns URL de la página de inicio con el código en el parámetro "room"
+ */
+export function buildInviteLink(origin: string, roomCode: string): string {
+  const base = origin.replace(/\/+$/, '');
+
+  return `${base}/?room=${encodeURIComponent(roomCode.toUpperCase())}`;
+}
+
+/**
+ * Dibuja el código QR de un texto como SVG, sin depender de servicios externos
+ * @param text - Contenido del código (normalmente el enlace de invitación)
+ * @returns Documento SVG listo para servir como imagen
+ */
+export function renderInviteQrSvg(text: string): Promise<string> {
+  return renderQrCode(text, {
+    type: 'svg',
+    margin: 1,
+    errorCorrectionLevel: 'M',
+  });
+}
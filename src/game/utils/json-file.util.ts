@@ -0,0 +1,64 @@
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from 'fs';
+import { mkdir, rename, rm, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+/**
+ * Lee el contenido de un fichero de datos si existe
+ * @param filePath Ruta del fichero
+ * @returns Contenido del fichero o null si no existe
+ */
+export function readDataFile(filePath: string): string | null {
+  return existsSync(filePath) ? readFileSync(filePath, 'utf8') : null;
+}
+
+/**
+ * Escribe un fichero de datos creando su directorio si hace falta
+ * Escribe en un temporal y lo renombra para no dejar el fichero a medias si el proceso muere
+ * @param filePath Ruta del fichero
+ * @param content Contenido a escribir
+ */
+export function writeDataFile(filePath: string, content: string): void {
+  mkdirSync(dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  writeFileSync(tempPath, content);
+  renameSync(tempPath, filePath);
+}
+
+/**
+ * Versión asíncrona de writeDataFile para no bloquear el bucle de eventos
+ * Usa su propio temporal para no pisar el de una escritura síncrona simultánea
+ * @param filePath Ruta del fichero
+ * @param content Contenido a escribir
+ * @param signal Señal para cancelar la escritura; cancelada, el fichero no se sustituye
+ */
+export async function writeDataFileAsync(
+  filePath: string,
+  content: string,
+  signal?: AbortSignal,
+): Promise<void> {
+  await mkdir(dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.async.tmp`;
+
+  try {
+    await writeFile(tempPath, content, { signal });
+    signal?.throwIfAborted();
+  } catch (error) {
+    await rm(tempPath, { force: true });
+
+    if (signal?.aborted) {
+      return;
+    }
+
+    throw error;
+  }
+
+  await rename(tempPath, filePath);
+}
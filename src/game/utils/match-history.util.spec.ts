@@ -0,0 +1,79 @@
+import { MatchRecord } from '../interfaces/match.interface';
+import { RoundResult } from '../interfaces/round-result.interface';
+import {
+  buildMatchRound,
+  MAX_PAGE_SIZE,
+  paginate,
+  summarizeMatch,
+} from './match-history.util';
+
+describe('match-history.util', () => {
+  it('should paginate and clamp the requested page', () => {
+    const items = Array.from({ length: 45 }, (_, index) => index);
+
+    expect(paginate(items, 2, 20)).toEqual({
+      items: items.slice(20, 40),
+      page: 2,
+      pageSize: 20,
+      total: 45,
+    });
+    expect(paginate(items, 3, 20).items).toEqual([40, 41, 42, 43, 44]);
+    expect(paginate(items, 0, 0)).toMatchObject({ page: 1, pageSize: 1 });
+    expect(paginate(items, 1, 1000).pageSize).toBe(MAX_PAGE_SIZE);
+  });
+
+  it('should keep only the pick and points of each result', () => {
+    const result = {
+      playerId: 'player-1',
+      playerName: 'Ana',
+      selectedHeight: 4,
+      wallHole: 5,
+      pointsEarned: -5,
+      totalScore: 15,
+      result: 'too-low',
+      stake: 0,
+    } as RoundResult;
+
+    expect(buildMatchRound(3, false, 5, 0, [result])).toEqual({
+      roundNumber: 3,
+      isTiebreak: false,
+      holePosition: 5,
+      holeTolerance: 0,
+      picks: [
+        {
+          playerId: 'player-1',
+          playerName: 'Ana',
+          selectedHeight: 4,
+          pointsEarned: -5,
+          totalScore: 15,
+          result: 'too-low',
+        },
+      ],
+    });
+  });
+
+  it('should summarize a match with its winners', () => {
+    const match = {
+      id: 'match-1',
+      roomCode: 'A3B7K9',
+      endedAt: '2024-01-01T10:00:00.000Z',
+      settings: { gameMode: 'classic' },
+      rounds: [{}, {}],
+      finalScores: [
+        { playerName: 'Ana', isWinner: true },
+        { playerName: 'Beto', isWinner: false },
+      ],
+      teamScores: [],
+    } as unknown as MatchRecord;
+
+    expect(summarizeMatch(match)).toEqual({
+      id: 'match-1',
+      roomCode: 'A3B7K9',
+      endedAt: '2024-01-01T10:00:00.000Z',
+      gameMode: 'classic',
+      roundCount: 2,
+      playerCount: 2,
+      winners: ['Ana'],
+    });
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  MatchRecord,
+  MatchRound,
+  MatchSummary,
+  Page,
+} from '../interfaces/match.interface';
+import { RoundResult } from '../interfaces/round-result.interface';
+
+/** Elementos por página de los listados si no se indica otro tamaño */
+export const DEFAULT_PAGE_SIZE = 20;
+
+/** Máximo de elementos por página que se sirven en una petición */
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Construye el registro de una ronda a partir de sus resultados
+ * @param roundNumber Número de ronda
+ * @param isTiebreak Indica si es una ronda de desempate
+ * @param holePosition Posición del hueco (1-10)
+ * @param holeTolerance Niveles de margen alrededor del hueco
+ * @param results Resultados de la ronda
+ * @returns Ronda lista para el historial
+ */
+export function buildMatchRound(
+  roundNumber: number,
+  isTiebreak: boolean,
+  holePosition: number,
+  holeTolerance: number,
+  results: RoundResult[],
+): MatchRound {
+  return {
+    roundNumber,
+    isTiebreak,
+    holePosition,
+    holeTolerance,
+    picks: results.map((result) => ({
+      playerId: result.playerId,
+      playerName: result.playerName,
+      selectedHeight: result.selectedHeight,
+      pointsEarned: result.pointsEarned,
+      totalScore: result.totalScore,
+      result: result.result,
+    })),
+  };
+}
+
+/**
+ * Resume una partida para los listados del historial
+ * @param match Partida guardada
+ * @returns Resumen de la partida
+ */
+export function summarizeMatch(match: MatchRecord): MatchSummary {
+  return {
+    id: match.id,
+    roomCode: match.roomCode,
+    endedAt: match.endedAt,
+    gameMode: match.settings.gameMode,
+    roundCount: match.rounds.length,
+    playerCount: match.finalScores.length,
+    winners: match.finalScores
+      .filter((score) => score.isWinner)
+      .map((score) => score.playerName),
+  };
+}
+
+/**
+ * Extrae una página de un listado
+ * La página y su tamaño se ajustan a valores válidos (tamaño entre 1 y MAX_PAGE_SIZE)
+ * @param items Listado completo
+ * @param page Número de página (desde 1)
+ * @param pageSize Elementos por página
+ * @returns Página solicitada con el total del listado
+ */
+export function paginate<T>(
+  items: T[],
+  page = 1,
+  pageSize = DEFAULT_PAGE_SIZE,
+): Page<T> {
+  const size = Math.min(Math.max(Math.floor(pageSize), 1), MAX_PAGE_SIZE);
+  const current = Math.max(Math.floor(page), 1);
+  const start = (current - 1) * size;
+
+  return {
+    items: items.slice(start, start + size),
+    page: current,
+    pageSize: size,
+    total: items.length,
+  };
+}
@@ -0,0 +1,71 @@
+import { PublicRoomSummary } from '../interfaces/room-listing.interface';
+import {
+  isRoomOpen,
+  pickQuickPlayRoom,
+  sortPublicRooms,
+  toRoomListing,
+} from './matchmaking.util';
+
+describe('matchmaking.util', () => {
+  const room = (
+    roomCode: string,
+    overrides: Partial<PublicRoomSummary> = {},
+  ): PublicRoomSummary =>
+    ({
+      roomCode,
+      hostName: '',
+      playerCount: 1,
+      spectatorCount: 0,
+      maxPlayers: 4,
+      state: 'lobby',
+      settings: {},
+      hasPassword: false,
+      lastActivityAt: 0,
+      ...overrides,
+    }) as PublicRoomSummary;
+
+  it('should only treat rooms that have not started and have space as open', () => {
+    expect(isRoomOpen(room('A'))).toBe(true);
+    expect(isRoomOpen(room('B', { state: 'waiting-ready' }))).toBe(true);
+    expect(isRoomOpen(room('C', { state: 'selection' }))).toBe(false);
+    expect(isRoomOpen(room('D', { playerCount: 3, spectatorCount: 1 }))).toBe(
+      false,
+    );
+  });
+
+  it('should list open rooms first, fullest and most recent first', () => {
+    const sorted = sortPublicRooms([
+      room('A', { playerCount: 1, lastActivityAt: 5 }),
+      room('B', { state: 'selection', playerCount: 3 }),
+      room('C', { playerCount: 2 }),
+      room('D', { playerCount: 1, lastActivityAt: 9 }),
+    ]);
+
+    expect(sorted.map((r) => r.roomCode)).toEqual(['C', 'D', 'A', 'B']);
+  });
+
+  it('should pick the fullest open room for quick play', () => {
+    expect(
+      pickQuickPlayRoom([
+        room('A', { playerCount: 1 }),
+        room('B', { playerCount: 3 }),
+        room('C', { playerCount: 4 }),
+      ])?.roomCode,
+    ).toBe('B');
+  });
+
+  it('should return null when no room is open', () => {
+    expect(pickQuickPlayRoom([])).toBeNull();
+    expect(pickQuickPlayRoom([room('A', { state: 'game-over' })])).toBeNull();
+  });
+
+  it('should leave the activity mark out of the listing', () => {
+    const listing = toRoomListing([
+      room('A', { lastActivityAt: 5 }),
+      room('B', { lastActivityAt: 9 }),
+    ]);
+
+    expect(listing.map((r) => r.roomCode)).toEqual(['A', 'B']);
+    expect(listing[0]).not.toHaveProperty('lastActivityAt');
+  });
+});
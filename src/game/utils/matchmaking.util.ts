@@ -0,0 +1,60 @@
+import {
+  PublicRoomListing,
+  PublicRoomSummary,
+} from '../interfaces/room-listing.interface';
+
+/**
+ * Indica si una sala pública admite jugadores nuevos (no empezó y tiene sitio)
+ * @param room - Resumen de la sala
+ * @returns true si se puede entrar a jugar
+ */
+export function isRoomOpen(room: PublicRoomSummary): boolean {
+  const joinable = room.state === 'lobby' || room.state === 'waiting-ready';
+
+  return joinable && room.playerCount + room.spectatorCount < room.maxPlayers;
+}
+
+/**
+ * Ordena las salas públicas para el listado: primero las abiertas, luego las más llenas
+ * y, a igualdad, las de actividad más reciente
+ * @param rooms - Salas públicas
+ * @returns Nuevo array ordenado
+ */
+export function sortPublicRooms(
+  rooms: PublicRoomSummary[],
+): PublicRoomSummary[] {
+  return [...rooms].sort(
+    (a, b) =>
+      Number(isRoomOpen(b)) - Number(isRoomOpen(a)) ||
+      b.playerCount - a.playerCount ||
+      b.lastActivityAt - a.lastActivityAt,
+  );
+}
+
+/**
+ * Elige la mejor sala para la partida rápida: la abierta con más jugadores,
+ * para que las partidas se completen antes
+ * @param rooms - Salas públicas candidatas
+ * @returns La sala elegida, null si no hay ninguna abierta
+ */
+export function pickQuickPlayRoom(
+  rooms: PublicRoomSummary[],
+): PublicRoomSummary | null {
+  return sortPublicRooms(rooms).find(isRoomOpen) ?? null;
+}
+
+/**
+ * Prepara las salas ya ordenadas para enviarlas al listado
+ * Se quita lastActivityAt: cambia con casi cualquier evento de la sala y haría que
+ * el listado pareciera distinto en cada refresco
+ * @param rooms - Salas públicas ordenadas
+ * @returns Salas sin la marca de actividad, en el mismo orden
+ */
+export function toRoomListing(rooms: PublicRoomSummary[]): PublicRoomListing[] {
+  return rooms.map((room) => {
+    const listing: Partial<PublicRoomSummary> = { ...room };
+    delete listing.lastActivityAt;
+
+    return listing as PublicRoomListing;
+  });
+}
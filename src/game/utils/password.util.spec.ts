@@ -0,0 +1,68 @@
+import { PasswordAttempts } from '../interfaces/room.interface';
+import {
+  getLockoutRemainingMs,
+  hashPassword,
+  pruneExpiredAttempts,
+  recordFailedAttempt,
+  verifyPassword,
+} from './password.util';
+
+describe('password.util', () => {
+  it('should verify the password it hashed', async () => {
+    const stored = await hashPassword('secreto');
+
+    expect(stored).not.toContain('secreto');
+    await expect(verifyPassword('secreto', stored)).resolves.toBe(true);
+    await expect(verifyPassword('otro', stored)).resolves.toBe(false);
+  });
+
+  it('should salt each hash', async () => {
+    expect(await hashPassword('secreto')).not.toBe(
+      await hashPassword('secreto'),
+    );
+  });
+
+  it('should reject malformed hashes', async () => {
+    await expect(verifyPassword('secreto', '')).resolves.toBe(false);
+    await expect(verifyPassword('secreto', 'sin-separador')).resolves.toBe(
+      false,
+    );
+  });
+
+  it('should lock the client after the maximum failed attempts', () => {
+    let attempts = recordFailedAttempt(undefined, 0, 3, 1000);
+    attempts = recordFailedAttempt(attempts, 0, 3, 1000);
+
+    expect(attempts).toEqual({ failures: 2, lockedUntil: 0, lastFailureAt: 0 });
+    expect(getLockoutRemainingMs(attempts, 0)).toBe(0);
+
+    attempts = recordFailedAttempt(attempts, 100, 3, 1000);
+
+    expect(attempts).toEqual({
+      failures: 0,
+      lockedUntil: 1100,
+      lastFailureAt: 100,
+    });
+    expect(getLockoutRemainingMs(attempts, 600)).toBe(500);
+    expect(getLockoutRemainingMs(attempts, 1200)).toBe(0);
+  });
+
+  it('should forget failures older than the lockout', () => {
+    const attempts = recordFailedAttempt(undefined, 0, 3, 1000);
+
+    expect(recordFailedAttempt(attempts, 500, 3, 1000).failures).toBe(2);
+    expect(recordFailedAttempt(attempts, 1000, 3, 1000).failures).toBe(1);
+  });
+
+  it('should prune expired attempts only', () => {
+    const attempts = new Map<string, PasswordAttempts>([
+      ['old', { failures: 1, lockedUntil: 0, lastFailureAt: 0 }],
+      ['recent', { failures: 1, lockedUntil: 0, lastFailureAt: 1500 }],
+      ['locked', { failures: 0, lockedUntil: 3000, lastFailureAt: 2000 }],
+    ]);
+
+    pruneExpiredAttempts(attempts, 2000, 1000);
+
+    expect(Array.from(attempts.keys())).toEqual(['recent', 'locked']);
+  });
+});
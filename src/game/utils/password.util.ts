@@ -0,0 +1,127 @@
+import { randomBytes, scrypt as scryptCallback, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import { PasswordAttempts } from '../interfaces/room.interface';
+
+/** Longitud en bytes del hash derivado de la contraseña */
+const KEY_LENGTH = 32;
+
+/** scrypt sin bloquear el bucle de eventos mientras deriva la clave */
+const scrypt = promisify(scryptCallback) as (
+  password: string,
+  salt: string,
+  keyLength: number,
+) => Promise<Buffer>;
+
+/**
+ * Calcula el hash de una contraseña de sala con scrypt y una sal aleatoria
+ * @param password - Contraseña en claro
+ * @returns Hash con formato "<sal>:<hash>" en hexadecimal
+ */
+export async function hashPassword(password: string): Promise<string> {
+  const salt = randomBytes(16).toString('hex');
+  const hash = (await scrypt(password, salt, KEY_LENGTH)).toString('hex');
+
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Comprueba una contraseña contra su hash almacenado
+ * @param password - Contraseña recibida del cliente
+ * @param stored - Hash generado por hashPassword
+ * @returns true si la contraseña coincide
+ */
+export async function verifyPassword(
+  password: string,
+  stored: string,
+): Promise<boolean> {
+  const [salt, hash] = stored.split(':');
+
+  if (!salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const received = await scrypt(password, salt, KEY_LENGTH);
+
+  // Comparación en tiempo constante para no filtrar información del hash
+  return (
+    expected.length === received.length && timingSafeEqual(expected, received)
+  );
+}
+
+/**
+ * Indica si unos intentos ya no cuentan: no hay bloqueo vigente y el último fallo
+ * es más antiguo que la duración del bloqueo
+ * @param attempts - Intentos registrados
+ * @param now - Marca de tiempo actual
+ * @param lockoutMs - Duración del bloqueo en milisegundos
+ * @returns true si los intentos pueden olvidarse
+ */
+export function isAttemptsExpired(
+  attempts: PasswordAttempts,
+  now: number,
+  lockoutMs: number,
+): boolean {
+  return (
+    attempts.lockedUntil <= now && now - attempts.lastFailureAt >= lockoutMs
+  );
+}
+
+/**
+ * Elimina los intentos que ya no cuentan para que el registro no crezca sin límite
+ * @param attempts - Intentos por cliente
+ * @param now - Marca de tiempo actual
+ * @param lockoutMs - Duración del bloqueo en milisegundos
+ */
+export function pruneExpiredAttempts(
+  attempts: Map<string, PasswordAttempts>,
+  now: number,
+  lockoutMs: number,
+): void {
+  for (const [key, entry] of attempts) {
+    if (isAttemptsExpired(entry, now, lockoutMs)) {
+      attempts.delete(key);
+    }
+  }
+}
+
+/**
+ * Calcula cuánto le queda a un cliente para poder volver a intentarlo
+ * @param attempts - Intentos registrados del cliente (undefined si no hay)
+ * @param now - Marca de tiempo actual
+ * @returns Milisegundos de bloqueo restantes (0 si puede intentarlo)
+ */
+export function getLockoutRemainingMs(
+  attempts: PasswordAttempts | undefined,
+  now: number,
+): number {
+  return attempts ? Math.max(0, attempts.lockedUntil - now) : 0;
+}
+
+/**
+ * Registra un intento fallido; al alcanzar el máximo el cliente queda bloqueado un tiempo
+ * y el contador vuelve a empezar. Los fallos caducados no se suman
+ * @param attempts - Intentos registrados del cliente (undefined si no hay)
+ * @param now - Marca de tiempo actual
+ * @param maxAttempts - Intentos fallidos permitidos antes del bloqueo
+ * @param lockoutMs - Duración del bloqueo en milisegundos
+ * @returns Intentos actualizados
+ */
+export function recordFailedAttempt(
+  attempts: PasswordAttempts | undefined,
+  now: number,
+  maxAttempts: number,
+  lockoutMs: number,
+): PasswordAttempts {
+  const previous =
+    attempts && !isAttemptsExpired(attempts, now, lockoutMs)
+      ? attempts.failures
+      : 0;
+  const failures = previous + 1;
+
+  if (failures >= maxAttempts) {
+    return { failures: 0, lockedUntil: now + lockoutMs, lastFailureAt: now };
+  }
+
+  return { failures, lockedUntil: 0, lastFailureAt: now };
+}
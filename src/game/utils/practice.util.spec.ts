@@ -0,0 +1,33 @@
+import {
+  createPracticeStats,
+  getAccuracy,
+  recordPracticeRound,
+} from './practice.util';
+
+describe('practice.util', () => {
+  it('should report zero accuracy before any round', () => {
+    expect(getAccuracy(0, 0)).toBe(0);
+    expect(createPracticeStats().accuracy).toBe(0);
+  });
+
+  it('should round the accuracy to a whole percentage', () => {
+    expect(getAccuracy(1, 3)).toBe(33);
+    expect(getAccuracy(2, 3)).toBe(67);
+    expect(getAccuracy(4, 4)).toBe(100);
+  });
+
+  it('should track the running and best hit streaks', () => {
+    const stats = [true, true, false, true].reduce(
+      (acc, isHit) => recordPracticeRound(acc, isHit),
+      createPracticeStats(),
+    );
+
+    expect(stats).toEqual({
+      roundsPlayed: 4,
+      hits: 3,
+      accuracy: 75,
+      currentStreak: 1,
+      bestStreak: 2,
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { PracticeStats } from '../interfaces/practice.interface';
+
+/**
+ * Crea las estadísticas vacías de una práctica
+ * @returns Estadísticas sin rondas jugadas
+ */
+export function createPracticeStats(): PracticeStats {
+  return {
+    roundsPlayed: 0,
+    hits: 0,
+    accuracy: 0,
+    currentStreak: 0,
+    bestStreak: 0,
+  };
+}
+
+/**
+ * Calcula el porcentaje de aciertos
+ * @param hits - Rondas acertadas
+ * @param roundsPlayed - Rondas jugadas
+ * @returns Porcentaje redondeado (0 si aún no se jugó ninguna ronda)
+ */
+export function getAccuracy(hits: number, roundsPlayed: number): number {
+  if (roundsPlayed <= 0) {
+    return 0;
+  }
+
+  return Math.round((hits / roundsPlayed) * 100);
+}
+
+/**
+ * Añade el resultado de una ronda a las estadísticas de la práctica
+ * @param stats - Estadísticas acumuladas hasta ahora
+ * @param isHit - Indica si el jugador acertó el hueco en la ronda
+ * @returns Nuevas estadísticas con la ronda incluida
+ */
+export function recordPracticeRound(
+  stats: PracticeStats,
+  isHit: boolean,
+): PracticeStats {
+  const roundsPlayed = stats.roundsPlayed + 1;
+  const hits = stats.hits + (isHit ? 1 : 0);
+  const currentStreak = isHit ? stats.currentStreak + 1 : 0;
+
+  return {
+    roundsPlayed,
+    hits,
+    accuracy: getAccuracy(hits, roundsPlayed),
+    currentStreak,
+    bestStreak: Math.max(stats.bestStreak, currentStreak),
+  };
+}
@@ -0,0 +1,14 @@
+import { isReactionThrottled, REACTION_EMOJIS } from './reaction.util';
+
+describe('reaction.util', () => {
+  it('should offer a small fixed set of emojis', () => {
+    expect(REACTION_EMOJIS).toHaveLength(6);
+    expect(new Set(REACTION_EMOJIS).size).toBe(REACTION_EMOJIS.length);
+  });
+
+  it('should throttle reactions sent before the cooldown ends', () => {
+    expect(isReactionThrottled(0, 10000, 800)).toBe(false);
+    expect(isReactionThrottled(10000, 10500, 800)).toBe(true);
+    expect(isReactionThrottled(10000, 10800, 800)).toBe(false);
+  });
+});
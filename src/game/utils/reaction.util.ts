@@ -0,0 +1,29 @@
+import { ReactionEmoji } from '../interfaces/reaction.interface';
+
+/** Emojis permitidos, en el orden en que se muestran */
+export const REACTION_EMOJIS: ReactionEmoji[] = [
+  '👏',
+  '😂',
+  '😱',
+  '🔥',
+  '😭',
+  '🎉',
+];
+
+/** Tiempo mínimo entre dos reacciones del mismo jugador */
+export const REACTION_COOLDOWN_MS = 800;
+
+/**
+ * Indica si un jugador debe esperar antes de volver a reaccionar
+ * @param lastReactionAt - Momento de su última reacción (0 si nunca reaccionó)
+ * @param now - Momento actual (ms desde epoch)
+ * @param cooldownMs - Espera mínima entre reacciones
+ * @returns true si la reacción llega demasiado pronto
+ */
+export function isReactionThrottled(
+  lastReactionAt: number,
+  now: number,
+  cooldownMs: number = REACTION_COOLDOWN_MS,
+): boolean {
+  return now - lastReactionAt < cooldownMs;
+}
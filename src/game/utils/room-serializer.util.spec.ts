@@ -0,0 +1,73 @@
+import { Player } from '../interfaces/player.interface';
+import { Room } from '../interfaces/room.interface';
+import {
+  deserializeRoom,
+  SerializedRoom,
+  serializeRoom,
+} from './room-serializer.util';
+
+describe('room-serializer.util', () => {
+  const buildPlayer = (id: string) =>
+    ({ id, socketId: `socket-${id}`, name: id, score: 3 }) as Player;
+
+  // Solo los campos que toca la serialización; el resto se copia tal cual
+  const buildRoom = () =>
+    ({
+      code: 'A3B7K9',
+      state: 'selection',
+      phaseEndsAt: 1700000000000,
+      players: new Map([
+        ['player-1', buildPlayer('player-1')],
+        ['player-2', buildPlayer('player-2')],
+      ]),
+      selectionTimer: null,
+      revealTimer: null,
+      botTimers: [],
+      restartConsents: new Set(['player-1']),
+      bannedPlayerIds: new Set(['player-3']),
+      bannedAddresses: new Set(['10.0.0.3']),
+      passwordAttempts: new Map([
+        ['10.0.0.4', { failures: 2, lockedUntil: 0, lastFailureAt: 0 }],
+      ]),
+      createdAt: new Date('2024-01-01T10:00:00.000Z'),
+    }) as unknown as Room;
+
+  it('should round-trip a room through JSON', () => {
+    const room = buildRoom();
+    const restored = deserializeRoom(
+      JSON.parse(JSON.stringify(serializeRoom(room))) as SerializedRoom,
+    );
+
+    expect(restored.players.get('player-2')).toEqual(
+      room.players.get('player-2'),
+    );
+    expect(restored.restartConsents).toEqual(new Set(['player-1']));
+    expect(restored.bannedPlayerIds).toEqual(new Set(['player-3']));
+    expect(restored.bannedAddresses).toEqual(new Set(['10.0.0.3']));
+    expect(restored.passwordAttempts.get('10.0.0.4')).toEqual({
+      failures: 2,
+      lockedUntil: 0,
+      lastFailureAt: 0,
+    });
+    expect(restored.createdAt).toEqual(room.createdAt);
+    expect(restored.phaseEndsAt).toBe(1700000000000);
+  });
+
+  it('should leave the timers out of the stored room', () => {
+    const room = buildRoom();
+    room.selectionTimer = setTimeout(() => undefined, 1000);
+    room.botTimers = [setTimeout(() => undefined, 1000)];
+
+    const serialized = serializeRoom(room);
+    const restored = deserializeRoom(serialized);
+
+    clearTimeout(room.selectionTimer);
+    clearTimeout(room.botTimers[0]);
+
+    expect(serialized).not.toHaveProperty('selectionTimer');
+    expect(serialized).not.toHaveProperty('botTimers');
+    expect(restored.selectionTimer).toBeNull();
+    expect(restored.revealTimer).toBeNull();
+    expect(restored.botTimers).toEqual([]);
+  });
+});
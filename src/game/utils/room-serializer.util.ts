@@ -0,0 +1,94 @@
+import { Player } from '../interfaces/player.interface';
+import { PasswordAttempts, Room } from '../interfaces/room.interface';
+
+/**
+ * Representación de una sala apta para JSON
+ * Los mapas y conjuntos pasan a arrays, la fecha a ISO y los temporizadores se descartan
+ */
+export type SerializedRoom = Omit<
+  Room,
+  | 'players'
+  | 'selectionTimer'
+  | 'revealTimer'
+  | 'botTimers'
+  | 'restartConsents'
+  | 'bannedPlayerIds'
+  | 'bannedAddresses'
+  | 'passwordAttempts'
+  | 'createdAt'
+> & {
+  /** Jugadores de la sala */
+  players: Player[];
+
+  /** IDs de los jugadores que consintieron reiniciar */
+  restartConsents: string[];
+
+  /** IDs de los jugadores vetados */
+  bannedPlayerIds: string[];
+
+  /** Direcciones remotas de los clientes vetados */
+  bannedAddresses: string[];
+
+  /** Intentos fallidos de contraseña como pares [dirección, intentos] */
+  passwordAttempts: [string, PasswordAttempts][];
+
+  /** Fecha de creación en formato ISO */
+  createdAt: string;
+};
+
+/**
+ * Convierte una sala en un objeto serializable sin sus temporizadores
+ * @param room Sala de juego
+ * @returns Sala lista para JSON.stringify
+ */
+export function serializeRoom(room: Room): SerializedRoom {
+  const {
+    players,
+    restartConsents,
+    bannedPlayerIds,
+    bannedAddresses,
+    passwordAttempts,
+    createdAt,
+    ...fields
+  } = room;
+  const persistent: Partial<typeof fields> = { ...fields };
+
+  // Los temporizadores no sobreviven a un reinicio: se reprograman a partir de phaseEndsAt
+  delete persistent.selectionTimer;
+  delete persistent.revealTimer;
+  delete persistent.botTimers;
+
+  return {
+    ...(persistent as Omit<
+      typeof fields,
+      'selectionTimer' | 'revealTimer' | 'botTimers'
+    >),
+    players: Array.from(players.values()),
+    restartConsents: Array.from(restartConsents),
+    bannedPlayerIds: Array.from(bannedPlayerIds),
+    bannedAddresses: Array.from(bannedAddresses),
+    passwordAttempts: Array.from(passwordAttempts.entries()),
+    createdAt: createdAt.toISOString(),
+  };
+}
+
+/**
+ * Reconstruye una sala a partir de su forma serializada
+ * Los temporizadores quedan vacíos: se vuelven a programar a partir de phaseEndsAt
+ * @param data Sala serializada
+ * @returns Sala de juego
+ */
+export function deserializeRoom(data: SerializedRoom): Room {
+  return {
+    ...data,
+    players: new Map(data.players.map((player) => [player.id, player])),
+    selectionTimer: null,
+    revealTimer: null,
+    botTimers: [],
+    restartConsents: new Set(data.restartConsents),
+    bannedPlayerIds: new Set(data.bannedPlayerIds),
+    bannedAddresses: new Set(data.bannedAddresses),
+    passwordAttempts: new Map(data.passwordAttempts),
+    createdAt: new Date(data.createdAt),
+  };
+}
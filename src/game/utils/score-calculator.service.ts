@@ -1,9 +1,13 @@
 import { Injectable } from '@nestjs/common';
 import { ConfigService } from '@nestjs/config';
+import { ScoringValues } from '../interfaces/room-settings.interface';
+import { ScoringStrategyId } from '../interfaces/scoring-strategy.interface';
+import { getDistance, getScoringStrategy } from './scoring-strategies.util';
 
 /**
  * Servicio para calcular puntuaciones del juego
- * Utiliza ConfigService para obtener los valores de puntuación desde .env
+ * Delega el cálculo en la estrategia de puntuación elegida por la sala
+ * Utiliza ConfigService para obtener los valores de puntuación por defecto desde .env
  */
 @Injectable()
 export class ScoreCalculatorService {
@@ -11,19 +15,49 @@ export class ScoreCalculatorService {
 
   /**
    * Calcula los puntos ganados o perdidos según la altura seleccionada vs el hueco de la pared
-   * Los valores de puntuación se obtienen desde ConfigService que lee del archivo .env
+   * Si no se indican valores de la sala, se usan los de ConfigService que lee del archivo .env
    * @param selectedHeight - Altura seleccionada por el jugador (1-10)
    * @param wallHole - Posición del hueco en la pared (1-10)
-   * @returns Puntos: positivos si coincide, negativos si falla
+   * @param scoring - Valores de puntuación de la sala (opcional)
+   * @param strategyId - Estrategia de puntuación de la sala (por defecto, clásica)
+   * @param roundHeights - Alturas elegidas por todos los jugadores en la ronda
+   * @returns Puntos ganados (positivos) o perdidos (negativos)
    */
-  calculatePoints(selectedHeight: number, wallHole: number): number {
-    if (selectedHeight === wallHole) {
-      return this.configService.get<number>('game.scoring.perfect', 20);
-    } else if (selectedHeight < wallHole) {
-      return this.configService.get<number>('game.scoring.tooLow', -5);
-    } else {
-      return this.configService.get<number>('game.scoring.tooHigh', -10);
-    }
+  calculatePoints(
+    selectedHeight: number,
+    wallHole: number,
+    scoring: ScoringValues = this.getDefaultScoring(),
+    strategyId: ScoringStrategyId = 'classic',
+    roundHeights: number[] = [selectedHeight],
+  ): number {
+    return getScoringStrategy(strategyId).calculatePoints({
+      selectedHeight,
+      wallHole,
+      scoring,
+      roundHeights,
+    });
+  }
+
+  /**
+   * Calcula la distancia entre la altura seleccionada y el hueco
+   * @param selectedHeight - Altura seleccionada por el jugador (1-10)
+   * @param wallHole - Posición del hueco en la pared (1-10)
+   * @returns Distancia en niveles (0 si acertó)
+   */
+  getDistance(selectedHeight: number, wallHole: number): number {
+    return getDistance(selectedHeight, wallHole);
+  }
+
+  /**
+   * Obtiene los valores de puntuación globales configurados en .env
+   * @returns Valores de puntuación por defecto
+   */
+  getDefaultScoring(): ScoringValues {
+    return {
+      perfect: this.configService.get<number>('game.scoring.perfect', 20),
+      tooLow: this.configService.get<number>('game.scoring.tooLow', -5),
+      tooHigh: this.configService.get<number>('game.scoring.tooHigh', -10),
+    };
   }
 
   /**
@@ -0,0 +1,45 @@
+import { getScoringStrategy } from './scoring-strategies.util';
+
+describe('scoring-strategies.util', () => {
+  const scoring = { perfect: 20, tooLow: -5, tooHigh: -10 };
+  const points = (
+    id: Parameters<typeof getScoringStrategy>[0],
+    selectedHeight: number,
+    wallHole: number,
+    roundHeights: number[] = [selectedHeight],
+  ) =>
+    getScoringStrategy(id).calculatePoints({
+      selectedHeight,
+      wallHole,
+      scoring,
+      roundHeights,
+    });
+
+  it('classic should keep the three fixed outcomes', () => {
+    expect(points('classic', 5, 5)).toBe(20);
+    expect(points('classic', 3, 5)).toBe(-5);
+    expect(points('classic', 9, 5)).toBe(-10);
+  });
+
+  it('linear-decay should reward near misses and never go negative', () => {
+    expect(points('linear-decay', 5, 5)).toBe(20);
+    expect(points('linear-decay', 6, 5)).toBe(16);
+    expect(points('linear-decay', 3, 5)).toBe(12);
+    expect(points('linear-decay', 10, 1)).toBe(0);
+  });
+
+  it('asymmetric should scale each side penalty with the distance', () => {
+    expect(points('asymmetric', 5, 5)).toBe(20);
+    expect(points('asymmetric', 4, 5)).toBe(-2);
+    expect(points('asymmetric', 6, 5)).toBe(-5);
+    expect(points('asymmetric', 9, 5)).toBe(-20);
+  });
+
+  it('closest-wins should only reward the closest players', () => {
+    const heights = [2, 4, 6, 9];
+
+    expect(points('closest-wins', 4, 5, heights)).toBe(20);
+    expect(points('closest-wins', 6, 5, heights)).toBe(20);
+    expect(points('closest-wins', 2, 5, heights)).toBe(0);
+  });
+});
@@ -0,0 +1,136 @@
+import {
+  ScoringContext,
+  ScoringStrategy,
+  ScoringStrategyId,
+} from '../interfaces/scoring-strategy.interface';
+
+/**
+ * Distancia (en niveles) entre la altura seleccionada y el hueco
+ * @param selectedHeight - Altura seleccionada por el jugador (1-10)
+ * @param wallHole - Posición del hueco en la pared (1-10)
+ * @returns Distancia absoluta, 0 si acertó
+ */
+export function getDistance(selectedHeight: number, wallHole: number): number {
+  return Math.abs(selectedHeight - wallHole);
+}
+
+/**
+ * Puntuación clásica: acierto exacto, salto bajo o salto alto
+ */
+export class ClassicScoringStrategy implements ScoringStrategy {
+  readonly id = 'classic';
+  readonly name = 'Clásica';
+
+  calculatePoints({
+    selectedHeight,
+    wallHole,
+    scoring,
+  }: ScoringContext): number {
+    if (selectedHeight === wallHole) {
+      return scoring.perfect;
+    } else if (selectedHeight < wallHole) {
+      return scoring.tooLow;
+    } else {
+      return scoring.tooHigh;
+    }
+  }
+}
+
+/**
+ * Decaimiento lineal: el acierto vale los puntos completos y cada nivel de distancia
+ * resta una quinta parte, sin bajar de 0
+ */
+export class LinearDecayScoringStrategy implements ScoringStrategy {
+  readonly id = 'linear-decay';
+  readonly name = 'Por distancia';
+
+  /** Distancia a partir de la cual ya no se obtienen puntos */
+  private readonly maxDistance = 5;
+
+  calculatePoints({
+    selectedHeight,
+    wallHole,
+    scoring,
+  }: ScoringContext): number {
+    const distance = getDistance(selectedHeight, wallHole);
+    const factor = Math.max(0, 1 - distance / this.maxDistance);
+
+    return Math.round(scoring.perfect * factor);
+  }
+}
+
+/**
+ * Penalización asimétrica: un fallo por un nivel cuesta la mitad de la penalización
+ * configurada y cada nivel adicional suma otra mitad, con la pendiente de salto bajo
+ * o salto alto según corresponda
+ */
+export class AsymmetricScoringStrategy implements ScoringStrategy {
+  readonly id = 'asymmetric';
+  readonly name = 'Penalización asimétrica';
+
+  calculatePoints({
+    selectedHeight,
+    wallHole,
+    scoring,
+  }: ScoringContext): number {
+    if (selectedHeight === wallHole) {
+      return scoring.perfect;
+    }
+
+    const distance = getDistance(selectedHeight, wallHole);
+    const penalty =
+      selectedHeight < wallHole ? scoring.tooLow : scoring.tooHigh;
+
+    return Math.round((penalty * distance) / 2);
+  }
+}
+
+/**
+ * El más cercano gana: los jugadores a menor distancia del hueco (con empates)
+ * se llevan los puntos de acierto y el resto no puntúa
+ */
+export class ClosestWinsScoringStrategy implements ScoringStrategy {
+  readonly id = 'closest-wins';
+  readonly name = 'El más cercano gana';
+
+  calculatePoints({
+    selectedHeight,
+    wallHole,
+    scoring,
+    roundHeights,
+  }: ScoringContext): number {
+    const distance = getDistance(selectedHeight, wallHole);
+    const closestDistance = Math.min(
+      distance,
+      ...roundHeights.map((height) => getDistance(height, wallHole)),
+    );
+
+    return distance === closestDistance ? scoring.perfect : 0;
+  }
+}
+
+/**
+ * Registro de estrategias de puntuación disponibles
+ */
+export const SCORING_STRATEGIES: Record<ScoringStrategyId, ScoringStrategy> = {
+  classic: new ClassicScoringStrategy(),
+  'linear-decay': new LinearDecayScoringStrategy(),
+  asymmetric: new AsymmetricScoringStrategy(),
+  'closest-wins': new ClosestWinsScoringStrategy(),
+};
+
+/**
+ * Identificadores válidos de estrategias de puntuación
+ */
+export const SCORING_STRATEGY_IDS = Object.keys(
+  SCORING_STRATEGIES,
+) as ScoringStrategyId[];
+
+/**
+ * Obtiene una estrategia de puntuación por su identificador
+ * @param id - Identificador de la estrategia
+ * @returns La estrategia solicitada, o la clásica si no existe
+ */
+export function getScoringStrategy(id: ScoringStrategyId): ScoringStrategy {
+  return SCORING_STRATEGIES[id] ?? SCORING_STRATEGIES.classic;
+}
@@ -0,0 +1,33 @@
+import { signSessionToken, verifySessionToken } from './session-token.util';
+
+describe('session-token.util', () => {
+  const secret = 'test-secret';
+  const payload = { playerId: 'player-1', roomCode: 'A3B7K9' };
+
+  it('should round-trip a signed token', () => {
+    const token = signSessionToken(payload, secret);
+
+    expect(verifySessionToken(token, secret)).toEqual(payload);
+  });
+
+  it('should reject a token signed with another secret', () => {
+    const token = signSessionToken(payload, 'other-secret');
+
+    expect(verifySessionToken(token, secret)).toBeNull();
+  });
+
+  it('should reject a tampered payload', () => {
+    const token = signSessionToken(payload, secret);
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(
+      JSON.stringify({ ...payload, playerId: 'player-2' }),
+    ).toString('base64url');
+
+    expect(verifySessionToken(`${forged}.${signature}`, secret)).toBeNull();
+  });
+
+  it('should reject malformed tokens', () => {
+    expect(verifySessionToken('', secret)).toBeNull();
+    expect(verifySessionToken('no-signature', secret)).toBeNull();
+  });
+});
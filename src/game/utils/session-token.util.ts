@@ -0,0 +1,90 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Datos contenidos en un token de sesión
+ */
+export interface SessionTokenPayload {
+  /** ID del jugador dueño del asiento */
+  playerId: string;
+
+  /** Código de la sala a la que pertenece el jugador */
+  roomCode: string;
+}
+
+/**
+ * Calcula la firma HMAC-SHA256 de un contenido codificado
+ * @param encodedPayload - Contenido del token en base64url
+ * @param secret - Clave secreta del servidor
+ * @returns Firma en base64url
+ */
+function sign(encodedPayload: string, secret: string): string {
+  return createHmac('sha256', secret)
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+/**
+ * Genera un token de sesión firmado para que un jugador pueda recuperar su asiento
+ * @param payload - Datos del jugador y la sala
+ * @param secret - Clave secreta del servidor
+ * @returns Token con formato "<contenido>.<firma>"
+ */
+export function signSessionToken(
+  payload: SessionTokenPayload,
+  secret: string,
+): string {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString(
+    'base64url',
+  );
+
+  return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+}
+
+/**
+ * Verifica la firma de un token de sesión y extrae sus datos
+ * @param token - Token recibido del cliente
+ * @param secret - Clave secreta del servidor
+ * @returns Datos del token si la firma es válida, null en caso contrario
+ */
+export function verifySessionToken(
+  token: string,
+  secret: string,
+): SessionTokenPayload | null {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const [encodedPayload, signature] = token.split('.');
+
+  if (!encodedPayload || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(encodedPayload, secret));
+  const received = Buffer.from(signature);
+
+  // Comparación en tiempo constante para no filtrar información de la firma
+  if (
+    expected.length !== received.length ||
+    !timingSafeEqual(expected, received)
+  ) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(
+      Buffer.from(encodedPayload, 'base64url').toString('utf8'),
+    ) as Partial<SessionTokenPayload>;
+
+    if (
+      typeof payload.playerId !== 'string' ||
+      typeof payload.roomCode !== 'string'
+    ) {
+      return null;
+    }
+
+    return { playerId: payload.playerId, roomCode: payload.roomCode };
+  } catch {
+    return null;
+  }
+}
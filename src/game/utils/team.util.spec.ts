@@ -0,0 +1,18 @@
+import { getAvailableTeams, pickBalancedTeam } from './team.util';
+
+describe('team.util', () => {
+  it('should enable teams in a fixed order', () => {
+    expect(getAvailableTeams(2)).toEqual(['red', 'blue']);
+    expect(getAvailableTeams(4)).toEqual(['red', 'blue', 'green', 'yellow']);
+  });
+
+  it('should pick the smallest team', () => {
+    expect(pickBalancedTeam(['red', 'red', 'blue'], 2)).toBe('blue');
+    expect(pickBalancedTeam(['red', 'blue', null], 3)).toBe('green');
+  });
+
+  it('should break ties by team order and ignore disabled teams', () => {
+    expect(pickBalancedTeam([], 2)).toBe('red');
+    expect(pickBalancedTeam(['yellow', 'yellow'], 2)).toBe('red');
+  });
+});
@@ -0,0 +1,40 @@
+import { TeamId } from '../interfaces/team.interface';
+
+/** Equipos disponibles, en el orden en que se habilitan */
+export const TEAM_IDS: TeamId[] = ['red', 'blue', 'green', 'yellow'];
+
+/** Nombres visibles de cada equipo */
+export const TEAM_NAMES: Record<TeamId, string> = {
+  red: 'Rojo',
+  blue: 'Azul',
+  green: 'Verde',
+  yellow: 'Amarillo',
+};
+
+/**
+ * Obtiene los equipos habilitados para una sala
+ * @param teamCount - Número de equipos configurado (2-4)
+ * @returns IDs de los equipos en juego
+ */
+export function getAvailableTeams(teamCount: number): TeamId[] {
+  return TEAM_IDS.slice(0, teamCount);
+}
+
+/**
+ * Elige el equipo con menos integrantes para equilibrar la sala
+ * En caso de empate se elige el primero en el orden de TEAM_IDS
+ * @param assignedTeams - Equipos ya asignados a los jugadores de la sala
+ * @param teamCount - Número de equipos configurado
+ * @returns Equipo al que debe unirse el siguiente jugador
+ */
+export function pickBalancedTeam(
+  assignedTeams: (TeamId | null)[],
+  teamCount: number,
+): TeamId {
+  const teams = getAvailableTeams(teamCount);
+  const sizes = teams.map(
+    (team) => assignedTeams.filter((assigned) => assigned === team).length,
+  );
+
+  return teams[sizes.indexOf(Math.min(...sizes))];
+}
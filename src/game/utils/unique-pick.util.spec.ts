@@ -0,0 +1,36 @@
+import { applyUniquePickRule, getPickDistribution } from './unique-pick.util';
+
+describe('unique-pick.util', () => {
+  it('should list every height and flag shared picks', () => {
+    const distribution = getPickDistribution([
+      { playerId: 'a', height: 4 },
+      { playerId: 'b', height: 4 },
+      { playerId: 'c', height: 7 },
+    ]);
+
+    expect(distribution).toHaveLength(10);
+    expect(distribution[3]).toEqual({
+      height: 4,
+      playerIds: ['a', 'b'],
+      isCollision: true,
+    });
+    expect(distribution[6].isCollision).toBe(false);
+    expect(distribution[0].playerIds).toEqual([]);
+  });
+
+  it('should leave points untouched when the rule is off or the pick is unique', () => {
+    expect(applyUniquePickRule(20, 3, 'off')).toBe(20);
+    expect(applyUniquePickRule(20, 1, 'void')).toBe(20);
+  });
+
+  it('should split or void shared points', () => {
+    expect(applyUniquePickRule(20, 2, 'split')).toBe(10);
+    expect(applyUniquePickRule(20, 3, 'split')).toBe(6);
+    expect(applyUniquePickRule(20, 2, 'void')).toBe(0);
+  });
+
+  it('should never soften penalties', () => {
+    expect(applyUniquePickRule(-10, 3, 'split')).toBe(-10);
+    expect(applyUniquePickRule(-5, 2, 'void')).toBe(-5);
+  });
+});
@@ -0,0 +1,45 @@
+import { UniquePickRule } from '../interfaces/room-settings.interface';
+import { PickBucket } from '../interfaces/round-result.interface';
+
+/** Reglas de alturas únicas aceptadas en la configuración de la sala */
+export const UNIQUE_PICK_RULES: UniquePickRule[] = ['off', 'split', 'void'];
+
+/** Alturas posibles de la pared */
+const HEIGHTS = Array.from({ length: 10 }, (_, index) => index + 1);
+
+/**
+ * Agrupa las elecciones de la ronda por altura
+ * @param picks - Altura elegida por cada jugador
+ * @returns Una entrada por cada altura (1-10), aunque nadie la haya elegido
+ */
+export function getPickDistribution(
+  picks: { playerId: string; height: number }[],
+): PickBucket[] {
+  return HEIGHTS.map((height) => {
+    const playerIds = picks
+      .filter((pick) => pick.height === height)
+      .map((pick) => pick.playerId);
+
+    return { height, playerIds, isCollision: playerIds.length > 1 };
+  });
+}
+
+/**
+ * Ajusta los puntos de un jugador según la regla de alturas únicas
+ * Solo afecta a los puntos positivos: las penalizaciones se aplican siempre completas
+ * @param points - Puntos calculados por la estrategia de la sala
+ * @param pickCount - Jugadores que eligieron la misma altura (incluido él mismo)
+ * @param rule - Regla de alturas únicas de la sala
+ * @returns Puntos finales del jugador
+ */
+export function applyUniquePickRule(
+  points: number,
+  pickCount: number,
+  rule: UniquePickRule,
+): number {
+  if (rule === 'off' || pickCount <= 1 || points <= 0) {
+    return points;
+  }
+
+  return rule === 'split' ? Math.floor(points / pickCount) : 0;
+}
@@ -0,0 +1,20 @@
+import { getMaxStake, resolveWager } from './wager.util';
+
+describe('wager.util', () => {
+  it('should cap the stake by the current score', () => {
+    expect(getMaxStake(8, 10)).toBe(8);
+    expect(getMaxStake(0, 10)).toBe(0);
+    expect(getMaxStake(-15, 10)).toBe(0);
+  });
+
+  it('should cap the stake by the per-round budget when there is one', () => {
+    expect(getMaxStake(50, 10)).toBe(10);
+    expect(getMaxStake(50, 0)).toBe(50);
+  });
+
+  it('should pay a multiple of the stake on a hit and take it on a miss', () => {
+    expect(resolveWager(5, true, 3)).toBe(15);
+    expect(resolveWager(5, false, 3)).toBe(-5);
+    expect(resolveWager(0, false, 3)).toBe(0);
+  });
+});
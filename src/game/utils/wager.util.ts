@@ -0,0 +1,31 @@
+/**
+ * Calcula la apuesta máxima permitida a un jugador en una ronda
+ * Nadie puede apostar puntos que no tiene, y el presupuesto por ronda limita aún más la apuesta
+ * @param score - Puntuación actual del jugador
+ * @param wagerBudget - Presupuesto máximo por ronda (0 = sin límite por ronda)
+ * @returns Apuesta máxima (0 si el jugador no tiene puntos)
+ */
+export function getMaxStake(score: number, wagerBudget: number): number {
+  const available = Math.max(0, score);
+
+  return wagerBudget > 0 ? Math.min(available, wagerBudget) : available;
+}
+
+/**
+ * Resuelve una apuesta al revelar la pared
+ * @param stake - Puntos apostados
+ * @param isHit - Indica si el jugador acertó el hueco
+ * @param multiplier - Multiplicador de la apuesta en caso de acierto
+ * @returns Puntos ganados (stake × multiplicador) o perdidos (-stake)
+ */
+export function resolveWager(
+  stake: number,
+  isHit: boolean,
+  multiplier: number,
+): number {
+  if (stake <= 0) {
+    return 0;
+  }
+
+  return isHit ? stake * multiplier : -stake;
+}
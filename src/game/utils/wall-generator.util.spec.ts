@@ -0,0 +1,38 @@
+import {
+  commitSeed,
+  generateRoundSeed,
+  generateWallHole,
+  getHoleTolerance,
+} from './wall-generator.util';
+
+describe('wall-generator.util', () => {
+  it('should generate distinct 32-byte hex seeds', () => {
+    const seed = generateRoundSeed();
+
+    expect(seed).toMatch(/^[0-9a-f]{64}$/);
+    expect(generateRoundSeed()).not.toBe(seed);
+  });
+
+  it('should commit to a seed with its SHA-256 hash', () => {
+    expect(commitSeed('abc')).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+    );
+  });
+
+  it('should derive the same hole from the same seed', () => {
+    const seed = generateRoundSeed();
+    const hole = generateWallHole(seed);
+
+    expect(hole).toBe(generateWallHole(seed));
+    expect(hole).toBeGreaterThanOrEqual(1);
+    expect(hole).toBeLessThanOrEqual(10);
+  });
+
+  it('should narrow the hole tolerance as the field shrinks', () => {
+    expect(getHoleTolerance(10)).toBe(2);
+    expect(getHoleTolerance(7)).toBe(2);
+    expect(getHoleTolerance(5)).toBe(1);
+    expect(getHoleTolerance(3)).toBe(0);
+    expect(getHoleTolerance(1)).toBe(0);
+  });
+});
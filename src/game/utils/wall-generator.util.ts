@@ -1,7 +1,43 @@
+import { createHash, randomBytes } from 'crypto';
+
 /**
- * Genera una posición aleatoria para el hueco en la pared
+ * Genera la semilla secreta de una ronda con un generador criptográficamente seguro
+ * @returns Semilla de 32 bytes en hexadecimal
+ */
+export function generateRoundSeed(): string {
+  return randomBytes(32).toString('hex');
+}
+
+/**
+ * Calcula el compromiso público de una semilla (SHA-256)
+ * Se publica al inicio de la ronda para que la semilla no pueda cambiarse después
+ * @param seed - Semilla de la ronda
+ * @returns Hash SHA-256 de la semilla en hexadecimal
+ */
+export function commitSeed(seed: string): string {
+  return createHash('sha256').update(seed).digest('hex');
+}
+
+/**
+ * Deriva la posición del hueco en la pared a partir de la semilla de la ronda
+ * Usa un hash distinto al del compromiso para que este no revele el hueco.
+ * El cliente repite este mismo cálculo para verificar la ronda:
+ * hueco = (primeros 4 bytes de SHA-256("wall:" + semilla) como uint32) % 10 + 1
+ * @param seed - Semilla de la ronda
  * @returns Número entre 1 y 10 (inclusive)
  */
-export function generateWallHole(): number {
-  return Math.floor(Math.random() * 10) + 1;
+export function generateWallHole(seed: string): number {
+  const digest = createHash('sha256').update(`wall:${seed}`).digest();
+
+  return (digest.readUInt32BE(0) % 10) + 1;
+}
+
+/**
+ * Calcula el margen del hueco en modo eliminación según los jugadores que siguen en juego
+ * Con muchos jugadores el hueco admite saltos cercanos y se estrecha a medida que el grupo se reduce
+ * @param activePlayers - Jugadores no eliminados al inicio de la ronda
+ * @returns Niveles de margen a cada lado del hueco (0 a 2)
+ */
+export function getHoleTolerance(activePlayers: number): number {
+  return Math.max(0, Math.min(2, Math.floor((activePlayers - 1) / 3)));
 }
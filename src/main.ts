@@ -5,6 +5,9 @@ import { AppModule } from './app.module';
 async function bootstrap() {
   const app = await NestFactory.create(AppModule);
 
+  // Avisar a los módulos al apagar para que el almacén de salas guarde su estado
+  app.enableShutdownHooks();
+
   // Habilitar validación global
   app.useGlobalPipes(
     new ValidationPipe({